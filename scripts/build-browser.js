@@ -0,0 +1,19 @@
+// Bundle the Excalidraw libraries for the browser pages: the headless page used by
+// src/utils/mermaid.ts and the live viewer served by src/utils/viewer.js.
+// Both bundles are served from disk, so neither page needs network access.
+import { build } from 'esbuild';
+
+const options = {
+  bundle: true,
+  minify: true,
+  format: 'iife',
+  platform: 'browser',
+  target: 'es2020',
+  define: { 'process.env.NODE_ENV': '"production"' },
+  // The viewer serves Excalidraw's stylesheet and fonts from node_modules
+  loader: { '.css': 'empty' },
+  logLevel: 'warning'
+};
+
+await build({ ...options, entryPoints: ['src/browser/excalidraw.js'], outfile: 'dist/excalidraw.bundle.js' });
+await build({ ...options, entryPoints: ['src/browser/viewer.js'], outfile: 'dist/viewer.bundle.js' });
@@ -0,0 +1,11 @@
+// Entry of the bundle loaded into the headless browser page (see scripts/build-browser.js).
+// Exposes the Excalidraw functions the server calls through page.evaluate().
+import { parseMermaidToExcalidraw } from '@excalidraw/mermaid-to-excalidraw';
+import { convertToExcalidrawElements, exportToCanvas, getCommonBounds } from '@excalidraw/excalidraw';
+
+Object.assign(window, {
+  parseMermaidToExcalidraw,
+  convertToExcalidrawElements,
+  exportToCanvas,
+  getCommonBounds
+});
@@ -0,0 +1,104 @@
+// Entry of the live viewer page served by src/utils/viewer.js (see scripts/build-browser.js).
+// Renders the server's active scene and keeps it in sync over a WebSocket, in both directions.
+import { createElement, useEffect, useState } from 'react';
+import { createRoot } from 'react-dom/client';
+import { CaptureUpdateAction, Excalidraw } from '@excalidraw/excalidraw';
+
+// Local edits are sent once the scene has been still for this long, in milliseconds
+const SEND_DELAY = 300;
+const RECONNECT_DELAY = 1000;
+
+let api = null;
+let socket = null;
+let sceneName = null;
+let sendTimer = null;
+// Version of each element last exchanged with the server; newer local versions are unsent edits
+const known = new Map();
+const listeners = new Set();
+
+function setStatus(status) {
+  listeners.forEach(listener => listener(status));
+}
+
+function hasUnsentEdit(element) {
+  return element.version > (known.get(element.id) ?? 0);
+}
+
+// Apply elements from the server; local edits newer than the server's version are kept and sent later
+function applyServerElements(elements, { replace = false } = {}) {
+  if (replace) known.clear();
+  const current = new Map(replace ? [] : api.getSceneElementsIncludingDeleted().map(element => [element.id, element]));
+
+  elements.forEach(element => {
+    const local = current.get(element.id);
+    const keepLocal = local && hasUnsentEdit(local) && local.version > element.version;
+    known.set(element.id, element.version);
+    if (!keepLocal) current.set(element.id, element);
+  });
+
+  api.updateScene({ elements: Array.from(current.values()), captureUpdate: CaptureUpdateAction.NEVER });
+}
+
+function sendEdits() {
+  sendTimer = null;
+  if (!socket || socket.readyState !== WebSocket.OPEN) return;
+
+  const elements = api.getSceneElementsIncludingDeleted().filter(hasUnsentEdit);
+  if (elements.length === 0) return;
+
+  elements.forEach(element => known.set(element.id, element.version));
+  socket.send(JSON.stringify({ type: 'update', scene: sceneName, elements }));
+}
+
+function handleChange(elements) {
+  if (!elements.some(hasUnsentEdit)) return;
+  clearTimeout(sendTimer);
+  sendTimer = setTimeout(sendEdits, SEND_DELAY);
+}
+
+function connect() {
+  socket = new WebSocket(`${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}/ws`);
+
+  socket.addEventListener('message', event => {
+    const message = JSON.parse(event.data);
+    if (message.type === 'scene') {
+      sceneName = message.scene;
+      applyServerElements(message.elements, { replace: true });
+      api.updateScene({ appState: { theme: message.theme }, captureUpdate: CaptureUpdateAction.NEVER });
+      api.scrollToContent(undefined, { fitToViewport: true });
+      document.title = `${sceneName} - Excalidraw MCP`;
+      setStatus(`Scene ${sceneName}`);
+    } else if (message.type === 'update' && message.scene === sceneName) {
+      applyServerElements(message.elements);
+    }
+  });
+
+  socket.addEventListener('close', () => {
+    setStatus('Disconnected, reconnecting...');
+    setTimeout(connect, RECONNECT_DELAY);
+  });
+}
+
+function Status() {
+  const [status, setState] = useState('Connecting...');
+  useEffect(() => {
+    listeners.add(setState);
+    return () => listeners.delete(setState);
+  }, []);
+
+  return createElement('span', { style: { alignSelf: 'center', fontSize: 12, opacity: 0.7 } }, status);
+}
+
+function Viewer() {
+  return createElement(Excalidraw, {
+    excalidrawAPI: excalidrawAPI => {
+      if (api) return;
+      api = excalidrawAPI;
+      connect();
+    },
+    onChange: handleChange,
+    renderTopRightUI: () => createElement(Status)
+  });
+}
+
+createRoot(document.getElementById('root')).render(createElement(Viewer));
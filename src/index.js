@@ -3,60 +3,155 @@ import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js'
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
 import { z } from 'zod';
 import logger from './utils/logger.js';
 import {
-  elements,
   validateElement,
   generateId,
   EXCALIDRAW_ELEMENT_TYPES
 } from './types.js';
-import { parseMermaid } from '../dist/mermaid.js';
-import { writeFile } from 'fs/promises';
-import path from 'path';
+import { alignElements, distributeElements } from './utils/arrange.js';
+import { connectElements, syncBoundArrows, ROUTING_STYLES } from './utils/bindings.js';
+import {
+  buildGroupIndex,
+  getGroupMembers,
+  getOutermostGroupId,
+  groupElements,
+  ungroupElements,
+  expandToOutermostGroups
+} from './utils/groups.js';
+import { queryElements } from './utils/query.js';
+import { normalizeElement, mergeElementUpdates, bumpVersion } from './utils/normalize.js';
+import {
+  bindTextToContainer,
+  setLabel,
+  getBoundTextId,
+  syncBoundText,
+  withBoundText,
+  LABEL_CONTAINER_TYPES
+} from './utils/labels.js';
+import { renderSvg, embedSceneInSvg } from './utils/svg.js';
+import { snapshotElements, diffElements, hasChanges } from './utils/diff.js';
+import {
+  RESOURCES,
+  RESOURCE_TEMPLATES,
+  RESOURCE_NAMES,
+  readResource,
+  resourceUri,
+  changedUris
+} from './utils/resources.js';
+import { DEFAULT_HISTORY_LIMIT } from './utils/history.js';
+import { assertUnlocked, partitionLocked, formatSkipped } from './utils/locks.js';
+import { embedSceneInPng } from './utils/png.js';
+import { importMermaidBlock } from './utils/blocks.js';
+import { BATCH_OPERATIONS, validateBatch, applyBatch } from './utils/batch.js';
+import {
+  autoLayout,
+  LAYOUT_ALGORITHMS,
+  LAYOUT_DIRECTIONS,
+  DEFAULT_NODE_SPACING,
+  DEFAULT_LAYER_SPACING
+} from './utils/layout.js';
+import { getCommonBounds } from './utils/geometry.js';
+import { exportFlowchart, FLOWCHART_DIRECTIONS } from './utils/flowchart.js';
+import { parseDot, importDotGraph, exportDot, DotSyntaxError, DOT_DIRECTIONS } from './utils/dot.js';
+import { describeScene, DESCRIBE_DETAILS, DEFAULT_MAX_TOKENS } from './utils/describe.js';
+import { createWorkspace, getSceneFormat, parseSceneFile, DEFAULT_WORKSPACE_DIR } from './utils/workspace.js';
+import { createSceneStore, copyElements } from './utils/scenes.js';
+import { createAutosave, DEFAULT_SNAPSHOT_INTERVAL } from './utils/autosave.js';
+import { parseServerOptions, startHttpServer } from './utils/transport.js';
+import { startViewer, reconcileElements, DEFAULT_VIEWER_HOST } from './utils/viewer.js';
+import { parseMermaid, exportPng, closeBrowser, MermaidSyntaxError } from '../dist/mermaid.js';
+
+const RECT_PROPERTIES = {
+  x: { type: 'number' },
+  y: { type: 'number' },
+  width: { type: 'number' },
+  height: { type: 'number' }
+};
+
+const FORCE_PROPERTY = {
+  type: 'boolean',
+  description: 'Also modify locked elements'
+};
+
+const ARROWHEADS = ['arrow', 'bar', 'dot', 'triangle', null];
+
+const OVERWRITE_PROPERTY = {
+  type: 'boolean',
+  description: 'Replace the file if it exists'
+};
 
 const TOOLS = [
   {
     name: 'load_from_file',
-    description: 'Load an Excalidraw file',
+    description: 'Load an Excalidraw file from the workspace, or from its content. .excalidraw.svg and .excalidraw.png files are loaded from their embedded scene.',
     inputSchema: {
       type: 'object',
       properties: {
+        path: {
+          type: 'string',
+          description: 'Path of the file in the workspace'
+        },
         data: {
           type: 'string',
           contentEncoding: 'utf-8',
           description: 'Excalidraw file content'
         }
-      },
-      required: ['data']
+      }
     }
   },
   {
     name: 'save_to_file',
-    description: 'Save the current scene to a file',
+    description: 'Save the current scene to a file in the workspace. The format follows the extension: .excalidraw or .excalidraw.json for JSON, .excalidraw.svg or .excalidraw.png for an image with the scene embedded.',
     inputSchema: {
       type: 'object',
       properties: {
         filename: {
           type: 'string',
-          description: 'Name of the file to save'
-        }
+          description: 'Path of the file in the workspace'
+        },
+        overwrite: OVERWRITE_PROPERTY
       },
       required: ['filename']
     }
   },
+  {
+    name: 'list_files',
+    description: 'List the Excalidraw files in the workspace',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        directory: {
+          type: 'string',
+          description: 'Directory in the workspace (default: the workspace root)'
+        },
+        recursive: {
+          type: 'boolean',
+          description: 'Include subdirectories (default true)'
+        }
+      }
+    }
+  },
   {
     name: 'clear_scene',
-    description: 'Clear the current scene, before loading a new one',
+    description: 'Clear the current scene, before loading a new one. Locked elements are kept unless force is set.',
     inputSchema: {
       type: 'object',
-      properties: {}
+      properties: {
+        force: FORCE_PROPERTY
+      }
     }
   },
   {
     name: 'add_elements_with_mermaid',
-    description: 'Add elements to the scene using Mermaid syntax',
+    description: 'Add elements to the scene using Mermaid syntax. The elements form a block; pass its blockId again to replace the block with an edited diagram',
     inputSchema: {
       type: 'object',
       properties: {
@@ -64,11 +159,35 @@ const TOOLS = [
           type: 'string',
           contentEncoding: 'utf-8',
           description: 'Mermaid syntax for elements'
-        }
+        },
+        blockId: {
+          type: 'string',
+          description: 'Block to replace in place; matching nodes keep their element ids and style changes'
+        },
+        x: { type: 'number', description: 'Left edge of the diagram; defaults to the right of the scene' },
+        y: { type: 'number', description: 'Top edge of the diagram; defaults to the top of the scene' },
+        force: FORCE_PROPERTY
       },
       required: ['mermaid']
     }
   },
+  {
+    name: 'add_elements_with_dot',
+    description: 'Add a Graphviz DOT graph or digraph to the scene, parsed and laid out without Graphviz. Nodes become shapes, edges bound arrows and clusters framed groups; shape, color, style, label and rankdir attributes are applied',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dot: {
+          type: 'string',
+          contentEncoding: 'utf-8',
+          description: 'DOT source of one graph'
+        },
+        x: { type: 'number', description: 'Left edge of the graph; defaults to the right of the scene' },
+        y: { type: 'number', description: 'Top edge of the graph; defaults to the top of the scene' }
+      },
+      required: ['dot']
+    }
+  },
   {
     name: 'create_element',
     description: 'Create a new Excalidraw element',
@@ -90,7 +209,42 @@ const TOOLS = [
         opacity: { type: 'number' },
         text: { type: 'string' },
         fontSize: { type: 'number' },
-        fontFamily: { type: 'string' }
+        fontFamily: {
+          type: 'string',
+          description: 'Font name (Virgil, Helvetica, Cascadia, Excalifont, ...) or Excalidraw font id'
+        },
+        fillStyle: {
+          type: 'string',
+          enum: ['hachure', 'cross-hatch', 'solid', 'zigzag']
+        },
+        strokeStyle: {
+          type: 'string',
+          enum: ['solid', 'dashed', 'dotted']
+        },
+        angle: {
+          type: 'number',
+          description: 'Rotation in radians'
+        },
+        points: {
+          type: 'array',
+          items: {
+            type: 'array',
+            items: { type: 'number' }
+          },
+          description: 'Line/arrow points as [x, y] pairs relative to x/y'
+        },
+        containerId: {
+          type: 'string',
+          description: `For label/arrowLabel: ID of the element to attach the text to (${LABEL_CONTAINER_TYPES.join(', ')})`
+        },
+        label: {
+          type: 'string',
+          description: `Text to put inside the created element (${LABEL_CONTAINER_TYPES.join(', ')})`
+        },
+        force: {
+          type: 'boolean',
+          description: 'Also attach the text to a locked container'
+        }
       },
       required: ['type', 'x', 'y']
     }
@@ -117,25 +271,185 @@ const TOOLS = [
         opacity: { type: 'number' },
         text: { type: 'string' },
         fontSize: { type: 'number' },
-        fontFamily: { type: 'string' }
+        fontFamily: {
+          type: 'string',
+          description: 'Font name (Virgil, Helvetica, Cascadia, Excalifont, ...) or Excalidraw font id'
+        },
+        fillStyle: {
+          type: 'string',
+          enum: ['hachure', 'cross-hatch', 'solid', 'zigzag']
+        },
+        strokeStyle: {
+          type: 'string',
+          enum: ['solid', 'dashed', 'dotted']
+        },
+        angle: {
+          type: 'number',
+          description: 'Rotation in radians'
+        },
+        points: {
+          type: 'array',
+          items: {
+            type: 'array',
+            items: { type: 'number' }
+          },
+          description: 'Line/arrow points as [x, y] pairs relative to x/y'
+        },
+        containerId: {
+          type: 'string',
+          description: `For label/arrowLabel: ID of the element to attach the text to (${LABEL_CONTAINER_TYPES.join(', ')})`
+        },
+        force: FORCE_PROPERTY
       },
       required: ['id']
     }
   },
   {
     name: 'delete_element',
-    description: 'Delete an Excalidraw element',
+    description: 'Delete an Excalidraw element, or every element of a group when groupId is given',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        groupId: { type: 'string' },
+        force: FORCE_PROPERTY
+      }
+    }
+  },
+  {
+    name: 'move_elements',
+    description: 'Move elements, or every element of a group, by an offset. Bound arrows follow.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        elementIds: {
+          type: 'array',
+          items: { type: 'string' }
+        },
+        groupId: { type: 'string' },
+        dx: { type: 'number' },
+        dy: { type: 'number' },
+        force: FORCE_PROPERTY
+      },
+      required: ['dx', 'dy']
+    }
+  },
+  {
+    name: 'connect_elements',
+    description: 'Connect two shapes with an arrow bound to both. The arrow attaches to their edges and is re-routed whenever either shape is moved or resized.',
     inputSchema: {
       type: 'object',
       properties: {
-        id: { type: 'string' }
+        sourceId: { type: 'string' },
+        targetId: { type: 'string' },
+        style: {
+          type: 'string',
+          enum: ROUTING_STYLES,
+          description: 'Routing style (default: straight)'
+        },
+        strokeColor: { type: 'string' },
+        strokeWidth: { type: 'number' },
+        strokeStyle: {
+          type: 'string',
+          enum: ['solid', 'dashed', 'dotted']
+        },
+        startArrowhead: {
+          type: ['string', 'null'],
+          enum: ARROWHEADS
+        },
+        endArrowhead: {
+          type: ['string', 'null'],
+          enum: ARROWHEADS
+        },
+        force: FORCE_PROPERTY
       },
-      required: ['id']
+      required: ['sourceId', 'targetId']
+    }
+  },
+  {
+    name: 'batch',
+    description: 'Apply a list of create, update, delete, connect and group operations in one call, e.g. to build a whole diagram. Operations run in order, and later ones can refer to elements created earlier by their key instead of an id. The batch is validated first and applied all-or-nothing. Returns the key to id mapping and the result of each operation.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        operations: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              op: {
+                type: 'string',
+                enum: BATCH_OPERATIONS
+              },
+              key: {
+                type: 'string',
+                description: 'create, connect, group: name for the created element or group that later operations can use in place of its id'
+              },
+              element: {
+                type: 'object',
+                description: 'create: the element, with the properties of create_element (containerId may be a key)'
+              },
+              id: {
+                type: 'string',
+                description: 'update, delete: element id or key'
+              },
+              updates: {
+                type: 'object',
+                description: 'update: the properties to change, as for update_element'
+              },
+              sourceId: {
+                type: 'string',
+                description: 'connect: element id or key'
+              },
+              targetId: {
+                type: 'string',
+                description: 'connect: element id or key'
+              },
+              style: {
+                type: 'string',
+                enum: ROUTING_STYLES,
+                description: 'connect: routing style (default: straight)'
+              },
+              label: {
+                type: 'string',
+                description: 'connect: text label of the arrow'
+              },
+              elementIds: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'group: element ids or keys'
+              },
+              force: FORCE_PROPERTY
+            },
+            required: ['op']
+          }
+        }
+      },
+      required: ['operations']
+    }
+  },
+  {
+    name: 'set_label',
+    description: 'Set the text label of a rectangle, ellipse, diamond or arrow. The text is bound to the element, centered and wrapped to its width, and follows it when it is moved or resized. An empty text removes the label.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        containerId: { type: 'string' },
+        text: { type: 'string' },
+        fontSize: { type: 'number' },
+        fontFamily: { type: 'string' },
+        strokeColor: {
+          type: 'string',
+          description: 'Text color'
+        },
+        force: FORCE_PROPERTY
+      },
+      required: ['containerId', 'text']
     }
   },
   {
     name: 'query_elements',
-    description: 'Query Excalidraw elements with optional filters',
+    description: 'Query Excalidraw elements and return the matches as JSON. Filter values are matched exactly, or can be operator objects: eq, ne, gt, gte, lt, lte, in, contains, regex (with flags), exists.',
     inputSchema: {
       type: 'object',
       properties: {
@@ -145,20 +459,83 @@ const TOOLS = [
         },
         filter: {
           type: 'object',
-          additionalProperties: true
+          additionalProperties: true,
+          description: 'e.g. { "width": { "gt": 100 }, "text": { "contains": "api" } }'
+        },
+        inside: {
+          type: 'object',
+          description: 'Only elements fully inside this rectangle',
+          properties: RECT_PROPERTIES,
+          required: ['x', 'y', 'width', 'height']
+        },
+        intersecting: {
+          type: 'object',
+          description: 'Only elements intersecting this rectangle',
+          properties: RECT_PROPERTIES,
+          required: ['x', 'y', 'width', 'height']
+        },
+        nearest: {
+          type: 'object',
+          description: 'The count elements whose centers are nearest to this point, closest first',
+          properties: {
+            x: { type: 'number' },
+            y: { type: 'number' },
+            count: { type: 'number' }
+          },
+          required: ['x', 'y']
+        },
+        groupId: { type: 'string' },
+        locked: { type: 'boolean' },
+        sort: {
+          type: 'object',
+          properties: {
+            field: { type: 'string' },
+            order: { type: 'string', enum: ['asc', 'desc'] }
+          },
+          required: ['field']
+        },
+        fields: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Properties to return for each element (id is always included)'
+        },
+        offset: { type: 'number' },
+        limit: { type: 'number' }
+      }
+    }
+  },
+  {
+    name: 'describe_scene',
+    description: 'Describe the scene, some elements or a group in compact text instead of element JSON: nodes with their labels and ids, the arrows between them, groups and frames, spatial relations between neighbours and a 3x3 outline. Nodes are referred to as N1, N2, ...',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        elementIds: {
+          type: 'array',
+          items: { type: 'string' }
+        },
+        groupId: { type: 'string' },
+        detail: {
+          type: 'string',
+          enum: DESCRIBE_DETAILS,
+          description: 'summary: outline, groups and labelled nodes; normal (default): adds ids, edges and relations; full: adds geometry, colors and every element'
+        },
+        maxTokens: {
+          type: 'number',
+          description: `Approximate size limit of the description (default ${DEFAULT_MAX_TOKENS}); the least important lines are left out to fit`
         }
       }
     }
   },
   {
     name: 'get_resource',
-    description: 'Get an Excalidraw resource',
+    description: 'Get an Excalidraw resource (same payload as reading excalidraw://<resource>)',
     inputSchema: {
       type: 'object',
       properties: {
         resource: {
           type: 'string',
-          enum: ['scene', 'library', 'theme', 'elements']
+          enum: RESOURCE_NAMES
         }
       },
       required: ['resource']
@@ -166,32 +543,37 @@ const TOOLS = [
   },
   {
     name: 'group_elements',
-    description: 'Group multiple elements together',
+    description: 'Group multiple elements together. Elements that are already grouped are grouped as a whole, so their groups become nested in the new one. Returns the new group ID.',
     inputSchema: {
       type: 'object',
       properties: {
         elementIds: {
           type: 'array',
           items: { type: 'string' }
-        }
+        },
+        force: FORCE_PROPERTY
       },
       required: ['elementIds']
     }
   },
   {
     name: 'ungroup_elements',
-    description: 'Ungroup a group of elements',
+    description: 'Ungroup a group of elements. Only that group level is removed, nested groups are kept. With elementIds, the outermost group of those elements is removed.',
     inputSchema: {
       type: 'object',
       properties: {
-        groupId: { type: 'string' }
-      },
-      required: ['groupId']
+        groupId: { type: 'string' },
+        elementIds: {
+          type: 'array',
+          items: { type: 'string' }
+        },
+        force: FORCE_PROPERTY
+      }
     }
   },
   {
     name: 'align_elements',
-    description: 'Align elements to a specific position',
+    description: 'Align elements to each other using their bounding boxes. Aligns to the bounding box of all elements, or to an anchor element when anchorId is given. Locked elements are not moved.',
     inputSchema: {
       type: 'object',
       properties: {
@@ -202,14 +584,19 @@ const TOOLS = [
         alignment: {
           type: 'string',
           enum: ['left', 'center', 'right', 'top', 'middle', 'bottom']
-        }
+        },
+        anchorId: {
+          type: 'string',
+          description: 'ID of the element to align to (it is not moved)'
+        },
+        force: FORCE_PROPERTY
       },
       required: ['elementIds', 'alignment']
     }
   },
   {
     name: 'distribute_elements',
-    description: 'Distribute elements evenly',
+    description: 'Distribute elements evenly, either with equal gaps between their edges or with equal spacing between their centers. Arrows bound to moved elements follow them.',
     inputSchema: {
       type: 'object',
       properties: {
@@ -220,164 +607,1350 @@ const TOOLS = [
         direction: {
           type: 'string',
           enum: ['horizontal', 'vertical']
-        }
+        },
+        mode: {
+          type: 'string',
+          enum: ['gap', 'center'],
+          description: 'gap: equal space between edges (default), center: equal distance between centers'
+        },
+        gap: {
+          type: 'number',
+          description: 'Fixed distance to use instead of spreading between the outermost elements'
+        },
+        force: FORCE_PROPERTY
       },
       required: ['elementIds', 'direction']
     }
   },
   {
-    name: 'lock_elements',
-    description: 'Lock elements to prevent modification',
+    name: 'auto_layout',
+    description: 'Arrange shapes as a graph whose edges are the arrows bound between them. Arrows created by connect_elements are re-routed, other bound arrows keep their shape and have their ends moved along. Works on the whole scene, the given elements or a group; grouped shapes move as one. Locked elements stay where they are unless force is set, and other shapes are kept clear of them.',
     inputSchema: {
       type: 'object',
       properties: {
+        algorithm: {
+          type: 'string',
+          enum: LAYOUT_ALGORITHMS,
+          description: 'layered: ranks following the arrows (default), tree: parents centered over their children, grid: equal cells, force: force-directed'
+        },
+        direction: {
+          type: 'string',
+          enum: LAYOUT_DIRECTIONS,
+          description: 'layered and tree: top to bottom (TB, default) or left to right (LR)'
+        },
+        nodeSpacing: {
+          type: 'number',
+          description: `Gap between neighbouring shapes (default ${DEFAULT_NODE_SPACING})`
+        },
+        layerSpacing: {
+          type: 'number',
+          description: `layered and tree: gap between layers (default ${DEFAULT_LAYER_SPACING})`
+        },
+        columns: {
+          type: 'number',
+          description: 'grid: number of columns (default: square grid)'
+        },
         elementIds: {
           type: 'array',
           items: { type: 'string' }
-        }
-      },
-      required: ['elementIds']
+        },
+        groupId: { type: 'string' },
+        force: FORCE_PROPERTY
+      }
     }
   },
   {
-    name: 'unlock_elements',
-    description: 'Unlock elements to allow modification',
+    name: 'export_svg',
+    description: 'Render the scene, some elements or a group to SVG. Returns the SVG as text or image content, or writes it to a file.',
     inputSchema: {
       type: 'object',
       properties: {
         elementIds: {
           type: 'array',
           items: { type: 'string' }
-        }
-      },
-      required: ['elementIds']
+        },
+        groupId: { type: 'string' },
+        padding: {
+          type: 'number',
+          description: 'Space around the drawing (default 10)'
+        },
+        background: {
+          type: 'string',
+          description: 'Background color, or "transparent" (default #ffffff)'
+        },
+        theme: {
+          type: 'string',
+          enum: ['light', 'dark'],
+          description: 'Defaults to the scene theme'
+        },
+        format: {
+          type: 'string',
+          enum: ['text', 'image'],
+          description: 'Return the SVG as text (default) or as image/svg+xml content'
+        },
+        filename: {
+          type: 'string',
+          description: 'Write the SVG to this file instead of returning it'
+        },
+        overwrite: OVERWRITE_PROPERTY
+      }
     }
-  }
-];
-
-// In-memory storage for scene state
-const sceneState = {
-  theme: 'light',
-  viewport: { x: 0, y: 0, zoom: 1 },
-  selectedElements: new Set(),
-  groups: new Map()
-};
-
-// Schema definitions using zod
-const ElementSchema = z.object({
-  type: z.enum(Object.values(EXCALIDRAW_ELEMENT_TYPES)),
-  x: z.number(),
-  y: z.number(),
-  width: z.number().optional(),
-  height: z.number().optional(),
-  points: z.array(z.object({ x: z.number(), y: z.number() })).optional(),
-  backgroundColor: z.string().optional(),
-  strokeColor: z.string().optional(),
-  strokeWidth: z.number().optional(),
-  roughness: z.number().optional(),
-  opacity: z.number().optional(),
-  text: z.string().optional(),
-  fontSize: z.number().optional(),
-  fontFamily: z.any().optional() // Allow any format for fontFamily
-}).passthrough(); // Allow additional properties not explicitly defined
-
-const ElementIdSchema = z.object({
-  id: z.string()
-});
-
-const ElementIdsSchema = z.object({
-  elementIds: z.array(z.string())
-});
-
-const GroupIdSchema = z.object({
-  groupId: z.string()
-});
-
-const AlignElementsSchema = z.object({
-  elementIds: z.array(z.string()),
-  alignment: z.enum(['left', 'center', 'right', 'top', 'middle', 'bottom'])
-});
-
-const DistributeElementsSchema = z.object({
-  elementIds: z.array(z.string()),
-  direction: z.enum(['horizontal', 'vertical'])
-});
-
-const QuerySchema = z.object({
-  type: z.enum(Object.values(EXCALIDRAW_ELEMENT_TYPES)).optional(),
-  filter: z.record(z.any()).optional()
-});
-
-const ResourceSchema = z.object({
-  resource: z.enum(['scene', 'library', 'theme', 'elements'])
-});
-
-// Initialize MCP server
-const server = new Server(
-  {
-    name: "excalidraw-mcp-server",
-    version: "1.0.0",
-    description: "MCP server for Excalidraw"
   },
   {
-    capabilities: {
-      tools: {},
-    }
-  }
-);
-
-server.setRequestHandler(ListToolsRequestSchema, async () => ({
-  tools: TOOLS,
-}));
-
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  try {
-    const { name, arguments: args } = request.params;
-    logger.info(`Handling tool call: ${name}`);
-
-    switch (name) {
-      case 'load_from_file': {
-        const params = z.object({
-          data: z.string()
-        }).parse(args);
-
-        try {
-          const fileData = JSON.parse(params.data);
-
-          if (!fileData.elements || !Array.isArray(fileData.elements)) {
-            throw new Error('Invalid Excalidraw file: no elements array found');
-          }
+    name: 'export_png',
+    description: 'Rasterize the scene, some elements, a group or a region to PNG with Excalidraw\'s renderer and return it as image content, so the diagram can be checked visually.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        elementIds: {
+          type: 'array',
+          items: { type: 'string' }
+        },
+        groupId: { type: 'string' },
+        region: {
+          type: 'object',
+          description: 'Scene area to export',
+          properties: RECT_PROPERTIES,
+          required: ['x', 'y', 'width', 'height']
+        },
+        scale: {
+          type: 'number',
+          description: 'Pixels per scene unit (default 1)'
+        },
+        padding: {
+          type: 'number',
+          description: 'Space around the drawing (default 10)'
+        },
+        background: {
+          type: 'string',
+          description: 'Background color, or "transparent" (default #ffffff)'
+        },
+        theme: {
+          type: 'string',
+          enum: ['light', 'dark'],
+          description: 'Defaults to the scene theme'
+        },
+        embedScene: {
+          type: 'boolean',
+          description: 'Embed the exported elements in the PNG metadata, like excalidraw.com'
+        },
+        filename: {
+          type: 'string',
+          description: 'Also write the PNG to this file'
+        },
+        overwrite: OVERWRITE_PROPERTY
+      }
+    }
+  },
+  {
+    name: 'export_mermaid',
+    description: 'Write the shapes, their labels and the arrows connecting them as a Mermaid flowchart. Rectangles, diamonds and ellipses become nodes, groups become subgraphs; elements without a Mermaid equivalent are listed as warnings.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        elementIds: {
+          type: 'array',
+          items: { type: 'string' }
+        },
+        groupId: { type: 'string' },
+        direction: {
+          type: 'string',
+          enum: FLOWCHART_DIRECTIONS,
+          description: 'Flowchart direction (default: the direction most arrows point in)'
+        },
+        filename: {
+          type: 'string',
+          description: 'Write the flowchart to this file instead of returning it'
+        },
+        overwrite: OVERWRITE_PROPERTY
+      }
+    }
+  },
+  {
+    name: 'export_dot',
+    description: 'Write the shapes, their labels and the arrows connecting them as a Graphviz DOT digraph, with groups as clusters. Elements without a DOT equivalent are listed as warnings.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        elementIds: {
+          type: 'array',
+          items: { type: 'string' }
+        },
+        groupId: { type: 'string' },
+        direction: {
+          type: 'string',
+          enum: DOT_DIRECTIONS,
+          description: 'rankdir of the graph (default: the direction most arrows point in)'
+        },
+        filename: {
+          type: 'string',
+          description: 'Write the graph to this file instead of returning it'
+        },
+        overwrite: OVERWRITE_PROPERTY
+      }
+    }
+  },
+  {
+    name: 'undo',
+    description: 'Undo the last change made by a tool',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    }
+  },
+  {
+    name: 'redo',
+    description: 'Redo the last undone change',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    }
+  },
+  {
+    name: 'history',
+    description: 'List recent changes (most recent first) with the tool that made them and the affected element IDs, plus the saved checkpoints',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        limit: {
+          type: 'number',
+          description: 'Number of entries to list (default 20)'
+        }
+      }
+    }
+  },
+  {
+    name: 'create_checkpoint',
+    description: 'Save the current scene under a name so it can be restored later',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' }
+      },
+      required: ['name']
+    }
+  },
+  {
+    name: 'restore_checkpoint',
+    description: 'Restore the scene saved as a checkpoint. The restore itself can be undone.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' }
+      },
+      required: ['name']
+    }
+  },
+  {
+    name: 'lock_elements',
+    description: 'Lock elements to prevent modification',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        elementIds: {
+          type: 'array',
+          items: { type: 'string' }
+        }
+      },
+      required: ['elementIds']
+    }
+  },
+  {
+    name: 'unlock_elements',
+    description: 'Unlock elements to allow modification',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        elementIds: {
+          type: 'array',
+          items: { type: 'string' }
+        }
+      },
+      required: ['elementIds']
+    }
+  },
+  {
+    name: 'create_scene',
+    description: 'Create a new, empty scene',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        activate: {
+          type: 'boolean',
+          description: 'Make it the active scene (default true)'
+        }
+      },
+      required: ['name']
+    }
+  },
+  {
+    name: 'switch_scene',
+    description: 'Make a scene the active one, which tools work on unless they are given a scene',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' }
+      },
+      required: ['name']
+    }
+  },
+  {
+    name: 'list_scenes',
+    description: 'List the open scenes',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    }
+  },
+  {
+    name: 'close_scene',
+    description: 'Close a scene and discard its elements and history. Closing the active scene activates another one.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' }
+      },
+      required: ['name']
+    }
+  },
+  {
+    name: 'duplicate_scene',
+    description: 'Copy a scene with its elements into a new scene',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: 'Name of the new scene'
+        },
+        source: {
+          type: 'string',
+          description: 'Scene to copy (default: the active scene)'
+        },
+        activate: {
+          type: 'boolean',
+          description: 'Make the copy the active scene (default false)'
+        }
+      },
+      required: ['name']
+    }
+  },
+  {
+    name: 'recover_session',
+    description: 'List the autosaved snapshots of the session, or restore all scenes from one of them',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        snapshot: {
+          type: 'string',
+          description: 'ID of the snapshot to restore; without it the snapshots are listed'
+        }
+      }
+    }
+  },
+  {
+    name: 'copy_elements',
+    description: 'Copy elements, or a group, from another scene into this one. Ids already used in this scene are replaced by new ones.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        fromScene: {
+          type: 'string',
+          description: 'Scene to copy from'
+        },
+        elementIds: {
+          type: 'array',
+          items: { type: 'string' }
+        },
+        groupId: { type: 'string' },
+        dx: { type: 'number', description: 'Horizontal offset of the copies' },
+        dy: { type: 'number', description: 'Vertical offset of the copies' }
+      },
+      required: ['fromScene']
+    }
+  }
+];
+
+const SCENE_PROPERTY = {
+  type: 'string',
+  description: 'Scene to work on (default: the active scene)'
+};
+
+// Tools that manage the scenes themselves instead of working on one
+const SCENE_TOOLS = ['create_scene', 'switch_scene', 'list_scenes', 'close_scene', 'duplicate_scene', 'recover_session'];
+
+TOOLS
+  .filter(tool => !SCENE_TOOLS.includes(tool.name))
+  .forEach(tool => {
+    tool.inputSchema.properties = { ...tool.inputSchema.properties, scene: SCENE_PROPERTY };
+  });
+
+// Named scenes, each with its elements, scene state and undo/redo history
+const scenes = createSceneStore({
+  historyLimit: Number(process.env.HISTORY_LIMIT) || DEFAULT_HISTORY_LIMIT
+});
+
+// Journal and snapshots of all scenes, when AUTOSAVE_DIR is set
+const autosave = process.env.AUTOSAVE_DIR
+  ? createAutosave({
+    directory: process.env.AUTOSAVE_DIR,
+    scenes,
+    snapshotInterval: Number(process.env.AUTOSAVE_SNAPSHOT_INTERVAL) || DEFAULT_SNAPSHOT_INTERVAL
+  })
+  : null;
+
+// Connected client sessions, each with its server and the resource URIs it subscribed to
+const connections = new Set();
+
+// Tool calls from all sessions and viewer edits run one at a time
+let toolCallQueue = Promise.resolve();
+
+// Live viewer of the active scene, when VIEWER_PORT is set
+let viewer = null;
+
+// Directory all file paths are confined to
+const workspace = createWorkspace(process.env.WORKSPACE_DIR || DEFAULT_WORKSPACE_DIR);
+
+// Tools that move through the history instead of being recorded in it
+const HISTORY_TOOLS = ['undo', 'redo'];
+
+// Name edits made in the live viewer are recorded under
+const VIEWER_EDIT = 'viewer_edit';
+
+// Schema definitions using zod
+const ElementSchema = z.object({
+  type: z.enum(Object.values(EXCALIDRAW_ELEMENT_TYPES)),
+  x: z.number(),
+  y: z.number(),
+  width: z.number().optional(),
+  height: z.number().optional(),
+  points: z.array(z.union([
+    z.tuple([z.number(), z.number()]),
+    z.object({ x: z.number(), y: z.number() })
+  ])).optional(),
+  backgroundColor: z.string().optional(),
+  strokeColor: z.string().optional(),
+  strokeWidth: z.number().optional(),
+  roughness: z.number().optional(),
+  opacity: z.number().optional(),
+  text: z.string().optional(),
+  fontSize: z.number().optional(),
+  fontFamily: z.any().optional() // Allow any format for fontFamily
+}).passthrough(); // Allow additional properties not explicitly defined
+
+const ElementIdSchema = z.object({
+  id: z.string()
+});
+
+const ForceSchema = z.object({
+  force: z.boolean().optional()
+});
+
+const ElementIdsSchema = z.object({
+  elementIds: z.array(z.string())
+});
+
+// Tools acting on several elements accept either their ids or a group id
+const TargetSchema = z.object({
+  elementIds: z.array(z.string()).optional(),
+  groupId: z.string().optional()
+});
+
+const hasTarget = target => Boolean(target.elementIds || target.groupId);
+
+const GroupTargetSchema = TargetSchema.extend(ForceSchema.shape).refine(hasTarget, {
+  message: 'Either elementIds or groupId is required'
+});
+
+const DeleteElementSchema = z.object({
+  id: z.string().optional(),
+  groupId: z.string().optional(),
+  force: z.boolean().optional()
+}).refine(target => target.id || target.groupId, {
+  message: 'Either id or groupId is required'
+});
+
+const MoveElementsSchema = TargetSchema.extend({
+  dx: z.number(),
+  dy: z.number(),
+  force: z.boolean().optional()
+}).refine(hasTarget, {
+  message: 'Either elementIds or groupId is required'
+});
+
+const AlignElementsSchema = z.object({
+  elementIds: z.array(z.string()),
+  alignment: z.enum(['left', 'center', 'right', 'top', 'middle', 'bottom']),
+  anchorId: z.string().optional(),
+  force: z.boolean().optional()
+});
+
+const DistributeElementsSchema = z.object({
+  elementIds: z.array(z.string()),
+  direction: z.enum(['horizontal', 'vertical']),
+  mode: z.enum(['gap', 'center']).optional(),
+  gap: z.number().optional(),
+  force: z.boolean().optional()
+});
+
+const AutoLayoutSchema = TargetSchema.extend({
+  algorithm: z.enum(LAYOUT_ALGORITHMS).optional(),
+  direction: z.enum(LAYOUT_DIRECTIONS).optional(),
+  nodeSpacing: z.number().nonnegative().optional(),
+  layerSpacing: z.number().nonnegative().optional(),
+  columns: z.number().int().positive().optional(),
+  force: z.boolean().optional()
+});
+
+const ConnectElementsSchema = z.object({
+  sourceId: z.string(),
+  targetId: z.string(),
+  style: z.enum(ROUTING_STYLES).optional(),
+  strokeColor: z.string().optional(),
+  strokeWidth: z.number().optional(),
+  strokeStyle: z.enum(['solid', 'dashed', 'dotted']).optional(),
+  startArrowhead: z.enum(ARROWHEADS.filter(Boolean)).nullable().optional(),
+  endArrowhead: z.enum(ARROWHEADS.filter(Boolean)).nullable().optional(),
+  force: z.boolean().optional()
+});
+
+const BatchOperationSchema = z.discriminatedUnion('op', [
+  z.object({
+    op: z.literal('create'),
+    key: z.string().optional(),
+    element: ElementSchema.extend({ label: z.string().optional() }),
+    force: z.boolean().optional()
+  }),
+  ElementIdSchema.extend({
+    op: z.literal('update'),
+    updates: ElementSchema.partial(),
+    force: z.boolean().optional()
+  }),
+  ElementIdSchema.extend({
+    op: z.literal('delete'),
+    force: z.boolean().optional()
+  }),
+  ConnectElementsSchema.extend({
+    op: z.literal('connect'),
+    key: z.string().optional(),
+    label: z.string().optional()
+  }),
+  ElementIdsSchema.extend({
+    op: z.literal('group'),
+    key: z.string().optional(),
+    force: z.boolean().optional()
+  })
+]);
+
+const BatchSchema = z.object({
+  operations: z.array(BatchOperationSchema).min(1)
+});
+
+const SetLabelSchema = z.object({
+  containerId: z.string(),
+  text: z.string(),
+  fontSize: z.number().optional(),
+  fontFamily: z.any().optional(),
+  strokeColor: z.string().optional(),
+  force: z.boolean().optional()
+});
+
+const RectSchema = z.object({
+  x: z.number(),
+  y: z.number(),
+  width: z.number(),
+  height: z.number()
+});
+
+const QuerySchema = z.object({
+  type: z.enum(Object.values(EXCALIDRAW_ELEMENT_TYPES)).optional(),
+  filter: z.record(z.any()).optional(),
+  inside: RectSchema.optional(),
+  intersecting: RectSchema.optional(),
+  nearest: z.object({
+    x: z.number(),
+    y: z.number(),
+    count: z.number().int().positive().optional()
+  }).optional(),
+  groupId: z.string().optional(),
+  locked: z.boolean().optional(),
+  sort: z.object({
+    field: z.string(),
+    order: z.enum(['asc', 'desc']).optional()
+  }).optional(),
+  fields: z.array(z.string()).optional(),
+  offset: z.number().int().nonnegative().optional(),
+  limit: z.number().int().positive().optional()
+});
+
+const DescribeSceneSchema = TargetSchema.extend({
+  detail: z.enum(DESCRIBE_DETAILS).optional(),
+  maxTokens: z.number().int().min(100).optional()
+});
+
+const ExportSvgSchema = TargetSchema.extend({
+  padding: z.number().nonnegative().optional(),
+  background: z.string().optional(),
+  theme: z.enum(['light', 'dark']).optional(),
+  format: z.enum(['text', 'image']).optional(),
+  filename: z.string().optional(),
+  overwrite: z.boolean().optional()
+});
+
+const ExportPngSchema = TargetSchema.extend({
+  region: RectSchema.optional(),
+  scale: z.number().positive().max(10).optional(),
+  padding: z.number().nonnegative().optional(),
+  background: z.string().optional(),
+  theme: z.enum(['light', 'dark']).optional(),
+  embedScene: z.boolean().optional(),
+  filename: z.string().optional(),
+  overwrite: z.boolean().optional()
+});
+
+const ExportMermaidSchema = TargetSchema.extend({
+  direction: z.enum(FLOWCHART_DIRECTIONS).optional(),
+  filename: z.string().optional(),
+  overwrite: z.boolean().optional()
+});
+
+const ExportDotSchema = TargetSchema.extend({
+  direction: z.enum(DOT_DIRECTIONS).optional(),
+  filename: z.string().optional(),
+  overwrite: z.boolean().optional()
+});
+
+const LoadFileSchema = z.object({
+  path: z.string().optional(),
+  data: z.string().optional()
+}).refine(params => Boolean(params.path) !== (params.data !== undefined), {
+  message: 'Provide either path or data'
+});
+
+const SaveFileSchema = z.object({
+  filename: z.string(),
+  overwrite: z.boolean().optional()
+});
+
+const ListFilesSchema = z.object({
+  directory: z.string().optional(),
+  recursive: z.boolean().optional()
+});
+
+const HistorySchema = z.object({
+  limit: z.number().int().positive().optional()
+});
+
+const CheckpointSchema = z.object({
+  name: z.string().min(1)
+});
+
+const SceneNameSchema = z.object({
+  name: z.string().min(1)
+});
+
+const CreateSceneSchema = SceneNameSchema.extend({
+  activate: z.boolean().optional()
+});
+
+const DuplicateSceneSchema = SceneNameSchema.extend({
+  source: z.string().optional(),
+  activate: z.boolean().optional()
+});
+
+const CopyElementsSchema = TargetSchema.extend({
+  fromScene: z.string(),
+  dx: z.number().optional(),
+  dy: z.number().optional()
+}).refine(hasTarget, {
+  message: 'Either elementIds or groupId is required'
+});
+
+const RecoverSessionSchema = z.object({
+  snapshot: z.string().optional()
+});
+
+const ResourceSchema = z.object({
+  resource: z.enum(RESOURCE_NAMES)
+});
+
+// MCP server for one client session; all sessions share the scenes
+function createServer() {
+  const server = new Server(
+    {
+      name: "excalidraw-mcp-server",
+      version: "1.0.0",
+      description: "MCP server for Excalidraw"
+    },
+    {
+      capabilities: {
+        tools: {},
+        resources: { subscribe: true },
+      }
+    }
+  );
+  const connection = { server, subscriptions: new Set() };
+  connections.add(connection);
+  server.onclose = () => connections.delete(connection);
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: TOOLS,
+  }));
+
+  server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+    resources: RESOURCES,
+  }));
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+    resourceTemplates: RESOURCE_TEMPLATES,
+  }));
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    const { uri } = request.params;
+    const { elements, state: sceneState } = scenes.get();
+    const payload = readResource(uri, { elements, sceneState });
+
+    return {
+      contents: [{
+        uri,
+        mimeType: 'application/json',
+        text: JSON.stringify(payload, null, 2)
+      }]
+    };
+  });
+
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    connection.subscriptions.add(request.params.uri);
+    return {};
+  });
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    connection.subscriptions.delete(request.params.uri);
+    return {};
+  });
+
+  server.setRequestHandler(CallToolRequestSchema, request => enqueueToolCall(() => callTool(request)));
+
+  return server;
+}
+
+function enqueueToolCall(task) {
+  const result = toolCallQueue.then(task);
+  toolCallQueue = result.catch(() => {});
+  return result;
+}
+
+async function callTool(request) {
+  const { scene: sceneName, ...args } = request.params.arguments || {};
+  let scene;
+  try {
+    scene = scenes.get(sceneName);
+  } catch (error) {
+    return {
+      content: [{ type: 'text', text: `Error: ${error.message}` }],
+      isError: true
+    };
+  }
+
+  const activeName = scenes.activeName;
+  const sceneNames = getSceneNames();
+  const before = snapshotScene(scene);
+  const result = await handleToolCall({ ...request, params: { ...request.params, arguments: args } }, scene);
+  await commitChanges(scene, before, request.params.name);
+
+  // Resources show the active scene, so all of them change when another scene becomes active
+  const recovered = request.params.name === 'recover_session' && args.snapshot && !result.isError;
+  if (scenes.activeName !== activeName || recovered) {
+    viewer?.showScene();
+    await notifySubscribers();
+  }
+  // The journal only records element changes; scenes created, closed or switched are saved as a snapshot
+  if (autosave && (scenes.activeName !== activeName || getSceneNames() !== sceneNames)) {
+    await saveAutosave(() => autosave.snapshot());
+  }
+  return result;
+}
+
+// Elements changed in the live viewer, merged by version and committed like a tool call; resolves to the rejected ones
+function applyViewerEdit(sceneName, edited) {
+  return enqueueToolCall(async () => {
+    let scene;
+    try {
+      scene = scenes.get(sceneName);
+    } catch {
+      // Closed while the edit was on its way
+      return [];
+    }
+
+    const before = snapshotScene(scene);
+    const { accepted, rejected } = reconcileElements(scene.elements, edited);
+    if (accepted.length > 0) {
+      logger.info(`Applying ${accepted.length} element changes from the viewer`);
+      scene.state.groups = buildGroupIndex(scene.elements);
+      await commitChanges(scene, before, VIEWER_EDIT);
+    }
+    return rejected;
+  });
+}
+
+async function handleToolCall(request, scene) {
+  const { elements, state: sceneState, history } = scene;
+
+  try {
+    const { name, arguments: args } = request.params;
+    logger.info(`Handling tool call: ${name}`);
+
+    switch (name) {
+      case 'load_from_file': {
+        const params = LoadFileSchema.parse(args || {});
+
+        try {
+          const fileData = params.path
+            ? parseSceneFile(params.path, await workspace.read(params.path))
+            : JSON.parse(params.data);
+
+          if (!fileData.elements || !Array.isArray(fileData.elements)) {
+            throw new Error('Invalid Excalidraw file: no elements array found');
+          }
+
+          elements.clear();
+          sceneState.selectedElements.clear();
+
+          fileData.elements.forEach(element => {
+            if (validateElement(element)) {
+              elements.set(element.id, element);
+            } else {
+              logger.warn(`Skipping invalid element: ${element.id || 'unknown'}`);
+            }
+          });
+          sceneState.groups = buildGroupIndex(elements);
+
+          if (fileData.appState) {
+            if (fileData.appState.theme) {
+              sceneState.theme = fileData.appState.theme;
+            }
+            if (fileData.appState.viewport) {
+              sceneState.viewport = fileData.appState.viewport;
+            }
+          }
+
+          return {
+            content: [{
+              type: 'text',
+              text: `Loaded ${elements.size} elements from ${params.path ?? 'file'}`
+            }],
+            isError: false
+          };
+        } catch (error) {
+          logger.error('Failed to load file', { error: error.message });
+          return {
+            content: [{ type: 'text', text: `Error: ${error.message}` }],
+            isError: true
+          };
+        }
+      }
+
+      case 'save_to_file': {
+        try {
+          const params = SaveFileSchema.parse(args);
+
+          const filePath = await workspace.write(params.filename, await serializeScene(scene, params.filename), {
+            overwrite: params.overwrite
+          });
+
+          return {
+            content: [{ type: 'text', text: `File saved successfully to ${filePath}` }],
+            isError: false
+          };
+        } catch (error) {
+          logger.error('Failed to save file', { error: error.message });
+          return {
+            content: [{ type: 'text', text: `Error: ${error.message}` }],
+            isError: true
+          };
+        }
+      }
+
+      case 'list_files': {
+        const params = ListFilesSchema.parse(args || {});
+
+        try {
+          const files = await workspace.list(params.directory, { recursive: params.recursive });
+
+          return {
+            content: [
+              { type: 'text', text: `Found ${files.length} Excalidraw files in ${params.directory ?? 'the workspace'}` },
+              { type: 'text', text: JSON.stringify(files, null, 2) }
+            ],
+            isError: false
+          };
+        } catch (error) {
+          logger.error('Failed to list files', { error: error.message });
+          return {
+            content: [{ type: 'text', text: `Error: ${error.message}` }],
+            isError: true
+          };
+        }
+      }
+
+      case 'clear_scene': {
+        const params = ForceSchema.parse(args || {});
+
+        try {
+          const { unlocked, skipped } = partitionLocked(Array.from(elements.values()), params.force);
+          unlocked.forEach(element => elements.delete(element.id));
+          sceneState.selectedElements.clear();
+          sceneState.groups = buildGroupIndex(elements);
+
+          return {
+            content: [{ type: 'text', text: `Scene cleared successfully${formatSkipped(skipped)}` }],
+            isError: false
+          };
+        } catch (error) {
+          logger.error('Failed to clear scene', { error: error.message });
+          return {
+            content: [{ type: 'text', text: `Error: ${error.message}` }],
+            isError: true
+          };
+        }
+      }
+
+      case 'add_elements_with_mermaid': {
+        const params = z.object({
+          mermaid: z.string(),
+          blockId: z.string().optional(),
+          x: z.number().optional(),
+          y: z.number().optional()
+        }).extend(ForceSchema.shape).parse(args);
+
+        try {
+          const { elements: mermaidElements, logs } = await parseMermaid(params.mermaid);
+          logger.info('Parsed mermaid elements', { logs });
+
+          if (mermaidElements.length === 0) {
+            throw new Error('The Mermaid diagram has no elements');
+          }
+
+          const { mermaid, ...options } = params;
+          const { blockId, added, removed, mapping } = importMermaidBlock(elements, mermaidElements, options);
+          sceneState.groups = buildGroupIndex(elements);
+
+          const bounds = getCommonBounds(added);
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Added ${added.length} elements from Mermaid diagram as block ${blockId}` +
+                  (removed.length ? `, replacing ${removed.length} elements` : '')
+              },
+              {
+                type: 'text',
+                text: JSON.stringify({
+                  blockId,
+                  mapping,
+                  bounds: { x: bounds.minX, y: bounds.minY, width: bounds.width, height: bounds.height }
+                }, null, 2)
+              }
+            ],
+            isError: false
+          };
+        } catch (error) {
+          if (error instanceof MermaidSyntaxError) {
+            const { line, column, expected } = error;
+            return {
+              content: [
+                { type: 'text', text: `Mermaid syntax error${line ? ` on line ${line}` : ''}: ${error.message}` },
+                { type: 'text', text: JSON.stringify({ error: 'syntax', message: error.message, line, column, expected }, null, 2) }
+              ],
+              isError: true
+            };
+          }
 
-          elements.clear();
-          sceneState.selectedElements.clear();
-          sceneState.groups.clear();
+          logger.error('Failed to process Mermaid diagram', {
+            error: error.message,
+            stack: error.stack
+          });
+          return {
+            content: [{ type: 'text', text: `Add elements with Mermaid Error: ${error.message}` }],
+            isError: true
+          };
+        }
+      }
 
-          fileData.elements.forEach(element => {
-            if (validateElement(element)) {
-              elements.set(element.id, element);
-            } else {
-              logger.warn(`Skipping invalid element: ${element.id || 'unknown'}`);
-            }
+      case 'add_elements_with_dot': {
+        const params = z.object({
+          dot: z.string(),
+          x: z.number().optional(),
+          y: z.number().optional()
+        }).parse(args);
+
+        try {
+          const { dot, ...options } = params;
+          const { added, mapping, clusters, warnings } = importDotGraph(elements, parseDot(dot), options);
+          sceneState.groups = buildGroupIndex(elements);
+
+          const bounds = getCommonBounds(added);
+          return {
+            content: [
+              { type: 'text', text: `Added ${added.length} elements from DOT graph` },
+              {
+                type: 'text',
+                text: JSON.stringify({
+                  mapping,
+                  clusters,
+                  bounds: { x: bounds.minX, y: bounds.minY, width: bounds.width, height: bounds.height },
+                  ...(warnings.length > 0 && { warnings })
+                }, null, 2)
+              }
+            ],
+            isError: false
+          };
+        } catch (error) {
+          if (error instanceof DotSyntaxError) {
+            const { line, column } = error;
+            return {
+              content: [
+                { type: 'text', text: `DOT syntax error: ${error.message}` },
+                { type: 'text', text: JSON.stringify({ error: 'syntax', message: error.message, line, column }, null, 2) }
+              ],
+              isError: true
+            };
+          }
+
+          logger.error('Failed to process DOT graph', { error: error.message });
+          return {
+            content: [{ type: 'text', text: `Error: ${error.message}` }],
+            isError: true
+          };
+        }
+      }
+
+      case 'create_element': {
+        const { label, force, ...params } = ElementSchema.extend({ label: z.string().optional() }).extend(ForceSchema.shape).parse(args);
+        logger.info('Creating element', { type: params.type });
+
+        try {
+          const id = generateId();
+          const element = normalizeElement({ ...params, id });
+
+          if (element.containerId) {
+            const [container] = getElementsByIds(elements, [element.containerId]);
+            assertUnlocked(container, force);
+            bindTextToContainer(element, container);
+          }
+
+          elements.set(id, element);
+
+          if (label) {
+            const text = setLabel(elements, element, { text: label });
+            elements.set(text.id, text);
+          }
+
+          return {
+            content: [{
+              type: 'text',
+              text: `Created element with ID: ${id}`
+            }],
+            isError: false
+          };
+        } catch (error) {
+          logger.error('Failed to create element', { error: error.message });
+          return {
+            content: [{ type: 'text', text: `Error: ${error.message}` }],
+            isError: true
+          };
+        }
+      }
+
+      case 'update_element': {
+        const params = ElementSchema.partial().extend(ElementIdSchema.shape).extend(ForceSchema.shape).parse(args);
+        const { id, force, ...updates } = params;
+
+        try {
+          if (!id) throw new Error('Element ID is required');
+
+          const existingElement = elements.get(id);
+          if (!existingElement) throw new Error(`Element with ID ${id} not found`);
+          assertUnlocked(existingElement, force);
+
+          const updatedElement = mergeElementUpdates(existingElement, updates);
+
+          elements.set(id, updatedElement);
+
+          return {
+            content: [{
+              type: 'text',
+              text: `Updated element with ID: ${id}`
+            }],
+            isError: false
+          };
+        } catch (error) {
+          logger.error('Failed to update element', { error: error.message });
+          return {
+            content: [{ type: 'text', text: `Error: ${error.message}` }],
+            isError: true
+          };
+        }
+      }
+
+      case 'delete_element': {
+        const params = DeleteElementSchema.parse(args);
+        const { id, groupId, force } = params;
+
+        try {
+          if (groupId) {
+            const { unlocked, skipped } = partitionLocked(getGroupMembers(elements, groupId), force);
+            unlocked.forEach(element => elements.delete(element.id));
+            sceneState.groups = buildGroupIndex(elements);
+
+            return {
+              content: [{
+                type: 'text',
+                text: `Deleted ${unlocked.length} elements of group: ${groupId}${formatSkipped(skipped)}`
+              }],
+              isError: false
+            };
+          }
+
+          if (!elements.has(id)) throw new Error(`Element with ID ${id} not found`);
+          assertUnlocked(elements.get(id), force);
+
+          elements.delete(id);
+          sceneState.groups = buildGroupIndex(elements);
+
+          return {
+            content: [{
+              type: 'text',
+              text: `Deleted element with ID: ${id}`
+            }],
+            isError: false
+          };
+        } catch (error) {
+          logger.error('Failed to delete element', { error: error.message });
+          return {
+            content: [{ type: 'text', text: `Error: ${error.message}` }],
+            isError: true
+          };
+        }
+      }
+
+      case 'move_elements': {
+        const params = MoveElementsSchema.parse(args);
+        const { dx, dy, force } = params;
+
+        try {
+          const { unlocked: targets, skipped } = partitionLocked(resolveTargets(elements, params), force);
+
+          targets.forEach(element => {
+            element.x += dx;
+            element.y += dy;
           });
 
-          if (fileData.appState) {
-            if (fileData.appState.theme) {
-              sceneState.theme = fileData.appState.theme;
-            }
-            if (fileData.appState.viewport) {
-              sceneState.viewport = fileData.appState.viewport;
-            }
+          const content = [{
+            type: 'text',
+            text: `Moved ${targets.length} elements by (${dx}, ${dy})${formatSkipped(skipped)}`
+          }, {
+            type: 'text',
+            text: JSON.stringify(targets.map(({ id, x, y }) => ({ id, x, y })), null, 2)
+          }];
+
+          return {
+            content,
+            isError: false
+          };
+        } catch (error) {
+          logger.error('Failed to move elements', { error: error.message });
+          return {
+            content: [{ type: 'text', text: `Error: ${error.message}` }],
+            isError: true
+          };
+        }
+      }
+
+      case 'connect_elements': {
+        const params = ConnectElementsSchema.parse(args);
+        const { sourceId, targetId, force, ...options } = params;
+
+        try {
+          const [source, target] = getElementsByIds(elements, [sourceId, targetId]);
+          // The arrow is added to the bound elements of both shapes
+          assertUnlocked(source, force);
+          assertUnlocked(target, force);
+          const arrow = connectElements(source, target, options);
+          elements.set(arrow.id, arrow);
+
+          return {
+            content: [{
+              type: 'text',
+              text: `Connected ${sourceId} to ${targetId} with arrow ID: ${arrow.id}`
+            }],
+            isError: false
+          };
+        } catch (error) {
+          logger.error('Failed to connect elements', { error: error.message });
+          return {
+            content: [{ type: 'text', text: `Error: ${error.message}` }],
+            isError: true
+          };
+        }
+      }
+
+      case 'batch': {
+        const params = BatchSchema.parse(args);
+        logger.info('Applying batch', { operations: params.operations.length });
+
+        try {
+          const problems = validateBatch(elements, params.operations);
+          if (problems.length > 0) {
+            throw new Error(`Invalid batch, nothing was applied:\n${problems.join('\n')}`);
           }
 
+          const { keys, results } = applyBatch(elements, params.operations);
+          sceneState.groups = buildGroupIndex(elements);
+
+          return {
+            content: [
+              { type: 'text', text: `Applied ${results.length} operations` },
+              { type: 'text', text: JSON.stringify({ keys, results }, null, 2) }
+            ],
+            isError: false
+          };
+        } catch (error) {
+          logger.error('Failed to apply batch', { error: error.message });
+          return {
+            content: [{ type: 'text', text: `Error: ${error.message}` }],
+            isError: true
+          };
+        }
+      }
+
+      case 'set_label': {
+        const params = SetLabelSchema.parse(args);
+        const { containerId, force, ...label } = params;
+
+        try {
+          const [container] = getElementsByIds(elements, [containerId]);
+          assertUnlocked(container, force);
+
+          if (label.text === '') {
+            const textId = getBoundTextId(container);
+            if (textId) elements.delete(textId);
+
+            return {
+              content: [{ type: 'text', text: `Removed label of element ${containerId}` }],
+              isError: false
+            };
+          }
+
+          const text = setLabel(elements, container, label);
+          elements.set(text.id, text);
+
           return {
             content: [{
               type: 'text',
-              text: `Loaded ${elements.size} elements from file`
+              text: `Set label of element ${containerId} with text ID: ${text.id}`
             }],
             isError: false
           };
         } catch (error) {
-          logger.error('Failed to load file', { error: error.message });
+          logger.error('Failed to set label', { error: error.message });
+          return {
+            content: [{ type: 'text', text: `Error: ${error.message}` }],
+            isError: true
+          };
+        }
+      }
+
+      case 'query_elements': {
+        const params = QuerySchema.parse(args || {});
+
+        try {
+          const { total, offset, elements: results } = queryElements(Array.from(elements.values()), params);
+
+          return {
+            content: [{
+              type: 'text',
+              text: `Queried ${total} elements` +
+                (results.length < total ? ` (showing ${results.length} from offset ${offset})` : '')
+            }, {
+              type: 'text',
+              text: JSON.stringify(results, null, 2)
+            }],
+            isError: false
+          };
+        } catch (error) {
+          logger.error('Failed to query elements', { error: error.message });
+          return {
+            content: [{ type: 'text', text: `Error: ${error.message}` }],
+            isError: true
+          };
+        }
+      }
+
+      case 'describe_scene': {
+        const params = DescribeSceneSchema.parse(args || {});
+
+        try {
+          const { text } = describeScene(elements, resolveExportElements(elements, params), {
+            title: scene.name,
+            detail: params.detail,
+            maxTokens: params.maxTokens
+          });
+
+          return {
+            content: [{ type: 'text', text }],
+            isError: false
+          };
+        } catch (error) {
+          logger.error('Failed to describe scene', { error: error.message });
+          return {
+            content: [{ type: 'text', text: `Error: ${error.message}` }],
+            isError: true
+          };
+        }
+      }
+
+      case 'get_resource': {
+        const params = ResourceSchema.parse(args);
+        const { resource } = params;
+        logger.info('Getting resource', { resource });
+
+        try {
+          const result = readResource(resourceUri(resource), { elements, sceneState });
+
+          return {
+            content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+            isError: false
+          };
+        } catch (error) {
+          logger.error('Failed to get resource', { error: error.message });
+          return {
+            content: [{ type: 'text', text: `Error: ${error.message}` }],
+            isError: true
+          };
+        }
+      }
+
+      case 'group_elements': {
+        const params = ElementIdsSchema.extend(ForceSchema.shape).parse(args);
+        const { elementIds, force } = params;
+
+        try {
+          const members = expandToOutermostGroups(elements, getElementsByIds(elements, elementIds));
+          members.forEach(member => assertUnlocked(member, force));
+          const groupId = groupElements(members);
+          sceneState.groups = buildGroupIndex(elements);
+
+          return {
+            content: [{
+              type: 'text',
+              text: `Grouped ${members.length} elements into group: ${groupId}`
+            }],
+            isError: false
+          };
+        } catch (error) {
+          logger.error('Failed to group elements', { error: error.message });
           return {
             content: [{ type: 'text', text: `Error: ${error.message}` }],
             isError: true
@@ -385,23 +1958,31 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         }
       }
 
-      case 'save_to_file': {
+      case 'ungroup_elements': {
+        const params = GroupTargetSchema.parse(args);
+
         try {
-          const params = z.object({
-            filename: z.string()
-          }).parse(args);
+          const groupIds = params.groupId
+            ? [params.groupId]
+            : Array.from(new Set(getElementsByIds(elements, params.elementIds).map(getOutermostGroupId)));
 
-          const fileData = createExcalidrawFileData();
-          const filePath = path.isAbsolute(params.filename) ? params.filename : path.join('/tmp', params.filename);
+          if (groupIds.some(groupId => !groupId)) {
+            throw new Error('Some of the elements are not grouped');
+          }
 
-          await writeFile(filePath, JSON.stringify(fileData, null, 2), 'utf8');
+          groupIds.forEach(groupId => getGroupMembers(elements, groupId).forEach(member => assertUnlocked(member, params.force)));
+          groupIds.forEach(groupId => ungroupElements(elements, groupId));
+          sceneState.groups = buildGroupIndex(elements);
 
           return {
-            content: [{ type: 'text', text: `File saved successfully to ${filePath}` }],
+            content: [{
+              type: 'text',
+              text: `Ungrouped elements from group: ${groupIds.join(', ')}`
+            }],
             isError: false
           };
         } catch (error) {
-          logger.error('Failed to save file', { error: error.message });
+          logger.error('Failed to ungroup elements', { error: error.message });
           return {
             content: [{ type: 'text', text: `Error: ${error.message}` }],
             isError: true
@@ -409,18 +1990,31 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         }
       }
 
-      case 'clear_scene': {
+      case 'align_elements': {
+        const params = AlignElementsSchema.parse(args);
+        const { elementIds, alignment, anchorId, force } = params;
+
         try {
-          elements.clear();
-          sceneState.selectedElements.clear();
-          sceneState.groups.clear();
+          logger.info('Aligning elements', { elementIds, alignment, anchorId });
+
+          const targets = getElementsByIds(elements, elementIds);
+          const anchor = anchorId ? getElementsByIds(elements, [anchorId])[0] : undefined;
+          const { moved, skipped } = alignElements(targets, alignment, { anchor, force });
+
+          const content = [{
+            type: 'text',
+            text: `Aligned ${moved.length} elements to ${alignment}${formatSkipped(skipped)}`
+          }, {
+            type: 'text',
+            text: JSON.stringify(moved.map(({ element: { id, x, y } }) => ({ id, x, y })), null, 2)
+          }];
 
           return {
-            content: [{ type: 'text', text: 'Scene cleared successfully' }],
+            content,
             isError: false
           };
         } catch (error) {
-          logger.error('Failed to clear scene', { error: error.message });
+          logger.error('Failed to align elements', { error: error.message });
           return {
             content: [{ type: 'text', text: `Error: ${error.message}` }],
             isError: true
@@ -428,70 +2022,66 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         }
       }
 
-      case 'add_elements_with_mermaid': {
-        const params = z.object({
-          mermaid: z.string()
-        }).parse(args);
+      case 'distribute_elements': {
+        const params = DistributeElementsSchema.parse(args);
+        const { elementIds, direction, mode, gap, force } = params;
 
         try {
-          const { elements: mermaidElements, logs } = await parseMermaid(params.mermaid);
-          logger.info('Parsed mermaid elements', { logs });
-          // logger.info('Parsed mermaid elements', { mermaidElements });
-
-          mermaidElements.forEach((element) => {
-            if (!element.id) {
-              element.id = generateId();
-            }
+          logger.info('Distributing elements', { elementIds, direction, mode, gap });
 
-            elements.set(element.id, element);
-          });
-
-          const content = [
-            { type: 'text', text: `Added ${mermaidElements.length} elements from Mermaid diagram` }
-          ];
+          const targets = getElementsByIds(elements, elementIds);
+          const { moved, skipped } = distributeElements(targets, direction, { mode, gap, force });
 
-          mermaidElements.forEach(element => {
-            content.push({ type: 'text', text: JSON.stringify(element, null, 2) });
-          });
+          const content = [{
+            type: 'text',
+            text: `Distributed ${moved.length} elements ${direction}ly${formatSkipped(skipped)}`
+          }, {
+            type: 'text',
+            text: JSON.stringify(moved.map(({ element: { id, x, y } }) => ({ id, x, y })), null, 2)
+          }];
 
           return {
             content,
             isError: false
           };
         } catch (error) {
-          logger.error('Failed to process Mermaid diagram', {
-            error: error.message,
-            stack: error.stack
-          });
+          logger.error('Failed to distribute elements', { error: error.message });
           return {
-            content: [{ type: 'text', text: `Add elements with Mermaid Error: ${error.message}` }],
+            content: [{ type: 'text', text: `Error: ${error.message}` }],
             isError: true
           };
         }
       }
 
-      case 'create_element': {
-        const params = ElementSchema.parse(args);
-        logger.info('Creating element', { type: params.type });
+      case 'auto_layout': {
+        const { elementIds, groupId, ...options } = AutoLayoutSchema.parse(args || {});
 
         try {
-          const id = generateId();
-          const element = {
-            id,
-            ...params
-          };
+          logger.info('Laying out elements', { algorithm: options.algorithm, elementIds, groupId });
+
+          let targets;
+          if (groupId) {
+            targets = getGroupMembers(elements, groupId);
+          } else if (elementIds) {
+            targets = expandToOutermostGroups(elements, getElementsByIds(elements, elementIds));
+          } else {
+            targets = Array.from(elements.values());
+          }
 
-          elements.set(id, element);
+          const { nodes, moved, skipped, arrows } = autoLayout(elements, targets, { ...options, scopeGroupId: groupId });
 
           return {
             content: [{
               type: 'text',
-              text: `Created element with ID: ${id}`
+              text: `Laid out ${nodes} shapes with the ${options.algorithm ?? 'layered'} layout, ${arrows.length} bound arrows followed${formatSkipped(skipped)}`
+            }, {
+              type: 'text',
+              text: JSON.stringify(moved.map(({ id, x, y }) => ({ id, x, y })), null, 2)
             }],
             isError: false
           };
         } catch (error) {
-          logger.error('Failed to create element', { error: error.message });
+          logger.error('Failed to lay out elements', { error: error.message });
           return {
             content: [{ type: 'text', text: `Error: ${error.message}` }],
             isError: true
@@ -499,32 +2089,33 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         }
       }
 
-      case 'update_element': {
-        const params = ElementSchema.partial().extend(ElementIdSchema).parse(args);
-        const { id, ...updates } = params;
+      case 'export_svg': {
+        const params = ExportSvgSchema.parse(args || {});
 
         try {
-          if (!id) throw new Error('Element ID is required');
-
-          const existingElement = elements.get(id);
-          if (!existingElement) throw new Error(`Element with ID ${id} not found`);
+          const svg = renderSvg(resolveExportElements(elements, params), {
+            padding: params.padding,
+            background: params.background === 'transparent' ? false : params.background,
+            theme: params.theme ?? sceneState.theme
+          });
 
-          const updatedElement = {
-            ...existingElement,
-            ...updates
-          };
+          if (params.filename) {
+            const filePath = await workspace.write(params.filename, svg, { overwrite: params.overwrite });
 
-          elements.set(id, updatedElement);
+            return {
+              content: [{ type: 'text', text: `SVG saved successfully to ${filePath}` }],
+              isError: false
+            };
+          }
 
           return {
-            content: [{
-              type: 'text',
-              text: `Updated element with ID: ${id}`
-            }],
+            content: [params.format === 'image'
+              ? { type: 'image', data: Buffer.from(svg).toString('base64'), mimeType: 'image/svg+xml' }
+              : { type: 'text', text: svg }],
             isError: false
           };
         } catch (error) {
-          logger.error('Failed to update element', { error: error.message });
+          logger.error('Failed to export SVG', { error: error.message });
           return {
             content: [{ type: 'text', text: `Error: ${error.message}` }],
             isError: true
@@ -532,24 +2123,42 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         }
       }
 
-      case 'delete_element': {
-        const params = ElementIdSchema.parse(args);
-        const { id } = params;
+      case 'export_png': {
+        const params = ExportPngSchema.parse(args || {});
 
         try {
-          if (!elements.has(id)) throw new Error(`Element with ID ${id} not found`);
+          let exported = resolveExportElements(elements, params);
+          if (params.region) {
+            exported = queryElements(exported, { intersecting: params.region }).elements;
+          }
+          if (exported.length === 0) throw new Error('Nothing to export');
+
+          const base64 = await exportPng(exported, {
+            scale: params.scale,
+            padding: params.padding,
+            background: params.background === 'transparent' ? false : params.background,
+            theme: params.theme ?? sceneState.theme,
+            region: params.region
+          });
 
-          elements.delete(id);
+          let png = Buffer.from(base64, 'base64');
+          if (params.embedScene) {
+            png = embedSceneInPng(png, JSON.stringify(createExcalidrawFileData(scene, exported)));
+          }
+
+          const content = [{ type: 'image', data: png.toString('base64'), mimeType: 'image/png' }];
+
+          if (params.filename) {
+            const filePath = await workspace.write(params.filename, png, { overwrite: params.overwrite });
+            content.push({ type: 'text', text: `PNG saved successfully to ${filePath}` });
+          }
 
           return {
-            content: [{
-              type: 'text',
-              text: `Deleted element with ID: ${id}`
-            }],
+            content,
             isError: false
           };
         } catch (error) {
-          logger.error('Failed to delete element', { error: error.message });
+          logger.error('Failed to export PNG', { error: error.message });
           return {
             content: [{ type: 'text', text: `Error: ${error.message}` }],
             isError: true
@@ -557,34 +2166,31 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         }
       }
 
-      case 'query_elements': {
-        const params = QuerySchema.parse(args || {});
-        const { type, filter } = params;
+      case 'export_mermaid': {
+        const params = ExportMermaidSchema.parse(args || {});
 
         try {
-          let results = Array.from(elements.values());
+          const { mermaid, warnings } = exportFlowchart(elements, resolveExportElements(elements, params), {
+            direction: params.direction
+          });
 
-          if (type) {
-            results = results.filter(element => element.type === type);
+          const content = [];
+          if (params.filename) {
+            const filePath = await workspace.write(params.filename, mermaid, { overwrite: params.overwrite });
+            content.push({ type: 'text', text: `Mermaid flowchart saved successfully to ${filePath}` });
+          } else {
+            content.push({ type: 'text', text: mermaid });
           }
-
-          if (filter) {
-            results = results.filter(element => {
-              return Object.entries(filter).every(([key, value]) => {
-                return element[key] === value;
-              });
-            });
+          if (warnings.length > 0) {
+            content.push({ type: 'text', text: JSON.stringify({ warnings }, null, 2) });
           }
 
           return {
-            content: [{
-              type: 'text',
-              text: `Queried ${results.length} elements`
-            }],
+            content,
             isError: false
           };
         } catch (error) {
-          logger.error('Failed to query elements', { error: error.message });
+          logger.error('Failed to export Mermaid', { error: error.message });
           return {
             content: [{ type: 'text', text: `Error: ${error.message}` }],
             isError: true
@@ -592,46 +2198,31 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         }
       }
 
-      case 'get_resource': {
-        const params = ResourceSchema.parse(args);
-        const { resource } = params;
-        logger.info('Getting resource', { resource });
+      case 'export_dot': {
+        const params = ExportDotSchema.parse(args || {});
 
         try {
-          let result;
-          switch (resource) {
-            case 'scene':
-              result = {
-                theme: sceneState.theme,
-                viewport: sceneState.viewport,
-                selectedElements: Array.from(sceneState.selectedElements)
-              };
-              break;
-            case 'library':
-              result = {
-                elements: Array.from(elements.values())
-              };
-              break;
-            case 'theme':
-              result = {
-                theme: sceneState.theme
-              };
-              break;
-            case 'elements':
-              result = {
-                elements: Array.from(elements.values())
-              };
-              break;
-            default:
-              throw new Error(`Unknown resource: ${resource}`);
+          const { dot, warnings } = exportDot(elements, resolveExportElements(elements, params), {
+            direction: params.direction
+          });
+
+          const content = [];
+          if (params.filename) {
+            const filePath = await workspace.write(params.filename, dot, { overwrite: params.overwrite });
+            content.push({ type: 'text', text: `DOT graph saved successfully to ${filePath}` });
+          } else {
+            content.push({ type: 'text', text: dot });
+          }
+          if (warnings.length > 0) {
+            content.push({ type: 'text', text: JSON.stringify({ warnings }, null, 2) });
           }
 
           return {
-            content: [{ type: 'text', text: `Got resource: ${resource}` }],
+            content,
             isError: false
           };
         } catch (error) {
-          logger.error('Failed to get resource', { error: error.message });
+          logger.error('Failed to export DOT', { error: error.message });
           return {
             content: [{ type: 'text', text: `Error: ${error.message}` }],
             isError: true
@@ -639,23 +2230,23 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         }
       }
 
-      case 'group_elements': {
-        const params = ElementIdsSchema.parse(args);
-        const { elementIds } = params;
-
+      case 'undo':
+      case 'redo': {
         try {
-          const groupId = generateId();
-          sceneState.groups.set(groupId, elementIds);
+          const entry = name === 'undo'
+            ? history.undo(elements, sceneState)
+            : history.redo(elements, sceneState);
+          sceneState.groups = buildGroupIndex(elements);
 
           return {
             content: [{
               type: 'text',
-              text: `Grouped ${elementIds.length} elements`
+              text: `${name === 'undo' ? 'Undid' : 'Redid'} ${entry.tool} affecting ${entry.changes.length} elements`
             }],
             isError: false
           };
         } catch (error) {
-          logger.error('Failed to group elements', { error: error.message });
+          logger.error(`Failed to ${name}`, { error: error.message });
           return {
             content: [{ type: 'text', text: `Error: ${error.message}` }],
             isError: true
@@ -663,27 +2254,23 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         }
       }
 
-      case 'ungroup_elements': {
-        const params = GroupIdSchema.parse(args);
-        const { groupId } = params;
+      case 'history': {
+        const params = HistorySchema.parse(args || {});
 
         try {
-          if (!sceneState.groups.has(groupId)) {
-            throw new Error(`Group ${groupId} not found`);
-          }
-
-          const elementIds = sceneState.groups.get(groupId);
-          sceneState.groups.delete(groupId);
+          const result = {
+            canUndo: history.canUndo,
+            canRedo: history.canRedo,
+            entries: history.list(params.limit),
+            checkpoints: history.listCheckpoints()
+          };
 
           return {
-            content: [{
-              type: 'text',
-              text: `Ungrouped elements from group: ${groupId}`
-            }],
+            content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
             isError: false
           };
         } catch (error) {
-          logger.error('Failed to ungroup elements', { error: error.message });
+          logger.error('Failed to list history', { error: error.message });
           return {
             content: [{ type: 'text', text: `Error: ${error.message}` }],
             isError: true
@@ -691,23 +2278,21 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         }
       }
 
-      case 'align_elements': {
-        const params = AlignElementsSchema.parse(args);
-        const { elementIds, alignment } = params;
+      case 'create_checkpoint': {
+        const params = CheckpointSchema.parse(args);
 
         try {
-          // Implementation would align elements based on the specified alignment
-          logger.info('Aligning elements', { elementIds, alignment });
+          const checkpoint = history.createCheckpoint(params.name, elements, sceneState);
 
           return {
             content: [{
               type: 'text',
-              text: `Aligned ${elementIds.length} elements to ${alignment}`
+              text: `Created checkpoint ${checkpoint.name} with ${checkpoint.elements.size} elements`
             }],
             isError: false
           };
         } catch (error) {
-          logger.error('Failed to align elements', { error: error.message });
+          logger.error('Failed to create checkpoint', { error: error.message });
           return {
             content: [{ type: 'text', text: `Error: ${error.message}` }],
             isError: true
@@ -715,23 +2300,22 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         }
       }
 
-      case 'distribute_elements': {
-        const params = DistributeElementsSchema.parse(args);
-        const { elementIds, direction } = params;
+      case 'restore_checkpoint': {
+        const params = CheckpointSchema.parse(args);
 
         try {
-          // Implementation would distribute elements based on the specified direction
-          logger.info('Distributing elements', { elementIds, direction });
+          const checkpoint = history.restoreCheckpoint(params.name, elements, sceneState);
+          sceneState.groups = buildGroupIndex(elements);
 
           return {
             content: [{
               type: 'text',
-              text: `Distributed ${elementIds.length} elements ${direction}ly`
+              text: `Restored checkpoint ${checkpoint.name} with ${checkpoint.elements.size} elements`
             }],
             isError: false
           };
         } catch (error) {
-          logger.error('Failed to distribute elements', { error: error.message });
+          logger.error('Failed to restore checkpoint', { error: error.message });
           return {
             content: [{ type: 'text', text: `Error: ${error.message}` }],
             isError: true
@@ -744,17 +2328,23 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         const { elementIds } = params;
 
         try {
+          const notFound = [];
+          let count = 0;
           elementIds.forEach(id => {
             const element = elements.get(id);
             if (element) {
               element.locked = true;
+              count++;
+            } else {
+              notFound.push(id);
             }
           });
 
           return {
             content: [{
               type: 'text',
-              text: `Locked ${elementIds.length} elements`
+              text: `Locked ${count} elements` +
+                (notFound.length ? ` (not found: ${notFound.join(', ')})` : '')
             }],
             isError: false
           };
@@ -772,17 +2362,23 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         const { elementIds } = params;
 
         try {
+          const notFound = [];
+          let count = 0;
           elementIds.forEach(id => {
             const element = elements.get(id);
             if (element) {
               element.locked = false;
+              count++;
+            } else {
+              notFound.push(id);
             }
           });
 
           return {
             content: [{
               type: 'text',
-              text: `Unlocked ${elementIds.length} elements`
+              text: `Unlocked ${count} elements` +
+                (notFound.length ? ` (not found: ${notFound.join(', ')})` : '')
             }],
             isError: false
           };
@@ -795,6 +2391,156 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         }
       }
 
+      case 'create_scene': {
+        const params = CreateSceneSchema.parse(args);
+
+        try {
+          scenes.create(params.name);
+          if (params.activate ?? true) scenes.activate(params.name);
+
+          return {
+            content: [{ type: 'text', text: `Created scene ${params.name}${params.activate ?? true ? ', now active' : ''}` }],
+            isError: false
+          };
+        } catch (error) {
+          logger.error('Failed to create scene', { error: error.message });
+          return {
+            content: [{ type: 'text', text: `Error: ${error.message}` }],
+            isError: true
+          };
+        }
+      }
+
+      case 'switch_scene': {
+        const params = SceneNameSchema.parse(args);
+
+        try {
+          scenes.activate(params.name);
+
+          return {
+            content: [{ type: 'text', text: `Switched to scene ${params.name} with ${scenes.get(params.name).elements.size} elements` }],
+            isError: false
+          };
+        } catch (error) {
+          logger.error('Failed to switch scene', { error: error.message });
+          return {
+            content: [{ type: 'text', text: `Error: ${error.message}` }],
+            isError: true
+          };
+        }
+      }
+
+      case 'list_scenes': {
+        const list = scenes.list();
+
+        return {
+          content: [
+            { type: 'text', text: `${list.length} scenes, active: ${scenes.activeName}` },
+            { type: 'text', text: JSON.stringify(list, null, 2) }
+          ],
+          isError: false
+        };
+      }
+
+      case 'close_scene': {
+        const params = SceneNameSchema.parse(args);
+
+        try {
+          scenes.close(params.name);
+
+          return {
+            content: [{ type: 'text', text: `Closed scene ${params.name}; active scene: ${scenes.activeName}` }],
+            isError: false
+          };
+        } catch (error) {
+          logger.error('Failed to close scene', { error: error.message });
+          return {
+            content: [{ type: 'text', text: `Error: ${error.message}` }],
+            isError: true
+          };
+        }
+      }
+
+      case 'duplicate_scene': {
+        const params = DuplicateSceneSchema.parse(args);
+
+        try {
+          const copy = scenes.duplicate(params.source ?? scenes.activeName, params.name);
+          if (params.activate) scenes.activate(params.name);
+
+          return {
+            content: [{ type: 'text', text: `Duplicated scene ${params.source ?? 'the active scene'} into ${params.name} with ${copy.elements.size} elements` }],
+            isError: false
+          };
+        } catch (error) {
+          logger.error('Failed to duplicate scene', { error: error.message });
+          return {
+            content: [{ type: 'text', text: `Error: ${error.message}` }],
+            isError: true
+          };
+        }
+      }
+
+      case 'recover_session': {
+        const params = RecoverSessionSchema.parse(args || {});
+
+        try {
+          if (!autosave) throw new Error('Autosave is disabled; set AUTOSAVE_DIR to enable it');
+
+          if (!params.snapshot) {
+            const snapshots = await autosave.listSnapshots();
+            return {
+              content: [
+                { type: 'text', text: `${snapshots.length} snapshots available` },
+                { type: 'text', text: JSON.stringify(snapshots, null, 2) }
+              ],
+              isError: false
+            };
+          }
+
+          const data = await autosave.recover(params.snapshot);
+          return {
+            content: [{
+              type: 'text',
+              text: `Restored ${data.scenes.length} scenes from snapshot ${params.snapshot} (${data.timestamp}); active scene: ${scenes.activeName}`
+            }],
+            isError: false
+          };
+        } catch (error) {
+          logger.error('Failed to recover session', { error: error.message });
+          return {
+            content: [{ type: 'text', text: `Error: ${error.message}` }],
+            isError: true
+          };
+        }
+      }
+
+      case 'copy_elements': {
+        const { fromScene, dx, dy, ...target } = CopyElementsSchema.parse(args);
+
+        try {
+          const source = scenes.get(fromScene);
+          const copied = withBoundText(source.elements, resolveTargets(source.elements, target));
+          const { copies, idMap } = copyElements(copied, elements, { dx, dy });
+          sceneState.groups = buildGroupIndex(elements);
+
+          const renamed = Object.fromEntries(Array.from(idMap).filter(([from, to]) => from !== to));
+          return {
+            content: [
+              { type: 'text', text: `Copied ${copies.length} elements from scene ${fromScene} into ${scene.name}` },
+              { type: 'text', text: JSON.stringify({ elementIds: copies.map(copy => copy.id), renamed }, null, 2) }
+            ],
+            isError: false
+          };
+        } catch (error) {
+          logger.error('Failed to copy elements', { error: error.message });
+          return {
+            content: [{ type: 'text', text: `Error: ${error.message}` }],
+            isError: true
+          };
+        }
+      }
+
       default:
         throw new Error(`Unknown tool: ${name}`);
     }
@@ -805,33 +2551,210 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       isError: true
     };
   }
-});
+}
+
+function getSceneStateSnapshot(sceneState) {
+  return JSON.stringify({ theme: sceneState.theme, viewport: sceneState.viewport });
+}
+
+// State needed to tell what a tool call changed
+function snapshotScene(scene) {
+  return {
+    elements: snapshotElements(scene.elements),
+    sceneState: getSceneStateSnapshot(scene.state)
+  };
+}
+
+// Tell every session about the changed resources it subscribed to; all of them without `uris`
+async function notifySubscribers(uris = null) {
+  for (const { server, subscriptions } of connections) {
+    for (const uri of subscriptions) {
+      if (uris && !uris.includes(uri)) continue;
+      try {
+        await server.sendResourceUpdated({ uri });
+      } catch (error) {
+        logger.warn('Failed to send resource update', { uri, error: error.message });
+      }
+    }
+  }
+}
+
+// Finalize everything changed in the scene since the snapshot and notify resource subscribers
+async function commitChanges(scene, before, toolName) {
+  const { elements, state: sceneState, history } = scene;
+
+  // Keep arrows and labels attached to the shapes the tool changed; history tools restore them as they were,
+  // and Excalidraw already moved them along with viewer edits
+  if (!HISTORY_TOOLS.includes(toolName) && toolName !== VIEWER_EDIT) {
+    syncBoundText(elements, before.elements);
+    syncBoundArrows(elements, before.elements, diffElements(before.elements, elements));
+    // Arrows that were re-routed carry their labels along
+    syncBoundText(elements, before.elements);
+  }
+
+  const diff = diffElements(before.elements, elements);
+  const sceneStateChanged = before.sceneState !== getSceneStateSnapshot(sceneState);
+  if (!hasChanges(diff) && !sceneStateChanged) return;
+
+  // Every change gets a new version, whichever tool made it
+  diff.updated.forEach(id => {
+    const element = elements.get(id);
+    if (element.version === before.elements.get(id).version) bumpVersion(element);
+  });
+
+  const changes = [...diff.added, ...diff.removed, ...diff.updated].map(id => ({
+    id,
+    before: before.elements.get(id) ?? null,
+    after: elements.has(id) ? structuredClone(elements.get(id)) : null
+  }));
+  const sceneStateAfter = sceneStateChanged ? JSON.parse(getSceneStateSnapshot(sceneState)) : null;
+
+  if (!HISTORY_TOOLS.includes(toolName)) {
+    history.record({
+      tool: toolName,
+      changes,
+      sceneState: sceneStateChanged ? { before: JSON.parse(before.sceneState), after: sceneStateAfter } : null
+    });
+  }
+
+  if (autosave) {
+    await saveAutosave(() => autosave.record({
+      scene: scene.name,
+      tool: toolName,
+      changes: changes.map(({ id, after }) => ({ id, after })),
+      sceneState: sceneStateAfter
+    }));
+  }
+
+  if (scene.name === scenes.activeName) {
+    // Deleted elements go out as a newer version marked isDeleted, as Excalidraw deletes them
+    viewer?.broadcast(scene.name, changes.map(({ before, after }) => after ?? { ...before, isDeleted: true, version: before.version + 1 }));
+    await notifySubscribers(changedUris(diff, sceneStateChanged));
+  }
+}
+
+function getSceneNames() {
+  return scenes.list().map(({ name }) => name).join('\n');
+}
+
+// A failing autosave is logged but does not fail the tool call
+async function saveAutosave(write) {
+  try {
+    await write();
+  } catch (error) {
+    logger.error('Failed to autosave', { error: error.message });
+  }
+}
+
+function getElementsByIds(elements, elementIds) {
+  return elementIds.map(id => {
+    const element = elements.get(id);
+    if (!element) throw new Error(`Element with ID ${id} not found`);
+    return element;
+  });
+}
+
+// Elements addressed either by id or as all members of a group
+function resolveTargets(elements, { elementIds, groupId }) {
+  return groupId ? getGroupMembers(elements, groupId) : getElementsByIds(elements, elementIds);
+}
 
-function createExcalidrawFileData() {
-  const allElements = Array.from(elements.values());
+// Elements to export: the given elements or group, or the whole scene, with their labels
+function resolveExportElements(elements, { elementIds, groupId }) {
+  if (!elementIds && !groupId) return Array.from(elements.values());
+  return withBoundText(elements, resolveTargets(elements, { elementIds, groupId }));
+}
 
+function createExcalidrawFileData(scene, allElements = Array.from(scene.elements.values())) {
   return {
     type: 'excalidraw',
     version: 2,
     source: 'excalidraw-mcp-server',
     elements: allElements,
     appState: {
-      theme: sceneState.theme,
-      viewport: sceneState.viewport,
+      theme: scene.state.theme,
+      viewport: scene.state.viewport,
       gridSize: null,
       exportWithDarkMode: false
     }
   };
 }
 
+// Scene file contents in the format given by the file extension
+async function serializeScene(scene, filename) {
+  const allElements = Array.from(scene.elements.values());
+  const sceneJson = JSON.stringify(createExcalidrawFileData(scene, allElements), null, 2);
+
+  switch (getSceneFormat(filename)) {
+    case 'svg':
+      return embedSceneInSvg(renderSvg(allElements, { theme: scene.state.theme }), sceneJson);
+    case 'png': {
+      if (allElements.length === 0) throw new Error('Nothing to export');
+      const png = Buffer.from(await exportPng(allElements, { theme: scene.state.theme }), 'base64');
+      return embedSceneInPng(png, sceneJson);
+    }
+    default:
+      return sceneJson;
+  }
+}
+
 async function runServer() {
+  const options = parseServerOptions();
+  if (options.ignored.length > 0) logger.warn(`Ignoring unknown command line arguments: ${options.ignored.join(' ')}`);
+
+  logger.info(`Workspace directory: ${await workspace.init()}`);
+
+  if (autosave) {
+    try {
+      const restored = await autosave.restore();
+      if (restored) logger.info('Restored the last session', restored);
+    } catch (error) {
+      logger.error('Failed to restore the last session', { error: error.message });
+    }
+  }
+
+  if (process.env.VIEWER_PORT) {
+    viewer = await startViewer({
+      host: process.env.VIEWER_HOST || DEFAULT_VIEWER_HOST,
+      port: Number(process.env.VIEWER_PORT),
+      getScene: () => scenes.get(),
+      onEdit: applyViewerEdit,
+      logger
+    });
+    logger.info(`Live viewer on http://${process.env.VIEWER_HOST || DEFAULT_VIEWER_HOST}:${viewer.address.port}`);
+  }
+
+  if (options.transport === 'http') {
+    const httpServer = await startHttpServer({ ...options, createServer, logger });
+    logger.info(`Excalidraw MCP server listening on http://${options.host}:${httpServer.address.port}`, {
+      auth: Boolean(options.authToken),
+      cors: options.corsOrigin
+    });
+
+    const shutdown = async () => {
+      await httpServer.close();
+      await viewer?.close();
+      await closeBrowser();
+      process.exit(0);
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+    return;
+  }
+
+  const server = createServer();
   const transport = new StdioServerTransport();
   await server.connect(transport);
-}
 
-runServer().catch(console.error);
+  process.stdin.on('close', () => {
+    console.log('Excalidraw MCP server closed');
+    server.close();
+    viewer?.close();
+    closeBrowser();
+  });
+}
 
-process.stdin.on('close', () => {
-  console.log('Excalidraw MCP server closed');
-  server.close();
+runServer().catch(error => {
+  console.error(error);
+  process.exit(1);
 });
@@ -11,9 +11,6 @@ export const EXCALIDRAW_ELEMENT_TYPES = {
   ARROW_LABEL: 'arrowLabel'
 };
 
-// In-memory storage for Excalidraw elements
-export const elements = new Map();
-
 // Validation function for Excalidraw elements
 export function validateElement(element) {
   const requiredFields = ['type', 'x', 'y'];
@@ -0,0 +1,127 @@
+// Alignment and distribution of Excalidraw elements
+import { getElementBounds, getCommonBounds, getBoundsCenter } from './geometry.js';
+import { isLocked } from './locks.js';
+
+// Offset needed to move `bounds` onto `target` for the given alignment
+function alignmentOffset(bounds, target, alignment) {
+  const center = getBoundsCenter(bounds);
+  const targetCenter = getBoundsCenter(target);
+
+  switch (alignment) {
+    case 'left':
+      return { dx: target.minX - bounds.minX, dy: 0 };
+    case 'center':
+      return { dx: targetCenter.x - center.x, dy: 0 };
+    case 'right':
+      return { dx: target.maxX - bounds.maxX, dy: 0 };
+    case 'top':
+      return { dx: 0, dy: target.minY - bounds.minY };
+    case 'middle':
+      return { dx: 0, dy: targetCenter.y - center.y };
+    case 'bottom':
+      return { dx: 0, dy: target.maxY - bounds.maxY };
+    default:
+      throw new Error(`Unknown alignment: ${alignment}`);
+  }
+}
+
+function moveElement(element, dx, dy) {
+  element.x += dx;
+  element.y += dy;
+  return { element, dx, dy };
+}
+
+/**
+ * Align elements in place.
+ * Elements are aligned to the anchor element when given, otherwise to the
+ * bounding box of all elements. Locked elements are left untouched unless forced.
+ * Returns the applied moves and the ids that were skipped.
+ */
+export function alignElements(elementList, alignment, { anchor, force = false } = {}) {
+  const target = anchor ? getElementBounds(anchor) : getCommonBounds(elementList);
+  const moved = [];
+  const skipped = [];
+
+  elementList.forEach(element => {
+    if (anchor && element.id === anchor.id) return;
+    if (isLocked(element, force)) {
+      skipped.push(element.id);
+      return;
+    }
+
+    const { dx, dy } = alignmentOffset(getElementBounds(element), target, alignment);
+    moved.push(moveElement(element, dx, dy));
+  });
+
+  return { moved, skipped };
+}
+
+/**
+ * Distribute elements in place along the given direction.
+ * In 'gap' mode the space between neighbouring edges is equalized, in 'center'
+ * mode the distance between neighbouring centers. When `gap` is given it is
+ * used as that fixed distance, starting from the first element; otherwise the
+ * first and last elements stay put and the others are spread between them.
+ * Locked elements are left untouched unless forced; the elements after them
+ * are spaced from where they are.
+ */
+export function distributeElements(elementList, direction, { mode = 'gap', gap, force = false } = {}) {
+  if (elementList.length < 2) {
+    throw new Error('At least two elements are required to distribute');
+  }
+
+  const horizontal = direction === 'horizontal';
+  const items = elementList
+    .map(element => {
+      const bounds = getElementBounds(element);
+      return {
+        element,
+        start: horizontal ? bounds.minX : bounds.minY,
+        size: horizontal ? bounds.width : bounds.height
+      };
+    })
+    .sort((a, b) => a.start + a.size / 2 - (b.start + b.size / 2));
+
+  const first = items[0];
+  const last = items[items.length - 1];
+  let step;
+
+  if (gap !== undefined) {
+    step = gap;
+  } else if (mode === 'center') {
+    step = ((last.start + last.size / 2) - (first.start + first.size / 2)) / (items.length - 1);
+  } else {
+    const span = last.start + last.size - first.start;
+    const occupied = items.reduce((sum, item) => sum + item.size, 0);
+    step = (span - occupied) / (items.length - 1);
+  }
+
+  const moved = [];
+  const skipped = [];
+  let cursor = first.start;
+
+  items.forEach((item, index) => {
+    let start;
+    if (index === 0) {
+      start = item.start;
+    } else if (mode === 'center') {
+      const previous = items[index - 1];
+      start = cursor + previous.size / 2 + step - item.size / 2;
+    } else {
+      start = cursor + items[index - 1].size + step;
+    }
+
+    const delta = start - item.start;
+    if (delta && isLocked(item.element, force)) {
+      skipped.push(item.element.id);
+      cursor = item.start;
+      return;
+    }
+    cursor = start;
+    if (!delta) return;
+
+    moved.push(moveElement(item.element, horizontal ? delta : 0, horizontal ? 0 : delta));
+  });
+
+  return { moved, skipped };
+}
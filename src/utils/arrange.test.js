@@ -0,0 +1,112 @@
+import { alignElements, distributeElements } from './arrange.js';
+import { getElementBounds } from './geometry.js';
+import { normalizeElement } from './normalize.js';
+
+const rectangle = (id, x, y, properties = {}) => normalizeElement({ type: 'rectangle', id, x, y, width: 100, height: 50, ...properties });
+
+// Gaps between the edges of neighbouring elements along x
+function horizontalGaps(elementList) {
+  const bounds = elementList.map(getElementBounds).sort((a, b) => a.minX - b.minX);
+  return bounds.slice(1).map((current, index) => current.minX - bounds[index].maxX);
+}
+
+describe('alignElements', () => {
+  test.each([
+    ['left', [0, 0, 0]],
+    ['center', [150, 100, 150]],
+    ['right', [300, 200, 300]]
+  ])('%s alignment lines elements up on the common bounds', (alignment, expected) => {
+    const elements = [rectangle('a', 0, 0), rectangle('b', 100, 100, { width: 200 }), rectangle('c', 300, 200)];
+
+    alignElements(elements, alignment);
+
+    expect(elements.map(element => element.x)).toEqual(expected);
+  });
+
+  test('aligns vertically by the bounds of rotated elements', () => {
+    const elements = [rectangle('a', 0, 0), rectangle('b', 200, 300, { width: 50, height: 100, angle: Math.PI / 2 })];
+
+    alignElements(elements, 'bottom');
+
+    expect(getElementBounds(elements[0]).maxY).toBe(getElementBounds(elements[1]).maxY);
+    expect(elements[1]).toMatchObject({ x: 200, y: 300 });
+  });
+
+  test('aligns to an anchor element without moving it', () => {
+    const anchor = rectangle('anchor', 500, 500);
+    const elements = [rectangle('a', 0, 0), anchor];
+
+    const { moved } = alignElements(elements, 'middle', { anchor });
+
+    expect(moved.map(({ element, dx, dy }) => [element.id, dx, dy])).toEqual([['a', 0, 500]]);
+    expect(anchor).toMatchObject({ x: 500, y: 500 });
+  });
+
+  test('skips locked elements unless forced', () => {
+    const elements = [rectangle('a', 0, 0), rectangle('b', 100, 0, { locked: true })];
+
+    expect(alignElements(elements, 'right').skipped).toEqual(['b']);
+    expect(elements.map(element => element.x)).toEqual([100, 100]);
+
+    elements[0].x = 300;
+    expect(alignElements(elements, 'left', { force: true }).skipped).toEqual([]);
+    expect(elements.map(element => element.x)).toEqual([100, 100]);
+  });
+
+  test('rejects unknown alignments', () => {
+    expect(() => alignElements([rectangle('a', 0, 0)], 'diagonal')).toThrow('Unknown alignment: diagonal');
+  });
+});
+
+describe('distributeElements', () => {
+  test('equalizes the gaps between edges, keeping the first and last in place', () => {
+    const elements = [rectangle('a', 0, 0), rectangle('b', 120, 0), rectangle('c', 500, 0, { width: 200 })];
+
+    const { moved, skipped } = distributeElements(elements, 'horizontal');
+
+    expect(elements.map(element => element.x)).toEqual([0, 250, 500]);
+    expect(horizontalGaps(elements)).toEqual([150, 150]);
+    expect(moved.map(({ element }) => element.id)).toEqual(['b']);
+    expect(skipped).toEqual([]);
+  });
+
+  test('equalizes the distance between centers', () => {
+    const elements = [rectangle('a', 0, 0), rectangle('b', 0, 40, { height: 10 }), rectangle('c', 0, 400, { height: 100 })];
+
+    distributeElements(elements, 'vertical', { mode: 'center' });
+
+    const centers = elements.map(element => element.y + element.height / 2);
+    expect(centers).toEqual([25, 237.5, 450]);
+  });
+
+  test('uses a fixed gap from the first element', () => {
+    const elements = [rectangle('c', 900, 0), rectangle('a', 0, 0), rectangle('b', 300, 0)];
+
+    distributeElements(elements, 'horizontal', { gap: 10 });
+
+    expect(elements.map(element => [element.id, element.x])).toEqual([['c', 220], ['a', 0], ['b', 110]]);
+  });
+
+  test('spaces the elements after a locked one from where it is', () => {
+    const elements = [rectangle('a', 0, 0), rectangle('b', 300, 0, { locked: true }), rectangle('c', 900, 0)];
+
+    const { moved, skipped } = distributeElements(elements, 'horizontal', { gap: 10 });
+
+    expect(skipped).toEqual(['b']);
+    expect(moved.map(({ element }) => element.id)).toEqual(['c']);
+    expect(elements.map(element => element.x)).toEqual([0, 300, 410]);
+  });
+
+  test('moves locked elements with force', () => {
+    const elements = [rectangle('a', 0, 0), rectangle('b', 300, 0, { locked: true })];
+
+    const { skipped } = distributeElements(elements, 'horizontal', { gap: 10, force: true });
+
+    expect(skipped).toEqual([]);
+    expect(elements[1].x).toBe(110);
+  });
+
+  test('needs at least two elements', () => {
+    expect(() => distributeElements([rectangle('a', 0, 0)], 'horizontal')).toThrow('At least two elements are required to distribute');
+  });
+});
@@ -0,0 +1,178 @@
+// Opt-in persistence of the session: a journal of changes plus periodic snapshots of all scenes
+import { appendFile, readdir, rm, writeFile } from 'fs/promises';
+import { buildGroupIndex } from './groups.js';
+import { createWorkspace } from './workspace.js';
+
+// Journal entries written before the journal is compacted into a snapshot
+export const DEFAULT_SNAPSHOT_INTERVAL = 100;
+
+// Snapshots kept for recover_session, newest first
+const MAX_SNAPSHOTS = 20;
+
+const JOURNAL_FILE = 'journal.jsonl';
+const SNAPSHOT_PATTERN = /^snapshot-(\d+)\.json$/;
+
+function snapshotFile(seq) {
+  return `snapshot-${String(seq).padStart(10, '0')}.json`;
+}
+
+// Apply a journal entry to the scene it was recorded for
+function applyEntry(scenes, entry) {
+  let scene;
+  try {
+    scene = scenes.get(entry.scene);
+  } catch {
+    scene = scenes.create(entry.scene);
+  }
+
+  entry.changes.forEach(({ id, after }) => {
+    if (after) {
+      scene.elements.set(id, after);
+    } else {
+      scene.elements.delete(id);
+    }
+  });
+  if (entry.sceneState) Object.assign(scene.state, entry.sceneState);
+  scene.state.groups = buildGroupIndex(scene.elements);
+}
+
+/**
+ * Create the autosave of a scene store in `directory`.
+ * Every change is appended to a journal; after `snapshotInterval` entries
+ * the scenes are written to a snapshot and the journal starts over.
+ * Restoring loads the newest snapshot and replays the journal on top of it.
+ */
+export function createAutosave({ directory, scenes, snapshotInterval = DEFAULT_SNAPSHOT_INTERVAL }) {
+  const storage = createWorkspace(directory);
+  let seq = 0;
+  let entriesSinceSnapshot = 0;
+  // Writes happen one after another, in the order of the changes
+  let queue = Promise.resolve();
+
+  const enqueue = task => {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  async function readSnapshotFiles() {
+    const names = await readdir(storage.root).catch(error => {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    });
+    return names.filter(name => SNAPSHOT_PATTERN.test(name)).sort().reverse();
+  }
+
+  async function readSnapshot(name) {
+    return JSON.parse(await storage.read(name));
+  }
+
+  async function writeSnapshot() {
+    const data = { seq, timestamp: new Date().toISOString(), ...scenes.serialize() };
+    await storage.write(snapshotFile(seq), JSON.stringify(data), { overwrite: true });
+    // Entries up to `seq` are in the snapshot now
+    await writeFile(await storage.resolve(JOURNAL_FILE), '');
+    entriesSinceSnapshot = 0;
+
+    const outdated = (await readSnapshotFiles()).slice(MAX_SNAPSHOTS);
+    await Promise.all(outdated.map(async name => rm(await storage.resolve(name), { force: true })));
+  }
+
+  /**
+   * Append the changes a tool call made to a scene:
+   * `changes` holds the new state of each changed element, null for deleted ones.
+   */
+  function record({ scene, tool, changes, sceneState = null }) {
+    seq++;
+    // Serialized right away, before later calls change the elements
+    const line = JSON.stringify({ seq, timestamp: new Date().toISOString(), scene, tool, changes, sceneState });
+
+    return enqueue(async () => {
+      await appendFile(await storage.resolve(JOURNAL_FILE), `${line}\n`);
+      entriesSinceSnapshot++;
+      if (entriesSinceSnapshot >= snapshotInterval) await writeSnapshot();
+    });
+  }
+
+  // Compact the journal into a snapshot right away
+  function snapshot() {
+    return enqueue(writeSnapshot);
+  }
+
+  /**
+   * Restore the last session: the newest snapshot plus the journal entries after it.
+   * Returns what was restored, or null when there is nothing to restore.
+   */
+  function restore() {
+    return enqueue(async () => {
+      const [latest] = await readSnapshotFiles();
+      const data = latest ? await readSnapshot(latest) : null;
+
+      let lines = [];
+      try {
+        lines = (await storage.read(JOURNAL_FILE)).toString('utf8').split('\n').filter(Boolean);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      if (!data && lines.length === 0) return null;
+
+      if (data) scenes.restore(data);
+      seq = data?.seq ?? 0;
+
+      let replayed = 0;
+      let skipped = 0;
+      lines.forEach(line => {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          // A line cut short by a crash
+          skipped++;
+          return;
+        }
+        if (entry.seq <= seq) return;
+
+        applyEntry(scenes, entry);
+        seq = entry.seq;
+        replayed++;
+      });
+      entriesSinceSnapshot = replayed;
+
+      return { snapshot: latest ?? null, replayed, skipped };
+    });
+  }
+
+  /**
+   * The snapshots that can be recovered, newest first, with the scenes they hold.
+   */
+  async function listSnapshots() {
+    const names = await readSnapshotFiles();
+    return Promise.all(names.map(async name => {
+      const data = await readSnapshot(name);
+      return {
+        id: name.replace(/\.json$/, ''),
+        timestamp: data.timestamp,
+        activeScene: data.activeScene,
+        scenes: data.scenes.map(scene => ({ name: scene.name, elements: scene.elements.length }))
+      };
+    }));
+  }
+
+  // Replace all scenes with a snapshot, which then becomes the latest state
+  function recover(id) {
+    return enqueue(async () => {
+      const name = `${id}.json`;
+      if (!SNAPSHOT_PATTERN.test(name) || !(await readSnapshotFiles()).includes(name)) {
+        throw new Error(`Snapshot ${id} not found`);
+      }
+
+      const data = await readSnapshot(name);
+      scenes.restore(data);
+      seq++;
+      await writeSnapshot();
+      return data;
+    });
+  }
+
+  return { record, snapshot, restore, listSnapshots, recover };
+}
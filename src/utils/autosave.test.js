@@ -0,0 +1,101 @@
+import { appendFile, mkdtemp, readdir, readFile, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createAutosave } from './autosave.js';
+import { createSceneStore } from './scenes.js';
+import { normalizeElement } from './normalize.js';
+
+const rectangle = (id, x = 0) => normalizeElement({ type: 'rectangle', id, x, y: 0, width: 100, height: 50 });
+
+describe('createAutosave', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(path.join(os.tmpdir(), 'autosave-test-'));
+  });
+
+  afterEach(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  // Record adding `element` to a scene of `scenes`, the way the server does after a tool call
+  function recordAdd(autosave, scenes, element, scene = 'default') {
+    scenes.get(scene).elements.set(element.id, element);
+    return autosave.record({ scene, tool: 'create_element', changes: [{ id: element.id, after: element }] });
+  }
+
+  test('has nothing to restore in an empty directory', async () => {
+    expect(await createAutosave({ directory, scenes: createSceneStore() }).restore()).toBeNull();
+  });
+
+  test('restores the session from the journal', async () => {
+    const scenes = createSceneStore();
+    const autosave = createAutosave({ directory, scenes });
+    scenes.create('other');
+    await recordAdd(autosave, scenes, rectangle('a'));
+    await recordAdd(autosave, scenes, rectangle('b'), 'other');
+    await autosave.record({ scene: 'default', tool: 'delete_element', changes: [{ id: 'a', after: null }] });
+    await autosave.record({ scene: 'default', tool: 'set_theme', changes: [], sceneState: { theme: 'dark' } });
+
+    const restored = createSceneStore();
+    const result = await createAutosave({ directory, scenes: restored }).restore();
+
+    expect(result).toEqual({ snapshot: null, replayed: 4, skipped: 0 });
+    expect(restored.get('default').elements.size).toBe(0);
+    expect(restored.get('default').state.theme).toBe('dark');
+    expect(Array.from(restored.get('other').elements.keys())).toEqual(['b']);
+  });
+
+  test('compacts the journal into a snapshot every few entries', async () => {
+    const scenes = createSceneStore();
+    const autosave = createAutosave({ directory, scenes, snapshotInterval: 2 });
+    await recordAdd(autosave, scenes, rectangle('a'));
+    await recordAdd(autosave, scenes, rectangle('b'));
+    await recordAdd(autosave, scenes, rectangle('c'));
+
+    expect((await readdir(directory)).sort()).toEqual(['journal.jsonl', 'snapshot-0000000002.json']);
+    expect((await readFile(path.join(directory, 'journal.jsonl'), 'utf8')).trim().split('\n')).toHaveLength(1);
+
+    const restored = createSceneStore();
+    const result = await createAutosave({ directory, scenes: restored }).restore();
+
+    expect(result).toEqual({ snapshot: 'snapshot-0000000002.json', replayed: 1, skipped: 0 });
+    expect(Array.from(restored.get().elements.keys())).toEqual(['a', 'b', 'c']);
+  });
+
+  test('skips a journal line cut short by a crash', async () => {
+    const scenes = createSceneStore();
+    await recordAdd(createAutosave({ directory, scenes }), scenes, rectangle('a'));
+    await appendFile(path.join(directory, 'journal.jsonl'), '{"seq":2,"scene":"def');
+
+    const restored = createSceneStore();
+    const result = await createAutosave({ directory, scenes: restored }).restore();
+
+    expect(result).toMatchObject({ replayed: 1, skipped: 1 });
+    expect(restored.get().elements.has('a')).toBe(true);
+  });
+
+  test('recovers an earlier snapshot', async () => {
+    const scenes = createSceneStore();
+    const autosave = createAutosave({ directory, scenes });
+    await recordAdd(autosave, scenes, rectangle('a'));
+    await autosave.snapshot();
+    await recordAdd(autosave, scenes, rectangle('b'));
+    await autosave.snapshot();
+
+    const snapshots = await autosave.listSnapshots();
+    expect(snapshots.map(({ id, scenes: saved }) => [id, saved[0].elements])).toEqual([
+      ['snapshot-0000000002', 2],
+      ['snapshot-0000000001', 1]
+    ]);
+
+    await autosave.recover('snapshot-0000000001');
+    expect(Array.from(scenes.get().elements.keys())).toEqual(['a']);
+    await expect(autosave.recover('../journal')).rejects.toThrow('Snapshot ../journal not found');
+
+    // The recovered state is the latest one now
+    const restored = createSceneStore();
+    await createAutosave({ directory, scenes: restored }).restore();
+    expect(Array.from(restored.get().elements.keys())).toEqual(['a']);
+  });
+});
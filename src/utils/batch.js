@@ -0,0 +1,173 @@
+// Batches of element operations, applied all-or-nothing; keys name what earlier operations created
+import { generateId } from '../types.js';
+import { connectElements, updateBoundArrows } from './bindings.js';
+import { snapshotElements } from './diff.js';
+import { expandToOutermostGroups, groupElements } from './groups.js';
+import { bindTextToContainer, setLabel } from './labels.js';
+import { assertUnlocked } from './locks.js';
+import { normalizeElement, mergeElementUpdates } from './normalize.js';
+
+export const BATCH_OPERATIONS = ['create', 'update', 'delete', 'connect', 'group'];
+
+// Fields of an operation that refer to elements, by id or by key
+function getReferences(operation) {
+  switch (operation.op) {
+    case 'create':
+      return operation.element.containerId ? [operation.element.containerId] : [];
+    case 'update':
+    case 'delete':
+      return [operation.id];
+    case 'connect':
+      return [operation.sourceId, operation.targetId];
+    case 'group':
+      return operation.elementIds;
+    default:
+      return [];
+  }
+}
+
+/**
+ * Check a batch before anything is applied: keys must be unique and not
+ * shadow element ids, and every reference must be an existing element or a
+ * key of an element created by an earlier operation, and not deleted before.
+ * Returns the problems found, empty when the batch is valid.
+ */
+export function validateBatch(elementsMap, operations) {
+  const problems = [];
+  // Operation index defining each key
+  const definitions = new Map();
+  operations.forEach(({ key }, index) => {
+    if (key === undefined) return;
+    if (definitions.has(key)) {
+      problems.push([index, `key ${key} is already defined by operation ${definitions.get(key)}`]);
+    } else if (elementsMap.has(key)) {
+      problems.push([index, `key ${key} is the id of an existing element`]);
+    } else {
+      definitions.set(key, index);
+    }
+  });
+
+  // Keys defined so far, the ones naming groups, and the operation index deleting each id or key
+  const keys = new Set();
+  const groupKeys = new Set();
+  const deleted = new Map();
+
+  operations.forEach((operation, index) => {
+    getReferences(operation).forEach(reference => {
+      if (groupKeys.has(reference)) {
+        problems.push([index, `key ${reference} names a group, not an element`]);
+      } else if (deleted.has(reference)) {
+        problems.push([index, `${reference} was deleted by operation ${deleted.get(reference)}`]);
+      } else if (!keys.has(reference) && !elementsMap.has(reference)) {
+        problems.push([index, definitions.has(reference)
+          ? `key ${reference} is used before operation ${definitions.get(reference)} defines it`
+          : `no element or key ${reference}`]);
+      }
+    });
+
+    if (operation.op === 'delete') deleted.set(operation.id, index);
+    if (definitions.get(operation.key) === index) {
+      keys.add(operation.key);
+      if (operation.op === 'group') groupKeys.add(operation.key);
+    }
+  });
+
+  return problems
+    .sort(([a], [b]) => a - b)
+    .map(([index, problem]) => `Operation ${index}: ${problem}`);
+}
+
+function getElement(elementsMap, id) {
+  const element = elementsMap.get(id);
+  if (!element) throw new Error(`Element with ID ${id} not found`);
+  return element;
+}
+
+const OPERATIONS = {
+  create(elementsMap, { element: { label, ...properties }, force }, resolve) {
+    const id = generateId();
+    const element = normalizeElement({
+      ...properties,
+      ...(properties.containerId && { containerId: resolve(properties.containerId) }),
+      id
+    });
+
+    if (element.containerId) {
+      const container = getElement(elementsMap, element.containerId);
+      assertUnlocked(container, force);
+      bindTextToContainer(element, container);
+    }
+    elementsMap.set(id, element);
+
+    if (!label) return { id };
+    const text = setLabel(elementsMap, element, { text: label });
+    elementsMap.set(text.id, text);
+    return { id, labelId: text.id };
+  },
+
+  update(elementsMap, { id, updates, force }, resolve) {
+    const existing = getElement(elementsMap, resolve(id));
+    assertUnlocked(existing, force);
+    const updated = mergeElementUpdates(existing, updates);
+    elementsMap.set(existing.id, updated);
+    // Arrows connected earlier in the batch are new, so the sync after the call does not see them move
+    updateBoundArrows(elementsMap, existing, updated);
+    return { id: existing.id };
+  },
+
+  delete(elementsMap, { id, force }, resolve) {
+    const existing = getElement(elementsMap, resolve(id));
+    assertUnlocked(existing, force);
+    elementsMap.delete(existing.id);
+    return { id: existing.id };
+  },
+
+  connect(elementsMap, { sourceId, targetId, label, force, ...options }, resolve) {
+    const source = getElement(elementsMap, resolve(sourceId));
+    const target = getElement(elementsMap, resolve(targetId));
+    assertUnlocked(source, force);
+    assertUnlocked(target, force);
+    const arrow = connectElements(source, target, options);
+    elementsMap.set(arrow.id, arrow);
+
+    if (!label) return { id: arrow.id };
+    const text = setLabel(elementsMap, arrow, { text: label });
+    elementsMap.set(text.id, text);
+    return { id: arrow.id, labelId: text.id };
+  },
+
+  group(elementsMap, { elementIds, force }, resolve) {
+    const members = expandToOutermostGroups(elementsMap, elementIds.map(id => getElement(elementsMap, resolve(id))));
+    members.forEach(member => assertUnlocked(member, force));
+    const groupId = groupElements(members);
+    return { groupId, elementIds: members.map(member => member.id) };
+  }
+};
+
+/**
+ * Apply a validated batch to the elements Map. The operations run in order
+ * on a copy of the elements, which replaces them only when all succeed;
+ * a failing operation leaves the Map untouched.
+ * Returns the key to id (or group id) mapping and the result of each operation.
+ */
+export function applyBatch(elementsMap, operations) {
+  const draft = snapshotElements(elementsMap);
+  const keys = {};
+  const resolve = reference => keys[reference] ?? reference;
+
+  const results = operations.map(({ op, key, ...fields }, index) => {
+    let result;
+    try {
+      result = OPERATIONS[op](draft, fields, resolve);
+    } catch (error) {
+      throw new Error(`Operation ${index} (${op}) failed, nothing was applied: ${error.message}`);
+    }
+
+    if (key !== undefined) keys[key] = result.groupId ?? result.id;
+    return { index, op, ...(key !== undefined && { key }), ...result };
+  });
+
+  elementsMap.clear();
+  draft.forEach((element, id) => elementsMap.set(id, element));
+  return { keys, results };
+}
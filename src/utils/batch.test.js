@@ -0,0 +1,139 @@
+import { applyBatch, validateBatch } from './batch.js';
+import { getElementBounds, getPoints } from './geometry.js';
+import { normalizeElement } from './normalize.js';
+
+// Scene point of an arrow's first or last point
+function arrowEnd(arrow, which) {
+  const points = getPoints(arrow);
+  const point = which === 'start' ? points[0] : points[points.length - 1];
+  return { x: arrow.x + point.x, y: arrow.y + point.y };
+}
+
+// Whether the point lies on or just outside the shape's bounds
+function touches(point, shape, tolerance = 10) {
+  const bounds = getElementBounds(shape);
+  return point.x >= bounds.minX - tolerance && point.x <= bounds.maxX + tolerance &&
+    point.y >= bounds.minY - tolerance && point.y <= bounds.maxY + tolerance;
+}
+
+const rectangle = (x, y) => ({ type: 'rectangle', x, y, width: 100, height: 50 });
+
+describe('validateBatch', () => {
+  test('accepts keys defined by earlier operations', () => {
+    expect(validateBatch(new Map(), [
+      { op: 'create', key: 'a', element: rectangle(0, 0) },
+      { op: 'create', key: 'b', element: rectangle(200, 0) },
+      { op: 'connect', sourceId: 'a', targetId: 'b' }
+    ])).toEqual([]);
+  });
+
+  test('reports keys used before they are defined, defined twice or unknown', () => {
+    const problems = validateBatch(new Map(), [
+      { op: 'connect', sourceId: 'a', targetId: 'missing' },
+      { op: 'create', key: 'a', element: rectangle(0, 0) },
+      { op: 'create', key: 'a', element: rectangle(0, 0) }
+    ]);
+
+    expect(problems).toEqual([
+      'Operation 0: key a is used before operation 1 defines it',
+      'Operation 0: no element or key missing',
+      'Operation 2: key a is already defined by operation 1'
+    ]);
+  });
+
+  test('reports references to deleted elements and to group keys', () => {
+    const existing = normalizeElement({ ...rectangle(0, 0), id: 'existing' });
+    const problems = validateBatch(new Map([[existing.id, existing]]), [
+      { op: 'create', key: 'a', element: rectangle(0, 0) },
+      { op: 'group', key: 'g', elementIds: ['a', 'existing'] },
+      { op: 'delete', id: 'existing' },
+      { op: 'update', id: 'existing', updates: { x: 1 } },
+      { op: 'update', id: 'g', updates: { x: 1 } }
+    ]);
+
+    expect(problems).toEqual([
+      'Operation 3: existing was deleted by operation 2',
+      'Operation 4: key g names a group, not an element'
+    ]);
+  });
+});
+
+describe('applyBatch', () => {
+  test('resolves keys to the ids of created elements', () => {
+    const elementsMap = new Map();
+    const { keys, results } = applyBatch(elementsMap, [
+      { op: 'create', key: 'a', element: { ...rectangle(0, 0), label: 'A' } },
+      { op: 'create', key: 'b', element: rectangle(200, 0) },
+      { op: 'connect', key: 'ab', sourceId: 'a', targetId: 'b' },
+      { op: 'group', key: 'g', elementIds: ['a', 'b'] }
+    ]);
+
+    const arrow = elementsMap.get(keys.ab);
+    expect(arrow.startBinding.elementId).toBe(keys.a);
+    expect(arrow.endBinding.elementId).toBe(keys.b);
+    expect(elementsMap.get(keys.a).groupIds).toEqual([keys.g]);
+    expect(elementsMap.get(results[0].labelId).containerId).toBe(keys.a);
+  });
+
+  test('applies nothing when an operation fails', () => {
+    const locked = normalizeElement({ ...rectangle(0, 0), id: 'locked', locked: true });
+    const elementsMap = new Map([[locked.id, locked]]);
+
+    expect(() => applyBatch(elementsMap, [
+      { op: 'create', element: rectangle(200, 0) },
+      { op: 'update', id: 'locked', updates: { x: 50 } }
+    ])).toThrow('Operation 1 (update) failed, nothing was applied');
+
+    expect(Array.from(elementsMap.keys())).toEqual(['locked']);
+    expect(elementsMap.get('locked').x).toBe(0);
+  });
+
+  test('connects a locked shape only with force', () => {
+    const locked = normalizeElement({ ...rectangle(0, 0), id: 'locked', locked: true });
+    const elementsMap = new Map([[locked.id, locked]]);
+    const operations = [
+      { op: 'create', key: 'b', element: rectangle(200, 0) },
+      { op: 'connect', key: 'ab', sourceId: 'locked', targetId: 'b' }
+    ];
+
+    expect(() => applyBatch(elementsMap, operations)).toThrow('Element with ID locked is locked; unlock it or pass force to modify it');
+    expect(elementsMap.get('locked').boundElements).toBeNull();
+
+    const { keys } = applyBatch(elementsMap, [operations[0], { ...operations[1], force: true }]);
+    expect(elementsMap.get('locked').boundElements).toEqual([{ id: keys.ab, type: 'arrow' }]);
+    expect(elementsMap.get(keys.ab)).not.toHaveProperty('force');
+  });
+
+  test('groups and labels locked elements only with force', () => {
+    const locked = normalizeElement({ ...rectangle(0, 0), id: 'locked', locked: true });
+    const elementsMap = new Map([[locked.id, locked]]);
+    const group = [
+      { op: 'create', key: 'b', element: rectangle(200, 0) },
+      { op: 'group', elementIds: ['locked', 'b'] }
+    ];
+    const label = { op: 'create', element: { type: 'label', x: 0, y: 0, text: 'A', containerId: 'locked' } };
+
+    expect(() => applyBatch(elementsMap, group)).toThrow('Operation 1 (group) failed, nothing was applied: Element with ID locked is locked');
+    expect(() => applyBatch(elementsMap, [label])).toThrow('Operation 0 (create) failed, nothing was applied: Element with ID locked is locked');
+    expect(elementsMap.get('locked')).toMatchObject({ groupIds: [], boundElements: null });
+
+    const { results } = applyBatch(elementsMap, [group[0], { ...group[1], force: true }, { ...label, force: true }]);
+    expect(elementsMap.get('locked').groupIds).toEqual([results[1].groupId]);
+    expect(elementsMap.get('locked').boundElements).toEqual([{ id: results[2].id, type: 'text' }]);
+  });
+
+  test('re-routes arrows connected in the batch when a later operation moves their shape', () => {
+    const elementsMap = new Map();
+    const { keys } = applyBatch(elementsMap, [
+      { op: 'create', key: 'a', element: rectangle(0, 0) },
+      { op: 'create', key: 'b', element: rectangle(200, 0) },
+      { op: 'connect', key: 'ab', sourceId: 'a', targetId: 'b' },
+      { op: 'update', id: 'b', updates: { y: 400 } }
+    ]);
+
+    const arrow = elementsMap.get(keys.ab);
+    expect(elementsMap.get(keys.b).y).toBe(400);
+    expect(touches(arrowEnd(arrow, 'start'), elementsMap.get(keys.a))).toBe(true);
+    expect(touches(arrowEnd(arrow, 'end'), elementsMap.get(keys.b))).toBe(true);
+  });
+});
@@ -0,0 +1,240 @@
+// Keeps arrows attached to the shapes they are bound to
+import { getPoints, getElementBounds, getBoundsCenter, isLinearElement } from './geometry.js';
+import { normalizeElement } from './normalize.js';
+
+export const ROUTING_STYLES = ['straight', 'elbow', 'curved'];
+
+// Distance between a shape's outline and the arrow tip bound to it
+export const BINDING_GAP = 5;
+
+const GEOMETRY_KEYS = ['x', 'y', 'width', 'height', 'angle'];
+
+function setPoints(arrow, points) {
+  const asTuples = arrow.points.length === 0 || Array.isArray(arrow.points[0]);
+  arrow.points = points.map(point => (asTuples ? [point.x, point.y] : { x: point.x, y: point.y }));
+
+  const xs = points.map(point => point.x);
+  const ys = points.map(point => point.y);
+  arrow.width = Math.max(...xs) - Math.min(...xs);
+  arrow.height = Math.max(...ys) - Math.min(...ys);
+}
+
+// Place an arrow on absolute scene points: the first point becomes its origin
+function setAbsolutePoints(arrow, points) {
+  arrow.x = points[0].x;
+  arrow.y = points[0].y;
+  setPoints(arrow, points.map(point => ({ x: point.x - arrow.x, y: point.y - arrow.y })));
+}
+
+// Arrows whose start or end is bound to the given element
+export function getBoundArrows(elementsMap, elementId) {
+  return Array.from(elementsMap.values()).filter(element =>
+    element.type === 'arrow' && (
+      element.startBinding?.elementId === elementId ||
+      element.endBinding?.elementId === elementId
+    )
+  );
+}
+
+// Move the ends of an arrow bound to a shape that was moved by (dx, dy)
+function translateArrowEnds(arrow, shapeId, dx, dy) {
+  if ((!dx && !dy) || !Array.isArray(arrow.points) || arrow.points.length < 2) return;
+
+  let points = getPoints(arrow);
+  const last = points.length - 1;
+
+  if (arrow.startBinding?.elementId === shapeId) {
+    // Keep the first point at the local origin: move the arrow, counter-move the rest
+    arrow.x += dx;
+    arrow.y += dy;
+    points = points.map((point, index) => (index === 0 ? point : { x: point.x - dx, y: point.y - dy }));
+  }
+
+  if (arrow.endBinding?.elementId === shapeId) {
+    points[last] = { x: points[last].x + dx, y: points[last].y + dy };
+  }
+
+  setPoints(arrow, points);
+}
+
+/**
+ * Point on the outline of `shape` (plus `gap`) on the line from its center towards `towards`.
+ */
+export function getBoundaryPoint(shape, towards, gap = BINDING_GAP) {
+  const bounds = getElementBounds(shape);
+  const center = getBoundsCenter(bounds);
+  const dx = towards.x - center.x;
+  const dy = towards.y - center.y;
+  const length = Math.hypot(dx, dy);
+  if (length === 0) return center;
+
+  const halfWidth = bounds.width / 2;
+  const halfHeight = bounds.height / 2;
+  let t;
+
+  if (shape.type === 'ellipse') {
+    t = 1 / Math.sqrt((dx / halfWidth) ** 2 + (dy / halfHeight) ** 2);
+  } else if (shape.type === 'diamond') {
+    t = 1 / (Math.abs(dx) / halfWidth + Math.abs(dy) / halfHeight);
+  } else {
+    t = Math.min(
+      dx === 0 ? Infinity : halfWidth / Math.abs(dx),
+      dy === 0 ? Infinity : halfHeight / Math.abs(dy)
+    );
+  }
+  if (!Number.isFinite(t)) t = 0;
+
+  return {
+    x: center.x + dx * t + (dx / length) * gap,
+    y: center.y + dy * t + (dy / length) * gap
+  };
+}
+
+// Orthogonal path leaving and entering through the facing sides
+function elbowPoints(sourceBounds, targetBounds, gap) {
+  const source = getBoundsCenter(sourceBounds);
+  const target = getBoundsCenter(targetBounds);
+  const horizontal = Math.abs(target.x - source.x) >= Math.abs(target.y - source.y);
+
+  if (horizontal) {
+    const forward = target.x >= source.x;
+    const start = { x: forward ? sourceBounds.maxX + gap : sourceBounds.minX - gap, y: source.y };
+    const end = { x: forward ? targetBounds.minX - gap : targetBounds.maxX + gap, y: target.y };
+    if (start.y === end.y) return [start, end];
+
+    const middle = (start.x + end.x) / 2;
+    return [start, { x: middle, y: start.y }, { x: middle, y: end.y }, end];
+  }
+
+  const forward = target.y >= source.y;
+  const start = { x: source.x, y: forward ? sourceBounds.maxY + gap : sourceBounds.minY - gap };
+  const end = { x: target.x, y: forward ? targetBounds.minY - gap : targetBounds.maxY + gap };
+  if (start.x === end.x) return [start, end];
+
+  const middle = (start.y + end.y) / 2;
+  return [start, { x: start.x, y: middle }, { x: end.x, y: middle }, end];
+}
+
+// Straight path bent through a point off its middle
+function curvedPoints(start, end) {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const offset = 0.2;
+
+  return [
+    start,
+    { x: start.x + dx / 2 - dy * offset, y: start.y + dy / 2 + dx * offset },
+    end
+  ];
+}
+
+/**
+ * Absolute points of an arrow from `source` to `target` in the given routing style.
+ */
+export function computeRoute(source, target, style = 'straight', gap = BINDING_GAP) {
+  const sourceBounds = getElementBounds(source);
+  const targetBounds = getElementBounds(target);
+
+  if (style === 'elbow') {
+    return elbowPoints(sourceBounds, targetBounds, gap);
+  }
+
+  const start = getBoundaryPoint(source, getBoundsCenter(targetBounds), gap);
+  const end = getBoundaryPoint(target, getBoundsCenter(sourceBounds), gap);
+
+  return style === 'curved' ? curvedPoints(start, end) : [start, end];
+}
+
+export function getRoutingStyle(arrow) {
+  return arrow.customData?.routing;
+}
+
+// Recompute the path of an arrow created by connectElements()
+export function routeArrow(elementsMap, arrow) {
+  const source = elementsMap.get(arrow.startBinding?.elementId);
+  const target = elementsMap.get(arrow.endBinding?.elementId);
+  if (!source || !target) return;
+
+  setAbsolutePoints(arrow, computeRoute(source, target, getRoutingStyle(arrow), arrow.startBinding.gap ?? BINDING_GAP));
+}
+
+function addBoundElement(shape, arrowId) {
+  const boundElements = (shape.boundElements || []).filter(bound => bound.id !== arrowId);
+  shape.boundElements = [...boundElements, { type: 'arrow', id: arrowId }];
+}
+
+/**
+ * Create an arrow bound to `source` and `target` and register it on both.
+ * The routing style is kept in customData so the arrow can be re-routed later.
+ */
+export function connectElements(source, target, { style = 'straight', ...properties } = {}) {
+  if (isLinearElement(source) || isLinearElement(target)) {
+    throw new Error('Arrows can only connect shapes, not lines or arrows');
+  }
+
+  const binding = elementId => ({ elementId, focus: 0, gap: BINDING_GAP });
+  const arrow = normalizeElement({
+    ...properties,
+    type: 'arrow',
+    x: 0,
+    y: 0,
+    points: [[0, 0]],
+    roundness: style === 'curved' ? { type: 2 } : null,
+    startBinding: binding(source.id),
+    endBinding: binding(target.id),
+    customData: { ...properties.customData, routing: style }
+  });
+
+  setAbsolutePoints(arrow, computeRoute(source, target, style));
+  addBoundElement(source, arrow.id);
+  addBoundElement(target, arrow.id);
+
+  return arrow;
+}
+
+function hasGeometryChanged(before, after) {
+  return GEOMETRY_KEYS.some(key => before[key] !== after[key]);
+}
+
+/**
+ * Bring the arrows bound to `shape` along after it changed from `previous`:
+ * arrows created by connectElements() are re-routed, other arrows have their
+ * bound ends moved, except the ones in `skip`.
+ */
+export function updateBoundArrows(elementsMap, previous, shape, skip = new Set()) {
+  if (isLinearElement(shape) || !hasGeometryChanged(previous, shape)) return;
+
+  getBoundArrows(elementsMap, shape.id).forEach(arrow => {
+    if (getRoutingStyle(arrow)) {
+      routeArrow(elementsMap, arrow);
+    } else if (!skip.has(arrow.id)) {
+      translateArrowEnds(arrow, shape.id, shape.x - previous.x, shape.y - previous.y);
+    }
+  });
+}
+
+/**
+ * Bring arrows in line with the shapes a tool call changed.
+ * `snapshot` holds the elements before the call and `diff` is the result of diffElements().
+ * Arrows created by connectElements() are re-routed; other bound arrows have
+ * their ends moved along, unless the arrow itself was moved by the call as well.
+ * Bindings to deleted shapes and deleted arrows are dropped.
+ */
+export function syncBoundArrows(elementsMap, snapshot, diff) {
+  const movedByTool = new Set(diff.updated.filter(id => {
+    const element = elementsMap.get(id);
+    return isLinearElement(element) && hasGeometryChanged(snapshot.get(id), element);
+  }));
+
+  diff.updated.forEach(id => updateBoundArrows(elementsMap, snapshot.get(id), elementsMap.get(id), movedByTool));
+
+  diff.removed.forEach(id => {
+    elementsMap.forEach(element => {
+      if (element.startBinding?.elementId === id) element.startBinding = null;
+      if (element.endBinding?.elementId === id) element.endBinding = null;
+      if (element.boundElements?.some(bound => bound.id === id)) {
+        element.boundElements = element.boundElements.filter(bound => bound.id !== id);
+      }
+    });
+  });
+}
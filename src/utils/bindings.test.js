@@ -0,0 +1,99 @@
+import { computeRoute, connectElements, getBoundaryPoint, syncBoundArrows } from './bindings.js';
+import { diffElements, snapshotElements } from './diff.js';
+import { normalizeElement } from './normalize.js';
+
+const shape = (id, x, y, type = 'rectangle') => normalizeElement({ type, id, x, y, width: 100, height: 50 });
+
+// Scene points of an arrow
+function absolutePoints(arrow) {
+  return arrow.points.map(([x, y]) => [arrow.x + x, arrow.y + y]);
+}
+
+function connected(source, target, options) {
+  const arrow = connectElements(source, target, options);
+  return { arrow, elementsMap: new Map([source, target, arrow].map(element => [element.id, element])) };
+}
+
+describe('getBoundaryPoint', () => {
+  test('lands on the outline of the shape plus the gap', () => {
+    expect(getBoundaryPoint(shape('a', 0, 0), { x: 500, y: 25 })).toEqual({ x: 105, y: 25 });
+    expect(getBoundaryPoint(shape('a', 0, 0, 'ellipse'), { x: 50, y: -500 })).toEqual({ x: 50, y: -5 });
+    expect(getBoundaryPoint(shape('a', 0, 0, 'diamond'), { x: -500, y: 25 })).toEqual({ x: -5, y: 25 });
+  });
+});
+
+describe('computeRoute', () => {
+  test('routes straight, elbow and curved paths between facing sides', () => {
+    const source = shape('a', 0, 0);
+    const target = shape('b', 300, 100);
+
+    expect(computeRoute(source, target)).toHaveLength(2);
+    expect(computeRoute(source, target, 'elbow')).toEqual([
+      { x: 105, y: 25 },
+      { x: 200, y: 25 },
+      { x: 200, y: 125 },
+      { x: 295, y: 125 }
+    ]);
+    expect(computeRoute(source, target, 'curved')).toHaveLength(3);
+  });
+});
+
+describe('connectElements', () => {
+  test('creates an arrow bound to both shapes and registers it on them', () => {
+    const source = shape('a', 0, 0);
+    const target = shape('b', 300, 0);
+    const { arrow } = connected(source, target, { style: 'elbow', strokeColor: '#ff0000' });
+
+    expect(arrow).toMatchObject({
+      type: 'arrow',
+      strokeColor: '#ff0000',
+      startBinding: { elementId: 'a', gap: 5 },
+      endBinding: { elementId: 'b', gap: 5 },
+      customData: { routing: 'elbow' }
+    });
+    expect(absolutePoints(arrow)).toEqual([[105, 25], [295, 25]]);
+    expect(source.boundElements).toEqual([{ type: 'arrow', id: arrow.id }]);
+    expect(target.boundElements).toEqual([{ type: 'arrow', id: arrow.id }]);
+  });
+
+  test('rejects lines and arrows as ends', () => {
+    const line = normalizeElement({ type: 'line', id: 'line', x: 0, y: 0 });
+    expect(() => connectElements(line, shape('b', 0, 0))).toThrow('Arrows can only connect shapes, not lines or arrows');
+  });
+});
+
+describe('syncBoundArrows', () => {
+  test('re-routes connected arrows when a shape moves', () => {
+    const target = shape('b', 300, 0);
+    const { arrow, elementsMap } = connected(shape('a', 0, 0), target);
+    const snapshot = snapshotElements(elementsMap);
+
+    target.y = 200;
+    syncBoundArrows(elementsMap, snapshot, diffElements(snapshot, elementsMap));
+
+    expect(absolutePoints(arrow)).toEqual(computeRoute(elementsMap.get('a'), target).map(({ x, y }) => [x, y]));
+  });
+
+  test('moves the bound ends of other arrows and keeps their bends', () => {
+    const target = shape('b', 300, 0);
+    const { arrow, elementsMap } = connected(shape('a', 0, 0), target);
+    Object.assign(arrow, { x: 105, y: 25, points: [[0, 0], [100, -100], [190, 0]], customData: undefined });
+    const snapshot = snapshotElements(elementsMap);
+
+    target.y = 200;
+    syncBoundArrows(elementsMap, snapshot, diffElements(snapshot, elementsMap));
+
+    expect(absolutePoints(arrow)).toEqual([[105, 25], [205, -75], [295, 225]]);
+  });
+
+  test('drops bindings to deleted shapes', () => {
+    const { arrow, elementsMap } = connected(shape('a', 0, 0), shape('b', 300, 0));
+    const snapshot = snapshotElements(elementsMap);
+
+    elementsMap.delete('b');
+    elementsMap.delete(arrow.id);
+    syncBoundArrows(elementsMap, snapshot, diffElements(snapshot, elementsMap));
+
+    expect(elementsMap.get('a').boundElements).toEqual([]);
+  });
+});
@@ -0,0 +1,156 @@
+// Mermaid imports kept as blocks: placed on the scene, tagged and replaceable by a later import
+import { generateId } from '../types.js';
+import { getCommonBounds } from './geometry.js';
+import { assertUnlocked } from './locks.js';
+import { normalizeElement } from './normalize.js';
+
+// Space left between the existing scene and an automatically placed block
+export const BLOCK_SPACING = 100;
+
+// Properties a user may restyle by hand; such changes survive a re-import
+const STYLE_KEYS = [
+  'strokeColor',
+  'backgroundColor',
+  'fillStyle',
+  'strokeWidth',
+  'strokeStyle',
+  'roughness',
+  'opacity',
+  'roundness',
+  'fontSize',
+  'fontFamily'
+];
+
+function pickStyle(element) {
+  return Object.fromEntries(STYLE_KEYS.filter(key => key in element).map(key => [key, element[key]]));
+}
+
+export function getBlockId(element) {
+  return element.customData?.mermaid?.block;
+}
+
+export function getBlockElements(elementsMap, blockId) {
+  return Array.from(elementsMap.values()).filter(element => getBlockId(element) === blockId);
+}
+
+// Key matching an element across imports: its Mermaid id, or its container's for labels
+function matchKeys(elementList, getMermaidId) {
+  const byId = new Map(elementList.map(element => [element.id, element]));
+  const keys = new Map();
+
+  elementList.forEach(element => {
+    const mermaidId = getMermaidId(element);
+    if (mermaidId) {
+      keys.set(element.id, mermaidId);
+      return;
+    }
+    const container = byId.get(element.containerId);
+    if (container && getMermaidId(container)) {
+      keys.set(element.id, `${getMermaidId(container)}:label`);
+    }
+  });
+
+  return keys;
+}
+
+// Style changes made to an imported element since the import that created it
+function getStyleOverrides(element) {
+  const imported = element.customData?.mermaid?.style ?? {};
+  return Object.fromEntries(
+    STYLE_KEYS
+      .filter(key => key in element && JSON.stringify(element[key]) !== JSON.stringify(imported[key]))
+      .map(key => [key, element[key]])
+  );
+}
+
+// Top-left corner for a new block: right of the existing scene, or where the converter put it
+export function getAutoOrigin(sceneElements, bounds) {
+  if (sceneElements.length === 0) return { x: bounds.minX, y: bounds.minY };
+
+  const sceneBounds = getCommonBounds(sceneElements);
+  return { x: sceneBounds.maxX + BLOCK_SPACING, y: sceneBounds.minY };
+}
+
+function remapId(id, idMap) {
+  return idMap.get(id) ?? id;
+}
+
+/**
+ * Add converted Mermaid elements to the scene as the block `blockId`.
+ * Converted elements carry their Mermaid id in customData.mermaidId.
+ * When the block exists it is replaced in place: elements whose Mermaid id
+ * still matches keep their element id and hand-made style changes, the rest
+ * of the old block is deleted. New blocks go to (x, y) or next to the scene.
+ * Returns the block id, the new elements and the Mermaid id to element id mapping.
+ */
+export function importMermaidBlock(elementsMap, converted, { blockId = generateId(), x, y, force = false } = {}) {
+  const previous = getBlockElements(elementsMap, blockId);
+  previous.forEach(element => assertUnlocked(element, force));
+
+  const previousByKey = new Map();
+  matchKeys(previous, element => element.customData?.mermaid?.id)
+    .forEach((key, id) => previousByKey.set(key, elementsMap.get(id)));
+  const newKeys = matchKeys(converted, element => element.customData?.mermaidId);
+
+  // Reused ids for matched elements, fresh ones for the rest; imported groups get fresh ids too
+  const idMap = new Map(converted.map(element => [
+    element.id,
+    previousByKey.get(newKeys.get(element.id))?.id ?? generateId()
+  ]));
+  const groupIdMap = new Map();
+  converted.flatMap(element => element.groupIds || []).forEach(groupId => {
+    if (!groupIdMap.has(groupId)) groupIdMap.set(groupId, generateId());
+  });
+
+  const previousIds = new Set(previous.map(element => element.id));
+  const sceneElements = Array.from(elementsMap.values())
+    .filter(element => !previousIds.has(element.id) && !element.isDeleted);
+  const bounds = getCommonBounds(converted);
+  const origin = previous.length > 0
+    ? (({ minX, minY }) => ({ x: minX, y: minY }))(getCommonBounds(previous))
+    : getAutoOrigin(sceneElements, bounds);
+  const dx = (x ?? origin.x) - bounds.minX;
+  const dy = (y ?? origin.y) - bounds.minY;
+
+  const mapping = {};
+  const added = converted.map(source => {
+    const { mermaidId, ...customData } = source.customData || {};
+    const key = newKeys.get(source.id);
+    const match = previousByKey.get(key);
+
+    const element = normalizeElement({
+      ...source,
+      id: idMap.get(source.id),
+      x: source.x + dx,
+      y: source.y + dy,
+      groupIds: (source.groupIds || []).map(groupId => groupIdMap.get(groupId)),
+      containerId: source.containerId ? remapId(source.containerId, idMap) : source.containerId,
+      boundElements: source.boundElements?.map(bound => ({ ...bound, id: remapId(bound.id, idMap) })) ?? null,
+      startBinding: source.startBinding ? { ...source.startBinding, elementId: remapId(source.startBinding.elementId, idMap) } : source.startBinding,
+      endBinding: source.endBinding ? { ...source.endBinding, elementId: remapId(source.endBinding.elementId, idMap) } : source.endBinding
+    });
+    element.customData = { ...customData, mermaid: { block: blockId, id: key, style: pickStyle(element) } };
+
+    if (match) {
+      Object.assign(element, getStyleOverrides(match));
+      // Bumped past the replaced element when the change is committed
+      element.version = match.version;
+      // Keep arrows and text from outside the block bound to this element
+      const external = (match.boundElements || []).filter(bound => !previousIds.has(bound.id));
+      if (external.length > 0) element.boundElements = [...(element.boundElements || []), ...external];
+    }
+    if (mermaidId) mapping[mermaidId] = element.id;
+
+    return element;
+  });
+
+  previous.forEach(element => elementsMap.delete(element.id));
+  added.forEach(element => elementsMap.set(element.id, element));
+
+  return {
+    blockId,
+    added,
+    removed: previous.filter(element => !elementsMap.has(element.id)).map(element => element.id),
+    mapping
+  };
+}
@@ -0,0 +1,81 @@
+import { getBlockElements, importMermaidBlock, BLOCK_SPACING } from './blocks.js';
+import { normalizeElement } from './normalize.js';
+
+// Elements as the Mermaid converter returns them for `A --> B`, optionally without B
+function convert({ withB = true } = {}) {
+  const elements = [
+    { type: 'rectangle', id: 'c1', x: 10, y: 20, width: 100, height: 50, customData: { mermaidId: 'A' }, boundElements: [{ type: 'text', id: 'c1-label' }] },
+    { type: 'text', id: 'c1-label', x: 50, y: 35, text: 'A', containerId: 'c1' }
+  ];
+  if (withB) {
+    elements[0].boundElements.push({ type: 'arrow', id: 'c3' });
+    elements.push(
+      { type: 'rectangle', id: 'c2', x: 10, y: 170, width: 100, height: 50, customData: { mermaidId: 'B' }, boundElements: [{ type: 'arrow', id: 'c3' }] },
+      { type: 'arrow', id: 'c3', x: 60, y: 70, points: [[0, 0], [0, 100]], customData: { mermaidId: 'A-->B' }, startBinding: { elementId: 'c1' }, endBinding: { elementId: 'c2' } }
+    );
+  }
+  return elements;
+}
+
+describe('importMermaidBlock', () => {
+  test('tags the elements with the block and maps Mermaid ids to element ids', () => {
+    const elementsMap = new Map();
+
+    const { blockId, added, mapping } = importMermaidBlock(elementsMap, convert(), { blockId: 'flow' });
+
+    expect(blockId).toBe('flow');
+    expect(Object.keys(mapping)).toEqual(['A', 'B', 'A-->B']);
+    expect(getBlockElements(elementsMap, 'flow')).toEqual(added);
+
+    const [a, label, b, arrow] = added;
+    expect(a).toMatchObject({ x: 10, y: 20, customData: { mermaid: { block: 'flow', id: 'A' } } });
+    expect(a.customData).not.toHaveProperty('mermaidId');
+    expect(label).toMatchObject({ containerId: mapping.A, customData: { mermaid: { id: 'A:label' } } });
+    expect(arrow.startBinding.elementId).toBe(mapping.A);
+    expect(arrow.endBinding.elementId).toBe(mapping.B);
+    expect(b.boundElements).toEqual([{ type: 'arrow', id: mapping['A-->B'] }]);
+  });
+
+  test('places new blocks right of the scene or at the given position', () => {
+    const existing = normalizeElement({ type: 'rectangle', id: 'existing', x: 0, y: -40, width: 200, height: 50 });
+    const elementsMap = new Map([[existing.id, existing]]);
+
+    const placed = importMermaidBlock(elementsMap, convert());
+    const positioned = importMermaidBlock(elementsMap, convert(), { x: 1000, y: 1000 });
+
+    expect(placed.added[0]).toMatchObject({ x: 200 + BLOCK_SPACING, y: -40 });
+    expect(positioned.added[0]).toMatchObject({ x: 1000, y: 1000 });
+  });
+
+  test('replaces a block in place, keeping matched ids and hand-made style changes', () => {
+    const elementsMap = new Map();
+    const first = importMermaidBlock(elementsMap, convert(), { blockId: 'flow', x: 500, y: 500 });
+    elementsMap.get(first.mapping.A).strokeColor = '#e03131';
+
+    const second = importMermaidBlock(elementsMap, convert({ withB: false }), { blockId: 'flow' });
+
+    expect(second.mapping).toEqual({ A: first.mapping.A });
+    expect(second.removed).toEqual([first.mapping.B, first.mapping['A-->B']]);
+    expect(elementsMap.get(first.mapping.A)).toMatchObject({ x: 500, y: 500, strokeColor: '#e03131' });
+    expect(getBlockElements(elementsMap, 'flow')).toHaveLength(2);
+  });
+
+  test('keeps arrows from outside the block bound to replaced elements', () => {
+    const elementsMap = new Map();
+    const { mapping } = importMermaidBlock(elementsMap, convert(), { blockId: 'flow' });
+    elementsMap.get(mapping.A).boundElements.push({ type: 'arrow', id: 'outside' });
+
+    importMermaidBlock(elementsMap, convert(), { blockId: 'flow' });
+
+    expect(elementsMap.get(mapping.A).boundElements).toContainEqual({ type: 'arrow', id: 'outside' });
+  });
+
+  test('replaces blocks with locked elements only with force', () => {
+    const elementsMap = new Map();
+    const { mapping } = importMermaidBlock(elementsMap, convert(), { blockId: 'flow' });
+    elementsMap.get(mapping.B).locked = true;
+
+    expect(() => importMermaidBlock(elementsMap, convert(), { blockId: 'flow' })).toThrow(`Element with ID ${mapping.B} is locked`);
+    expect(importMermaidBlock(elementsMap, convert(), { blockId: 'flow', force: true }).mapping).toEqual(mapping);
+  });
+});
@@ -0,0 +1,292 @@
+// Compact text description of a scene for models: nodes, edges, groups, spatial relations and an outline
+import { getCommonBounds, getElementBounds, getBoundsCenter, isLinearElement } from './geometry.js';
+import { buildGroupTree, getLabelText, isClusterPart } from './graph.js';
+
+export const DESCRIBE_DETAILS = ['summary', 'normal', 'full'];
+export const DEFAULT_MAX_TOKENS = 2000;
+
+// Rough token count of English text with ids and numbers in it
+const CHARS_PER_TOKEN = 4;
+// Labels longer than this are shortened below full detail
+const MAX_LABEL_LENGTH = 40;
+const GRID_ROWS = ['top', 'middle', 'bottom'];
+const GRID_COLUMNS = ['left', 'center', 'right'];
+const FRAME_TYPES = ['frame', 'magicframe'];
+
+export function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+function formatLabel(text, detail) {
+  const flat = String(text).replace(/\s*\n\s*/g, ' / ').trim();
+  if (detail === 'full' || flat.length <= MAX_LABEL_LENGTH) return `"${flat}"`;
+  return `"${flat.slice(0, MAX_LABEL_LENGTH - 1)}…"`;
+}
+
+const round = value => Math.round(value);
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+function isNode(element) {
+  return !element.containerId
+    && !isLinearElement(element)
+    && !FRAME_TYPES.includes(element.type)
+    && !isClusterPart(element);
+}
+
+// Where box `a` is relative to box `b`: left of, above, below-right of, inside, contains, overlaps
+function getRelation(a, b) {
+  if (b.minX >= a.minX && b.maxX <= a.maxX && b.minY >= a.minY && b.maxY <= a.maxY) return 'contains';
+  if (a.minX >= b.minX && a.maxX <= b.maxX && a.minY >= b.minY && a.maxY <= b.maxY) return 'inside';
+
+  const vertical = a.maxY <= b.minY ? 'above' : (a.minY >= b.maxY ? 'below' : '');
+  const horizontal = a.maxX <= b.minX ? 'left' : (a.minX >= b.maxX ? 'right' : '');
+  if (!vertical && !horizontal) return 'overlaps';
+  if (!vertical) return `${horizontal} of`;
+  if (!horizontal) return vertical;
+  return `${vertical}-${horizontal} of`;
+}
+
+// Distance between the edges of two boxes, 0 when they touch or overlap
+function getGap(a, b) {
+  const dx = Math.max(0, b.minX - a.maxX, a.minX - b.maxX);
+  const dy = Math.max(0, b.minY - a.maxY, a.minY - b.maxY);
+  return Math.hypot(dx, dy);
+}
+
+// Pairs worth stating: overlaps and containment always, otherwise each node's nearest neighbour,
+// or at full detail its nearest neighbour on each side
+function getRelations(nodes, detail) {
+  const pairs = new Map();
+  const add = (a, b) => {
+    const key = a.ref < b.ref ? `${a.ref} ${b.ref}` : `${b.ref} ${a.ref}`;
+    if (!pairs.has(key)) pairs.set(key, { a, b, relation: getRelation(a.bounds, b.bounds) });
+  };
+
+  nodes.forEach(a => {
+    const nearest = {};
+    nodes.forEach(b => {
+      if (a === b) return;
+      const gap = getGap(a.bounds, b.bounds);
+      if (gap === 0) {
+        add(a, b);
+        return;
+      }
+      const side = detail === 'full' ? getRelation(a.bounds, b.bounds) : 'any';
+      if (!nearest[side] || gap < nearest[side].gap) nearest[side] = { node: b, gap };
+    });
+    Object.values(nearest).forEach(({ node }) => add(a, node));
+  });
+
+  return Array.from(pairs.values());
+}
+
+// Nodes by cell of a 3×3 grid over their bounds
+function getGrid(nodes, bounds) {
+  const cells = new Map();
+  const cell = (value, min, size) => Math.min(2, Math.max(0, Math.floor(((value - min) / (size || 1)) * 3)));
+
+  nodes.forEach(node => {
+    const center = getBoundsCenter(node.bounds);
+    const name = `${GRID_ROWS[cell(center.y, bounds.minY, bounds.height)]}-${GRID_COLUMNS[cell(center.x, bounds.minX, bounds.width)]}`;
+    if (!cells.has(name)) cells.set(name, []);
+    cells.get(name).push(node.ref);
+  });
+
+  return GRID_ROWS.flatMap(row => GRID_COLUMNS.map(column => `${row}-${column}`))
+    .filter(name => cells.has(name))
+    .map(name => `${name}: ${cells.get(name).join(', ')}`);
+}
+
+function describeNode(node, detail) {
+  const { element } = node;
+  const parts = [node.ref, element.type];
+  if (node.label !== null) parts.push(formatLabel(node.label, detail));
+  if (detail === 'summary') return parts.join(' ');
+
+  parts.push(`id=${element.id}`);
+  if (element.locked) parts.push('locked');
+  if (detail === 'full') {
+    const { bounds } = node;
+    parts.push(`at ${round(bounds.minX)},${round(bounds.minY)} size ${round(bounds.width)}x${round(bounds.height)}`);
+    if (element.backgroundColor && element.backgroundColor !== 'transparent') parts.push(`fill ${element.backgroundColor}`);
+    if (element.strokeColor && element.strokeColor !== '#1e1e1e') parts.push(`stroke ${element.strokeColor}`);
+    if (element.strokeStyle && element.strokeStyle !== 'solid') parts.push(element.strokeStyle);
+    if (element.link) parts.push(`link ${element.link}`);
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Describe the elements of `elementList` in a few lines of text:
+ * nodes (shapes, images and loose text) with their labels, the arrows
+ * between them, groups and frames, spatial relations between neighbours
+ * and where things are on a coarse 3×3 grid. Nodes are named N1, N2, ...
+ * in reading order and groups G1, G2, ..., with element ids from `normal` detail on.
+ * `summary` leaves out the edge, relation and other element lists, `full`
+ * adds geometry, colors and more relations. Lines that do not fit into
+ * `maxTokens` are left out, and a last line says what was.
+ * Returns the text, its estimated token count and whether it was cut.
+ */
+export function describeScene(elementsMap, elementList, { title, detail = 'normal', maxTokens = DEFAULT_MAX_TOKENS } = {}) {
+  const nodes = elementList
+    .filter(isNode)
+    .map(element => ({
+      element,
+      bounds: getElementBounds(element),
+      label: element.type === 'text' ? element.originalText ?? element.text : getLabelText(elementsMap, element)
+    }))
+    .sort((a, b) => a.bounds.minY - b.bounds.minY || a.bounds.minX - b.bounds.minX);
+  nodes.forEach((node, index) => {
+    node.ref = `N${index + 1}`;
+  });
+  const refs = new Map(nodes.map(node => [node.element.id, node.ref]));
+
+  // Arrows with at least one bound end are edges; a loose end is shown as ?
+  const edges = [];
+  const others = [];
+  elementList.forEach(element => {
+    if (element.containerId || isNode(element) || isClusterPart(element) || FRAME_TYPES.includes(element.type)) return;
+    const from = refs.get(element.startBinding?.elementId);
+    const to = refs.get(element.endBinding?.elementId);
+    if (element.type === 'arrow' && (from || to)) {
+      edges.push({ element, from: from ?? '?', to: to ?? '?' });
+    } else {
+      others.push(element);
+    }
+  });
+
+  // Groups by the tree of groupIds, titled by the cluster frames imported from DOT
+  const titles = new Map();
+  elementList.filter(element => isClusterPart(element) && element.type === 'text').forEach(element => {
+    titles.set(element.groupIds[0], element.originalText ?? element.text);
+  });
+  // Each group lists its nodes, then the groups nested in it
+  const groups = [];
+  const walk = branch => Array.from(branch.children, ([groupId, child]) => {
+    const group = { ref: `G${groups.length + 1}`, groupId, members: child.nodes.map(node => node.ref) };
+    groups.push(group);
+    group.members.push(...walk(child));
+    return group.ref;
+  });
+  walk(buildGroupTree(nodes.map(node => ({ groupIds: node.element.groupIds, ref: node.ref }))));
+  const groupLines = groups.map(({ ref, groupId, members }) => {
+    const line = [ref];
+    if (titles.has(groupId)) line.push(formatLabel(titles.get(groupId), detail));
+    if (detail !== 'summary') line.push(`id=${groupId}`);
+    return `${line.join(' ')}: ${members.join(', ')}`;
+  });
+
+  const frames = elementList.filter(element => FRAME_TYPES.includes(element.type));
+  const frameLines = frames.map((frame, index) => {
+    const members = nodes.filter(node => node.element.frameId === frame.id).map(node => node.ref);
+    const line = [`F${index + 1}`, formatLabel(frame.name ?? 'Frame', detail)];
+    if (detail !== 'summary') line.push(`id=${frame.id}`);
+    return `${line.join(' ')}: ${members.join(', ') || 'empty'}`;
+  });
+
+  const bounds = nodes.length > 0 ? getCommonBounds(nodes.map(node => node.element)) : null;
+  const counts = [
+    plural(nodes.length, 'node'),
+    plural(edges.length, 'edge'),
+    plural(groups.length, 'group'),
+    ...(frames.length > 0 ? [plural(frames.length, 'frame')] : []),
+    ...(others.length > 0 ? [plural(others.length, 'other element')] : [])
+  ];
+  const overview = [
+    `${title ? `Scene "${title}"` : 'Scene'}: ${counts.join(', ')}`,
+    ...(bounds ? [`Bounds: ${round(bounds.minX)},${round(bounds.minY)} to ${round(bounds.maxX)},${round(bounds.maxY)}`] : [])
+  ];
+
+  const otherCounts = {};
+  others.forEach(element => {
+    const kind = element.type === 'arrow' ? 'unconnected arrow' : element.type;
+    otherCounts[kind] = (otherCounts[kind] ?? 0) + 1;
+  });
+
+  // Sections in order of importance; what does not fit the budget is cut from the end
+  const sections = [
+    { lines: overview },
+    { heading: 'Layout (3x3 grid)', lines: bounds ? getGrid(nodes, bounds) : [], noun: 'grid cell' },
+    {
+      heading: 'Groups',
+      lines: [...groupLines, ...frameLines],
+      noun: 'group'
+    },
+    { heading: 'Nodes', lines: nodes.map(node => describeNode(node, detail)), noun: 'node' },
+    ...(detail === 'summary' ? [] : [
+      {
+        heading: 'Edges',
+        lines: edges.map(({ element, from, to }) => {
+          const both = element.startArrowhead && element.endArrowhead;
+          const arrow = both ? '<->' : (element.startArrowhead ? '<-' : (element.endArrowhead ? '->' : '--'));
+          const label = getLabelText(elementsMap, element);
+          const parts = [`${from} ${arrow} ${to}`];
+          if (label) parts.push(formatLabel(label, detail));
+          if (element.strokeStyle && element.strokeStyle !== 'solid') parts.push(element.strokeStyle);
+          if (detail === 'full') parts.push(`id=${element.id}`);
+          return parts.join(' ');
+        }),
+        noun: 'edge'
+      },
+      {
+        heading: 'Relations',
+        lines: getRelations(nodes, detail).map(({ a, b, relation }) => `${a.ref} ${relation} ${b.ref}`),
+        noun: 'relation'
+      },
+      {
+        heading: 'Other elements',
+        lines: detail === 'full'
+          ? others.map(element => {
+            const box = getElementBounds(element);
+            return `${element.type} id=${element.id} at ${round(box.minX)},${round(box.minY)} size ${round(box.width)}x${round(box.height)}`;
+          })
+          : Object.entries(otherCounts).map(([kind, count]) => plural(count, kind)),
+        noun: 'other element'
+      }
+    ])
+  ];
+
+  // Lines of each section that fit into `budget`, and counts of what was left out
+  const fill = budget => {
+    const output = [];
+    const omitted = [];
+    let tokens = 0;
+    const fits = line => tokens + estimateTokens(line) + 1 <= budget;
+    const push = line => {
+      output.push(line);
+      tokens += estimateTokens(line) + 1;
+    };
+
+    sections.forEach(({ heading, lines, noun }) => {
+      if (lines.length === 0) return;
+      let shown = 0;
+      if (!heading || fits(`${heading}:`)) {
+        if (heading) push(`${heading}:`);
+        for (const line of lines) {
+          if (!fits(line)) break;
+          push(heading ? `- ${line}` : line);
+          shown++;
+        }
+        if (heading && shown === 0) {
+          output.pop();
+          tokens -= estimateTokens(`${heading}:`) + 1;
+        }
+      }
+      if (shown < lines.length && noun) omitted.push(plural(lines.length - shown, noun));
+    });
+
+    return { output, omitted };
+  };
+  const note = omitted => `(Left out to stay within ${maxTokens} tokens: ${omitted.join(', ')}. Raise maxTokens, lower the detail or describe part of the scene with elementIds or groupId.)`;
+
+  let { output, omitted } = fill(maxTokens);
+  if (omitted.length > 0) {
+    // Again with room for the note, as long as it would be with every counted line left out
+    const longest = note(sections.filter(({ lines, noun }) => noun && lines.length > 0).map(({ lines, noun }) => plural(lines.length, noun)));
+    ({ output, omitted } = fill(Math.max(0, maxTokens - estimateTokens(longest) - 1)));
+    output.push(note(omitted));
+  }
+
+  const text = output.join('\n');
+  return { text, tokens: estimateTokens(text), truncated: omitted.length > 0 };
+}
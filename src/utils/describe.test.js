@@ -0,0 +1,90 @@
+import { describeScene, estimateTokens } from './describe.js';
+import { connectElements } from './bindings.js';
+import { setLabel } from './labels.js';
+import { normalizeElement } from './normalize.js';
+
+const shape = (type, id, x, y, properties = {}) => normalizeElement({ type, id, x, y, width: 100, height: 50, ...properties });
+
+// Start -> diamond in one group, a dashed arrow down to an ellipse, a long note and a loose line
+function buildScene() {
+  const elementsMap = new Map([
+    shape('rectangle', 'a', 0, 0, { groupIds: ['g'] }),
+    shape('diamond', 'b', 300, 0, { groupIds: ['g'] }),
+    shape('ellipse', 'c', 0, 300, { backgroundColor: '#ffc9c9' }),
+    normalizeElement({ type: 'text', id: 'note', x: 300, y: 300, text: 'A note that is much longer than forty characters' }),
+    normalizeElement({ type: 'line', id: 'line', x: 0, y: 500 })
+  ].map(element => [element.id, element]));
+
+  const label = setLabel(elementsMap, elementsMap.get('a'), { text: 'Start' });
+  elementsMap.set(label.id, label);
+  [
+    connectElements(elementsMap.get('a'), elementsMap.get('b'), { id: 'ab' }),
+    connectElements(elementsMap.get('a'), elementsMap.get('c'), { id: 'ac', strokeStyle: 'dashed' })
+  ].forEach(arrow => elementsMap.set(arrow.id, arrow));
+  return elementsMap;
+}
+
+const describeAll = options => {
+  const elementsMap = buildScene();
+  return describeScene(elementsMap, Array.from(elementsMap.values()), options);
+};
+
+describe('describeScene', () => {
+  test('outlines nodes, groups and the layout in summary detail', () => {
+    expect(describeAll({ title: 'Flow', detail: 'summary' }).text).toBe([
+      'Scene "Flow": 4 nodes, 2 edges, 1 group, 1 other element',
+      'Bounds: 0,0 to 828,350',
+      'Layout (3x3 grid):',
+      '- top-left: N1',
+      '- top-center: N2',
+      '- bottom-left: N3',
+      '- bottom-right: N4',
+      'Groups:',
+      '- G1: N1, N2',
+      'Nodes:',
+      '- N1 rectangle "Start"',
+      '- N2 diamond',
+      '- N3 ellipse',
+      '- N4 text "A note that is much longer than forty c…"'
+    ].join('\n'));
+  });
+
+  test('adds ids, edges, relations and other elements in normal detail', () => {
+    const { text } = describeAll();
+
+    expect(text).toContain('- G1 id=g: N1, N2');
+    expect(text).toContain('- N1 rectangle "Start" id=a');
+    expect(text).toContain([
+      'Edges:',
+      '- N1 -> N2',
+      '- N1 -> N3 dashed',
+      'Relations:',
+      '- N1 left of N2',
+      '- N3 left of N4',
+      'Other elements:',
+      '- 1 line'
+    ].join('\n'));
+  });
+
+  test('adds geometry, colors, full labels and relations on every side in full detail', () => {
+    const { text } = describeAll({ detail: 'full' });
+
+    expect(text).toContain('- N3 ellipse id=c at 0,300 size 100x50 fill #ffc9c9');
+    expect(text).toContain('- N4 text "A note that is much longer than forty characters" id=note');
+    expect(text).toContain('- N1 -> N3 dashed id=ac');
+    expect(text).toContain('- N2 above-right of N3');
+    expect(text).toContain('- line id=line at 0,500 size 100x0');
+  });
+
+  test('leaves out what does not fit into maxTokens and says what', () => {
+    const full = describeAll();
+    const cut = describeAll({ maxTokens: 80 });
+
+    expect(full.truncated).toBe(false);
+    expect(cut.truncated).toBe(true);
+    expect(cut.tokens).toBeLessThanOrEqual(80);
+    expect(cut.tokens).toBe(estimateTokens(cut.text));
+    expect(cut.text).toMatch(/^Scene: 4 nodes/);
+    expect(cut.text).toMatch(/\(Left out to stay within 80 tokens: [^)]*4 nodes, 2 edges, 2 relations, 1 other element\. /);
+  });
+});
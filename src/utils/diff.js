@@ -0,0 +1,40 @@
+// Change detection for the elements Map
+
+// Deep copy of every element, keyed by id
+export function snapshotElements(elementsMap) {
+  const snapshot = new Map();
+  elementsMap.forEach((element, id) => snapshot.set(id, structuredClone(element)));
+  return snapshot;
+}
+
+function isSameElement(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Compare a snapshot taken with snapshotElements() against the current elements.
+ * Returns the ids that were added, removed and updated since the snapshot.
+ */
+export function diffElements(snapshot, elementsMap) {
+  const added = [];
+  const removed = [];
+  const updated = [];
+
+  elementsMap.forEach((element, id) => {
+    if (!snapshot.has(id)) {
+      added.push(id);
+    } else if (!isSameElement(snapshot.get(id), element)) {
+      updated.push(id);
+    }
+  });
+
+  snapshot.forEach((_, id) => {
+    if (!elementsMap.has(id)) removed.push(id);
+  });
+
+  return { added, removed, updated };
+}
+
+export function hasChanges({ added, removed, updated }) {
+  return added.length > 0 || removed.length > 0 || updated.length > 0;
+}
@@ -0,0 +1,737 @@
+// Graphviz DOT: parsing, import as laid-out shapes and arrows, and export back to DOT.
+// Everything runs in Node; the layout comes from layout.js, not from the dot binary.
+import { generateId } from '../types.js';
+import { getAutoOrigin } from './blocks.js';
+import { connectElements } from './bindings.js';
+import { getCommonBounds } from './geometry.js';
+import { collectGraph, buildGroupTree, inferDirection, assignNodeIds, getLabelText, isClusterPart } from './graph.js';
+import { setLabel, BOUND_TEXT_PADDING } from './labels.js';
+import { autoLayout } from './layout.js';
+import { normalizeElement, measureText, DEFAULT_FONT_SIZE } from './normalize.js';
+
+export const DOT_DIRECTIONS = ['TB', 'BT', 'LR', 'RL'];
+
+export class DotSyntaxError extends Error {
+  constructor(message, { line, column } = {}) {
+    super(message);
+    this.name = 'DotSyntaxError';
+    this.line = line;
+    this.column = column;
+  }
+}
+
+const KEYWORDS = ['strict', 'graph', 'digraph', 'subgraph', 'node', 'edge'];
+
+const PUNCTUATION = '{}[]=;,:';
+
+// --- Tokenizer ---
+
+// Text of an HTML label: tags dropped, line breaks kept, backslashes protected from label escapes
+function htmlToText(html) {
+  return html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, '&')
+    .replace(/\\/g, '\\\\');
+}
+
+function tokenize(source) {
+  const tokens = [];
+  let index = 0;
+  let line = 1;
+  let column = 1;
+
+  const advance = count => {
+    for (let i = 0; i < count; i++) {
+      if (source[index] === '\n') {
+        line++;
+        column = 1;
+      } else {
+        column++;
+      }
+      index++;
+    }
+  };
+  const fail = (message, position = { line, column }) => {
+    throw new DotSyntaxError(`${message} on line ${position.line}, column ${position.column}`, position);
+  };
+
+  // Lines starting with # are preprocessor output
+  const atLineStart = () => /^\s*$/.test(source.slice(source.lastIndexOf('\n', index - 1) + 1, index));
+
+  const readQuoted = () => {
+    const start = { line, column };
+    let value = '';
+    advance(1);
+    while (source[index] !== '"') {
+      if (index >= source.length) fail('Unterminated string', start);
+      if (source[index] === '\\' && source[index + 1] === '"') {
+        value += '"';
+        advance(2);
+      } else if (source[index] === '\\' && source[index + 1] === '\n') {
+        advance(2);
+      } else {
+        value += source[index];
+        advance(1);
+      }
+    }
+    advance(1);
+    return value;
+  };
+
+  while (index < source.length) {
+    const char = source[index];
+    const start = { line, column };
+
+    if (/\s/.test(char)) {
+      advance(1);
+    } else if (source.startsWith('//', index) || (char === '#' && atLineStart())) {
+      while (index < source.length && source[index] !== '\n') advance(1);
+    } else if (source.startsWith('/*', index)) {
+      const end = source.indexOf('*/', index + 2);
+      if (end === -1) fail('Unterminated comment');
+      advance(end + 2 - index);
+    } else if (source.startsWith('->', index) || source.startsWith('--', index)) {
+      tokens.push({ type: 'edgeop', value: source.slice(index, index + 2), ...start });
+      advance(2);
+    } else if (PUNCTUATION.includes(char)) {
+      tokens.push({ type: 'punct', value: char, ...start });
+      advance(1);
+    } else if (char === '"') {
+      let value = readQuoted();
+      // "a" + "b" concatenates
+      for (;;) {
+        const rest = source.slice(index).match(/^\s*\+\s*"/);
+        if (!rest) break;
+        advance(rest[0].length - 1);
+        value += readQuoted();
+      }
+      tokens.push({ type: 'id', value, quoted: true, ...start });
+    } else if (char === '<') {
+      let depth = 0;
+      let end = index;
+      do {
+        if (end >= source.length) fail('Unterminated HTML string');
+        if (source[end] === '<') depth++;
+        if (source[end] === '>') depth--;
+        end++;
+      } while (depth > 0);
+      tokens.push({ type: 'id', value: htmlToText(source.slice(index + 1, end - 1)), quoted: true, ...start });
+      advance(end - index);
+    } else {
+      const match = source.slice(index).match(/^(-?(\.\d+|\d+(\.\d*)?)|[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*)/);
+      if (!match) fail(`Unexpected character "${char}"`);
+      tokens.push({ type: 'id', value: match[0], quoted: false, ...start });
+      advance(match[0].length);
+    }
+  }
+
+  tokens.push({ type: 'end', value: 'end of input', line, column });
+  return tokens;
+}
+
+// --- Parser ---
+
+/**
+ * Parse a DOT graph or digraph into its nodes, edges and clusters.
+ * Attributes are resolved the way Graphviz does: node and edge defaults
+ * apply to what follows them in the same subgraph and the ones nested in it.
+ * Nodes belong to the innermost cluster they appear in. Ports are ignored.
+ * Throws DotSyntaxError with the line and column of the problem.
+ */
+export function parseDot(source) {
+  const tokens = tokenize(source);
+  let position = 0;
+
+  const peek = (offset = 0) => tokens[position + offset];
+  const next = () => tokens[position++];
+  const isKeyword = (token, keyword) => token.type === 'id' && !token.quoted && token.value.toLowerCase() === keyword;
+  const is = (token, value) => token.type === 'punct' && token.value === value;
+  const fail = (token, message) => {
+    throw new DotSyntaxError(`${message} on line ${token.line}, column ${token.column}`, token);
+  };
+  const expect = value => {
+    const token = next();
+    if (!is(token, value)) fail(token, `Expected "${value}" but found "${token.value}"`);
+    return token;
+  };
+  const expectId = what => {
+    const token = next();
+    if (token.type !== 'id' || (!token.quoted && KEYWORDS.includes(token.value.toLowerCase()))) {
+      fail(token, `Expected ${what} but found "${token.value}"`);
+    }
+    return token.value;
+  };
+
+  const graph = { strict: false, directed: true, name: null, attributes: {}, nodes: new Map(), edges: [], clusters: new Map() };
+
+  if (isKeyword(peek(), 'strict')) {
+    next();
+    graph.strict = true;
+  }
+  const kind = next();
+  if (!isKeyword(kind, 'graph') && !isKeyword(kind, 'digraph')) fail(kind, `Expected "graph" or "digraph" but found "${kind.value}"`);
+  graph.directed = isKeyword(kind, 'digraph');
+  if (peek().type === 'id') graph.name = expectId('a graph name');
+
+  // Whether `cluster` is inside `ancestor`; everything is inside the root graph (null)
+  const isAncestor = (ancestor, cluster) => {
+    if (!ancestor) return true;
+    for (let current = cluster; current; current = graph.clusters.get(current).parent) {
+      if (current === ancestor) return true;
+    }
+    return false;
+  };
+
+  const parseAttributes = () => {
+    const attributes = {};
+    while (is(peek(), '[')) {
+      next();
+      while (!is(peek(), ']')) {
+        const key = expectId('an attribute name');
+        expect('=');
+        attributes[key] = expectId(`a value for ${key}`);
+        if (is(peek(), ',') || is(peek(), ';')) next();
+      }
+      next();
+    }
+    return attributes;
+  };
+
+  // Nodes seen in each open subgraph, so edges can refer to a subgraph as a whole
+  const openSubgraphs = [];
+
+  const touchNode = (id, scope, attributes = {}) => {
+    let node = graph.nodes.get(id);
+    if (!node) {
+      node = { id, attributes: { ...scope.nodeDefaults }, cluster: scope.cluster };
+      graph.nodes.set(id, node);
+    } else if (scope.cluster && isAncestor(node.cluster, scope.cluster)) {
+      node.cluster = scope.cluster;
+    }
+    Object.assign(node.attributes, attributes);
+    openSubgraphs.forEach(members => members.add(id));
+    return id;
+  };
+
+  const skipPort = () => {
+    while (is(peek(), ':')) {
+      next();
+      expectId('a port');
+    }
+  };
+
+  let parseStatements;
+
+  const parseSubgraph = scope => {
+    let name = null;
+    if (isKeyword(peek(), 'subgraph')) {
+      next();
+      if (peek().type === 'id') name = expectId('a subgraph name');
+    }
+    expect('{');
+
+    const inner = { ...scope, nodeDefaults: { ...scope.nodeDefaults }, edgeDefaults: { ...scope.edgeDefaults }, attributes: null };
+    if (name && name.startsWith('cluster')) {
+      // A cluster may be reopened to add to it
+      if (!graph.clusters.has(name)) graph.clusters.set(name, { name, attributes: {}, parent: scope.cluster });
+      inner.cluster = name;
+      inner.attributes = graph.clusters.get(name).attributes;
+    }
+
+    const members = new Set();
+    openSubgraphs.push(members);
+    parseStatements(inner);
+    openSubgraphs.pop();
+    expect('}');
+    return members;
+  };
+
+  const parseOperand = scope => {
+    if (isKeyword(peek(), 'subgraph') || is(peek(), '{')) return parseSubgraph(scope);
+    const id = touchNode(expectId('a node id'), scope);
+    skipPort();
+    return new Set([id]);
+  };
+
+  const parseStatement = scope => {
+    const token = peek();
+
+    if ((isKeyword(token, 'graph') || isKeyword(token, 'node') || isKeyword(token, 'edge')) && is(peek(1), '[')) {
+      next();
+      const attributes = parseAttributes();
+      if (isKeyword(token, 'node')) Object.assign(scope.nodeDefaults, attributes);
+      else if (isKeyword(token, 'edge')) Object.assign(scope.edgeDefaults, attributes);
+      else if (scope.attributes) Object.assign(scope.attributes, attributes);
+      return;
+    }
+
+    if (token.type === 'id' && is(peek(1), '=')) {
+      const key = expectId('an attribute name');
+      next();
+      const value = expectId(`a value for ${key}`);
+      if (scope.attributes) scope.attributes[key] = value;
+      return;
+    }
+
+    const operands = [];
+    if (isKeyword(token, 'subgraph') || is(token, '{')) {
+      operands.push(parseSubgraph(scope));
+    } else {
+      const id = expectId('a statement');
+      skipPort();
+      if (peek().type !== 'edgeop') {
+        touchNode(id, scope, parseAttributes());
+        return;
+      }
+      operands.push(new Set([touchNode(id, scope)]));
+    }
+
+    while (peek().type === 'edgeop') {
+      const op = next();
+      if (op.value !== (graph.directed ? '->' : '--')) {
+        fail(op, `"${op.value}" is not an edge in a ${graph.directed ? 'digraph' : 'graph'}`);
+      }
+      operands.push(parseOperand(scope));
+    }
+
+    const attributes = { ...scope.edgeDefaults, ...parseAttributes() };
+    for (let i = 1; i < operands.length; i++) {
+      operands[i - 1].forEach(source => operands[i].forEach(target => {
+        if (graph.strict && graph.edges.some(edge => edge.source === source && edge.target === target)) return;
+        graph.edges.push({ source, target, attributes });
+      }));
+    }
+  };
+
+  parseStatements = scope => {
+    while (!is(peek(), '}') && peek().type !== 'end') {
+      parseStatement(scope);
+      if (is(peek(), ';')) next();
+    }
+  };
+
+  expect('{');
+  parseStatements({ nodeDefaults: {}, edgeDefaults: {}, cluster: null, attributes: graph.attributes });
+  expect('}');
+  if (peek().type !== 'end') fail(peek(), 'Only one graph is supported');
+
+  return graph;
+}
+
+// --- Import ---
+
+// Excalidraw shape for each DOT node shape; other shapes are drawn as rectangles
+const SHAPES = {
+  box: 'rectangle',
+  rect: 'rectangle',
+  rectangle: 'rectangle',
+  square: 'rectangle',
+  record: 'rectangle',
+  Mrecord: 'rectangle',
+  ellipse: 'ellipse',
+  oval: 'ellipse',
+  circle: 'ellipse',
+  doublecircle: 'ellipse',
+  point: 'ellipse',
+  diamond: 'diamond',
+  Mdiamond: 'diamond',
+  plaintext: 'text',
+  plain: 'text',
+  none: 'text'
+};
+const SQUARE_SHAPES = ['square', 'circle', 'doublecircle', 'point'];
+
+const ARROWHEADS = {
+  normal: 'triangle',
+  inv: 'triangle',
+  vee: 'arrow',
+  open: 'arrow',
+  dot: 'dot',
+  odot: 'dot',
+  tee: 'bar',
+  none: null
+};
+
+const ROUTING = {
+  ortho: 'elbow',
+  curved: 'curved',
+  spline: 'curved',
+  true: 'curved'
+};
+
+const MIN_NODE_WIDTH = 120;
+const MIN_NODE_HEIGHT = 60;
+const NODE_PADDING = 20;
+// Graphviz sizes are in inches
+const POINTS_PER_INCH = 72;
+const CLUSTER_PADDING = 30;
+const CLUSTER_FONT_SIZE = 16;
+
+// Label text with the escapes Graphviz expands: \N node name, \G graph name, \n \l \r line breaks
+function expandLabel(label, { node = '', graph = '' }) {
+  return label.replace(/\\(.)/g, (match, char) => {
+    if (char === 'N') return node;
+    if (char === 'G') return graph;
+    if (char === 'n' || char === 'l' || char === 'r') return '\n';
+    return char;
+  }).replace(/\n$/, '');
+}
+
+// Graphviz colors are names, #rrggbb(aa) or "H,S,V" with components between 0 and 1
+function toColor(color) {
+  if (!color) return undefined;
+  const hsv = color.split(/[\s,]+/).map(Number);
+  if (hsv.length !== 3 || hsv.some(value => !Number.isFinite(value))) return color.split(':')[0];
+
+  const [h, s, v] = hsv;
+  const channel = n => {
+    const k = (n + h * 6) % 6;
+    return Math.round((v - v * s * Math.max(0, Math.min(k, 4 - k, 1))) * 255).toString(16).padStart(2, '0');
+  };
+  return `#${channel(5)}${channel(3)}${channel(1)}`;
+}
+
+function getStyles(attributes) {
+  return (attributes.style || '').split(',').map(style => style.trim()).filter(Boolean);
+}
+
+// Stroke and fill properties from color, fillcolor, penwidth and style
+function getElementStyle(attributes, { fill = true } = {}) {
+  const styles = getStyles(attributes);
+  const style = {};
+
+  const stroke = toColor(attributes.color || attributes.pencolor);
+  if (stroke) style.strokeColor = stroke;
+  if (fill && (styles.includes('filled') || attributes.bgcolor)) {
+    style.backgroundColor = toColor(attributes.fillcolor || attributes.bgcolor || attributes.color) ?? 'lightgrey';
+  }
+  if (styles.includes('dashed')) style.strokeStyle = 'dashed';
+  if (styles.includes('dotted')) style.strokeStyle = 'dotted';
+  if (styles.includes('bold')) style.strokeWidth = 4;
+  if (attributes.penwidth && Number.isFinite(Number(attributes.penwidth))) style.strokeWidth = Number(attributes.penwidth);
+  if (styles.includes('rounded')) style.roundness = { type: 3 };
+  return style;
+}
+
+function getTextStyle(attributes) {
+  const style = {};
+  if (attributes.fontcolor) style.strokeColor = toColor(attributes.fontcolor);
+  if (attributes.fontsize && Number(attributes.fontsize) > 0) style.fontSize = Number(attributes.fontsize);
+  return style;
+}
+
+// Size fitting the label on one line, at least the node's width and height attributes
+function getNodeSize(type, label, attributes) {
+  const text = measureText(label || ' ', Number(attributes.fontsize) || DEFAULT_FONT_SIZE);
+  const textWidth = text.width + (BOUND_TEXT_PADDING + NODE_PADDING) * 2;
+  const fit = { ellipse: textWidth * Math.SQRT2, diamond: textWidth * 2 }[type] ?? textWidth;
+
+  let width = Math.max(MIN_NODE_WIDTH, Math.ceil(fit), Number(attributes.width) * POINTS_PER_INCH || 0);
+  let height = Math.max(MIN_NODE_HEIGHT, text.height + NODE_PADDING * 2, Number(attributes.height) * POINTS_PER_INCH || 0);
+  if (SQUARE_SHAPES.includes(attributes.shape)) width = height = Math.max(width, height);
+  return { width, height };
+}
+
+// Shape for a node, or a text element for plaintext nodes; returns it with its label
+function createNode(node, graph, groupIds, warnings) {
+  const { attributes } = node;
+  const shape = attributes.shape || 'ellipse';
+  const type = SHAPES[shape] ?? 'rectangle';
+  if (!SHAPES[shape]) warnings.push(`Node ${node.id}: shape ${shape} is drawn as a rectangle`);
+
+  const label = expandLabel(attributes.label ?? '\\N', { node: node.id, graph: graph.name ?? '' });
+  const customData = { dot: { id: node.id } };
+
+  if (type === 'text') {
+    const element = normalizeElement({ type, x: 0, y: 0, text: label || node.id, ...getTextStyle(attributes), groupIds, customData });
+    return { element, label: null };
+  }
+
+  const element = normalizeElement({
+    type,
+    x: 0,
+    y: 0,
+    ...getNodeSize(type, label, attributes),
+    roundness: null,
+    ...getElementStyle(attributes),
+    groupIds,
+    customData
+  });
+  return { element, label };
+}
+
+function getArrowheads(attributes, directed) {
+  const dir = attributes.dir || (directed ? 'forward' : 'none');
+  const head = name => (name in ARROWHEADS ? ARROWHEADS[name] : 'arrow');
+  return {
+    startArrowhead: dir === 'back' || dir === 'both' ? head(attributes.arrowtail ?? 'vee') : null,
+    endArrowhead: dir === 'forward' || dir === 'both' ? head(attributes.arrowhead ?? 'vee') : null
+  };
+}
+
+/**
+ * Add a parsed DOT graph to the scene: nodes become shapes with their
+ * labels, edges arrows bound to them and clusters groups framed by a
+ * labelled rectangle. The graph is laid out with the layered layout,
+ * clusters from the inside out, in the graph's rankdir, and placed at
+ * (x, y) or next to the scene.
+ * Returns the new elements, the DOT id to element id and cluster name to
+ * group id mappings, and warnings about what could not be drawn as is.
+ */
+export function importDotGraph(elementsMap, graph, { x, y } = {}) {
+  if (graph.nodes.size === 0) throw new Error('The DOT graph has no nodes');
+
+  const warnings = [];
+  const draft = new Map();
+  const add = element => draft.set(element.id, element);
+
+  // Clusters with nodes, from the innermost out
+  const clusterGroups = new Map();
+  const clusterDepth = name => (name ? 1 + clusterDepth(graph.clusters.get(name).parent) : 0);
+  const clusterChain = name => (name ? [name, ...clusterChain(graph.clusters.get(name).parent)] : []);
+  graph.nodes.forEach(node => clusterChain(node.cluster).forEach(name => {
+    if (!clusterGroups.has(name)) clusterGroups.set(name, generateId());
+  }));
+  graph.clusters.forEach((cluster, name) => {
+    if (!clusterGroups.has(name)) warnings.push(`Cluster ${name} has no nodes and was left out`);
+  });
+  const groupIdsOf = name => clusterChain(name).map(cluster => clusterGroups.get(cluster));
+
+  const mapping = {};
+  graph.nodes.forEach(node => {
+    const { element, label } = createNode(node, graph, groupIdsOf(node.cluster), warnings);
+    add(element);
+    if (label) add(setLabel(draft, element, { text: label, ...getTextStyle(node.attributes) }));
+    mapping[node.id] = element.id;
+  });
+
+  const style = ROUTING[graph.attributes.splines] ?? 'straight';
+  graph.edges.forEach(({ source, target, attributes }) => {
+    if (source === target) {
+      warnings.push(`Edge ${source} -> ${target} loops back to its node and was left out`);
+      return;
+    }
+    const arrow = connectElements(draft.get(mapping[source]), draft.get(mapping[target]), {
+      style,
+      ...getElementStyle(attributes, { fill: false }),
+      ...getArrowheads(attributes, graph.directed),
+      customData: { dot: { source, target } }
+    });
+    add(arrow);
+    if (attributes.label) {
+      add(setLabel(draft, arrow, { text: expandLabel(attributes.label, { graph: graph.name ?? '' }), ...getTextStyle(attributes) }));
+    }
+  });
+
+  const rankdir = String(graph.attributes.rankdir || 'TB').toUpperCase();
+  const direction = rankdir === 'LR' || rankdir === 'RL' ? 'LR' : 'TB';
+  const shapes = () => Array.from(draft.values()).filter(element => !element.containerId);
+
+  // Each cluster is laid out and framed before the cluster around it moves it as one node
+  const frames = [];
+  Array.from(clusterGroups.keys())
+    .sort((a, b) => clusterDepth(b) - clusterDepth(a))
+    .forEach(name => {
+      const groupId = clusterGroups.get(name);
+      const members = shapes().filter(element => element.groupIds.includes(groupId));
+      autoLayout(draft, members, { algorithm: 'layered', direction, scopeGroupId: groupId });
+
+      const { attributes } = graph.clusters.get(name);
+      const label = attributes.label ? expandLabel(attributes.label, { graph: graph.name ?? '' }) : '';
+      const bounds = getCommonBounds(members);
+      const groupIds = groupIdsOf(name);
+      const customData = { dot: { cluster: name } };
+
+      // The title sits above the contents, inside the frame
+      const title = label ? normalizeElement({
+        type: 'text',
+        x: bounds.minX - CLUSTER_PADDING / 2,
+        y: 0,
+        text: label,
+        fontSize: CLUSTER_FONT_SIZE,
+        ...getTextStyle(attributes),
+        groupIds,
+        customData
+      }) : null;
+      const top = bounds.minY - CLUSTER_PADDING - (title ? title.height + CLUSTER_PADDING / 2 : 0);
+      if (title) title.y = top + CLUSTER_PADDING / 2;
+
+      const frame = normalizeElement({
+        type: 'rectangle',
+        x: bounds.minX - CLUSTER_PADDING,
+        y: top,
+        width: Math.max(bounds.width + CLUSTER_PADDING * 2, title ? title.width + CLUSTER_PADDING : 0),
+        height: bounds.maxY + CLUSTER_PADDING - top,
+        roundness: null,
+        ...getElementStyle(attributes),
+        groupIds,
+        customData
+      });
+
+      frames.push({ depth: clusterDepth(name), frame });
+      add(frame);
+      if (title) add(title);
+    });
+  autoLayout(draft, shapes(), { algorithm: 'layered', direction });
+
+  // Outer frames go first so they are drawn behind what they contain
+  const frameIds = new Set(frames.map(({ frame }) => frame.id));
+  const added = [
+    ...frames.sort((a, b) => a.depth - b.depth).map(({ frame }) => frame),
+    ...Array.from(draft.values()).filter(element => !frameIds.has(element.id))
+  ];
+
+  const bounds = getCommonBounds(shapes());
+  const origin = getAutoOrigin(Array.from(elementsMap.values()).filter(element => !element.isDeleted), bounds);
+  const dx = (x ?? origin.x) - bounds.minX;
+  const dy = (y ?? origin.y) - bounds.minY;
+  added.forEach(element => {
+    element.x += dx;
+    element.y += dy;
+    elementsMap.set(element.id, element);
+  });
+
+  return {
+    added,
+    mapping,
+    clusters: Object.fromEntries(clusterGroups),
+    warnings
+  };
+}
+
+// --- Export ---
+
+const DOT_SHAPES = {
+  rectangle: 'box',
+  diamond: 'diamond',
+  ellipse: 'ellipse'
+};
+const EXPORTED_ARROWHEADS = {
+  triangle: 'normal',
+  dot: 'dot',
+  bar: 'tee'
+};
+
+const DEFAULT_STROKE_COLOR = '#1e1e1e';
+const DEFAULT_STROKE_WIDTH = 2;
+
+// IDs are written bare when DOT allows it, quoted otherwise
+function formatId(id) {
+  const value = String(id);
+  if (/^[A-Za-z_][\w]*$/.test(value) && !KEYWORDS.includes(value.toLowerCase())) return value;
+  if (/^-?(\.\d+|\d+(\.\d*)?)$/.test(value)) return value;
+  return `"${value.replace(/"/g, '\\"')}"`;
+}
+
+function formatLabel(text) {
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+function formatAttributes(attributes) {
+  const entries = Object.entries(attributes).filter(([, value]) => value !== undefined);
+  if (entries.length === 0) return '';
+  return ` [${entries.map(([key, value]) => `${key}=${key === 'label' ? formatLabel(value) : formatId(value)}`).join(', ')}]`;
+}
+
+function exportStyle(element, { shape = true } = {}) {
+  const styles = [];
+  if (shape && element.type === 'rectangle' && element.roundness) styles.push('rounded');
+  const filled = shape && element.backgroundColor && element.backgroundColor !== 'transparent';
+  if (filled) styles.push('filled');
+  if (element.strokeStyle === 'dashed' || element.strokeStyle === 'dotted') styles.push(element.strokeStyle);
+
+  return {
+    style: styles.length > 0 ? styles.join(',') : undefined,
+    fillcolor: filled ? element.backgroundColor : undefined,
+    color: element.strokeColor && element.strokeColor !== DEFAULT_STROKE_COLOR ? element.strokeColor : undefined,
+    penwidth: element.strokeWidth && element.strokeWidth !== DEFAULT_STROKE_WIDTH ? String(element.strokeWidth) : undefined
+  };
+}
+
+function exportTextStyle(elementsMap, container) {
+  const text = elementsMap.get(container.boundElements?.find(bound => bound.type === 'text')?.id);
+  if (!text) return {};
+  return {
+    fontcolor: text.strokeColor !== DEFAULT_STROKE_COLOR ? text.strokeColor : undefined,
+    fontsize: text.fontSize !== DEFAULT_FONT_SIZE ? String(text.fontSize) : undefined
+  };
+}
+
+/**
+ * Write the shapes of `elementList` as a DOT digraph: rectangles, diamonds
+ * and ellipses become nodes, arrows bound to two of them edges, groups
+ * clusters, with labels, colors and stroke styles as attributes.
+ * Nodes and clusters imported from DOT keep their names.
+ * Returns the DOT text and warnings about what was left out.
+ */
+export function exportDot(elementsMap, elementList, { direction } = {}) {
+  const { nodes, edges, warnings } = collectGraph(elementsMap, elementList, { format: 'DOT' });
+  const ids = assignNodeIds(nodes, {
+    getImportedId: node => node.customData?.dot?.id ?? node.customData?.mermaid?.id
+  });
+
+  // Frames and titles drawn for imported clusters, by group id
+  const clusterParts = new Map();
+  elementList.filter(isClusterPart).forEach(element => {
+    const groupId = element.groupIds?.[0];
+    if (!clusterParts.has(groupId)) clusterParts.set(groupId, { name: element.customData.dot.cluster });
+    clusterParts.get(groupId)[element.type === 'text' ? 'title' : 'frame'] = element;
+  });
+
+  const rankdir = direction ?? (edges.length > 0 ? inferDirection(edges) : 'TB');
+  const lines = ['digraph {'];
+  if (rankdir !== 'TB') lines.push(`  rankdir=${rankdir};`);
+
+  const usedClusters = new Set();
+  let clusterCount = 0;
+  const clusterName = groupId => {
+    const imported = clusterParts.get(groupId)?.name;
+    let name = imported && !usedClusters.has(imported) ? imported : null;
+    while (!name || usedClusters.has(name)) name = `cluster_${++clusterCount}`;
+    usedClusters.add(name);
+    return name;
+  };
+
+  const writeBranch = (branch, indent) => {
+    branch.nodes.forEach(node => {
+      lines.push(`${indent}${formatId(ids.get(node.id))}${formatAttributes({
+        shape: DOT_SHAPES[node.type],
+        label: getLabelText(elementsMap, node) ?? '',
+        ...exportStyle(node),
+        ...exportTextStyle(elementsMap, node)
+      })};`);
+    });
+    branch.children.forEach((child, groupId) => {
+      const { title, frame } = clusterParts.get(groupId) ?? {};
+      lines.push(`${indent}subgraph ${formatId(clusterName(groupId))} {`);
+      const attributes = { label: title ? title.originalText ?? title.text : undefined, ...(frame && exportStyle(frame)) };
+      Object.entries(attributes).forEach(([key, value]) => {
+        if (value !== undefined) lines.push(`${indent}  ${key}=${key === 'label' ? formatLabel(value) : formatId(value)};`);
+      });
+      writeBranch(child, `${indent}  `);
+      lines.push(`${indent}}`);
+    });
+  };
+  writeBranch(buildGroupTree(nodes), '  ');
+
+  edges.forEach(({ arrow, source, target }) => {
+    const both = arrow.startArrowhead && arrow.endArrowhead;
+    const head = both || !arrow.startArrowhead ? arrow.endArrowhead : arrow.startArrowhead;
+    const label = getLabelText(elementsMap, arrow);
+    lines.push(`  ${formatId(ids.get(source.id))} -> ${formatId(ids.get(target.id))}${formatAttributes({
+      label: label ?? undefined,
+      dir: both ? 'both' : (head ? undefined : 'none'),
+      arrowhead: EXPORTED_ARROWHEADS[head],
+      arrowtail: both ? EXPORTED_ARROWHEADS[arrow.startArrowhead] : undefined,
+      ...exportStyle(arrow, { shape: false }),
+      ...exportTextStyle(elementsMap, arrow)
+    })};`);
+  });
+
+  lines.push('}');
+  return { dot: `${lines.join('\n')}\n`, warnings };
+}
@@ -0,0 +1,187 @@
+import { parseDot, importDotGraph, exportDot, DotSyntaxError } from './dot.js';
+import { getLabelText } from './graph.js';
+
+// Nodes of a parsed graph by id, as [cluster, attributes]
+function describeNodes(graph) {
+  return Object.fromEntries(Array.from(graph.nodes.values()).map(node => [node.id, [node.cluster, node.attributes]]));
+}
+
+describe('parseDot', () => {
+  test('reads the graph kind, name and attributes', () => {
+    const graph = parseDot(`strict digraph "My graph" {
+      // comment
+      # preprocessor output
+      /* block
+         comment */
+      graph [bgcolor=white]; fontsize=12
+    }`);
+
+    expect(graph).toMatchObject({ strict: true, directed: true, name: 'My graph', attributes: { bgcolor: 'white', fontsize: '12' } });
+    expect(parseDot('graph { a }').directed).toBe(false);
+  });
+
+  test('applies node and edge defaults to what follows them', () => {
+    const graph = parseDot(`digraph {
+      a
+      node [shape=box]; edge [color=red]
+      b [label="B"]
+      a -> b [style=dashed]
+    }`);
+
+    expect(describeNodes(graph)).toEqual({ a: [null, {}], b: [null, { shape: 'box', label: 'B' }] });
+    expect(graph.edges).toEqual([{ source: 'a', target: 'b', attributes: { color: 'red', style: 'dashed' } }]);
+  });
+
+  test('expands edge chains and subgraph operands, ignoring ports', () => {
+    const graph = parseDot('digraph { a -> { b c } -> d; e:port -> f:p:n }');
+
+    expect(graph.edges.map(edge => `${edge.source}->${edge.target}`)).toEqual(['a->b', 'a->c', 'b->d', 'c->d', 'e->f']);
+  });
+
+  test('keeps only the first of duplicate edges in a strict graph', () => {
+    expect(parseDot('strict graph { a -- b; a -- b }').edges).toHaveLength(1);
+    expect(parseDot('graph { a -- b; a -- b }').edges).toHaveLength(2);
+  });
+
+  test('reads quoted, concatenated and HTML ids', () => {
+    const graph = parseDot('digraph { "say \\"hi\\"" [label="one" + " two"]; b [label=<<b>bold</b><br/>text>]; -1.5 }');
+
+    expect(describeNodes(graph)).toEqual({
+      'say "hi"': [null, { label: 'one two' }],
+      b: [null, { label: 'bold\ntext' }],
+      '-1.5': [null, {}]
+    });
+  });
+
+  test('puts nodes in the innermost cluster they appear in', () => {
+    const graph = parseDot(`digraph {
+      a
+      subgraph cluster_outer {
+        label=Outer
+        a; b
+        subgraph cluster_inner { c }
+        subgraph plain { d }
+      }
+      subgraph cluster_outer { e }
+    }`);
+
+    expect(Array.from(graph.clusters.values())).toEqual([
+      { name: 'cluster_outer', attributes: { label: 'Outer' }, parent: null },
+      { name: 'cluster_inner', attributes: {}, parent: 'cluster_outer' }
+    ]);
+    expect(Object.fromEntries(Array.from(graph.nodes.values()).map(node => [node.id, node.cluster]))).toEqual({
+      a: 'cluster_outer',
+      b: 'cluster_outer',
+      c: 'cluster_inner',
+      d: 'cluster_outer',
+      e: 'cluster_outer'
+    });
+  });
+
+  test.each([
+    ['graph {\n  a -> b\n}', '"->" is not an edge in a graph', 2, 5],
+    ['digraph {\n  a -- b\n}', '"--" is not an edge in a digraph', 2, 5],
+    ['digraph {\n  a [label="open\n}', 'Unterminated string', 2, 12],
+    ['digraph {\n  /* never closed\n}', 'Unterminated comment', 2, 3],
+    ['digraph {\n  a [label=<<b>bold</b>]\n}', 'Unterminated HTML string', 2, 12],
+    ['digraph {\n  a @ b\n}', 'Unexpected character "@"', 2, 5],
+    ['flowchart {\n  a\n}', 'Expected "graph" or "digraph" but found "flowchart"', 1, 1],
+    ['digraph {\n  a [color]\n}', 'Expected "=" but found "]"', 2, 11],
+    ['digraph {\n  node -> a\n}', 'Expected a statement but found "node"', 2, 3],
+    ['digraph {\n  a -> b', 'Expected "}" but found "end of input"', 2, 9],
+    ['digraph { a }\ndigraph { b }', 'Only one graph is supported', 2, 1]
+  ])('reports the position of errors in %j', (source, message, line, column) => {
+    let error;
+    try {
+      parseDot(source);
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(DotSyntaxError);
+    expect(error.message).toBe(`${message} on line ${line}, column ${column}`);
+    expect(error).toMatchObject({ line, column });
+  });
+});
+
+describe('importDotGraph', () => {
+  test('draws nodes, edges and clusters', () => {
+    const elementsMap = new Map();
+    const { added, mapping, clusters, warnings } = importDotGraph(elementsMap, parseDot(`digraph {
+      a [shape=box, label="Start"]
+      b [shape=diamond]
+      c [shape=plaintext]
+      subgraph cluster_x { label="X"; b }
+      subgraph cluster_empty { }
+      a -> b [label="go"]
+      b -> c
+    }`), { x: 0, y: 0 });
+
+    expect(warnings).toEqual(['Cluster cluster_empty has no nodes and was left out']);
+    expect(added.every(element => elementsMap.has(element.id))).toBe(true);
+
+    const a = elementsMap.get(mapping.a);
+    const b = elementsMap.get(mapping.b);
+    expect(a.type).toBe('rectangle');
+    expect(getLabelText(elementsMap, a)).toBe('Start');
+    expect(b.type).toBe('diamond');
+    expect(getLabelText(elementsMap, b)).toBe('b');
+    expect(elementsMap.get(mapping.c).type).toBe('text');
+    expect(b.groupIds).toEqual([clusters.cluster_x]);
+
+    const arrow = added.find(element => element.type === 'arrow' && element.startBinding?.elementId === a.id);
+    expect(arrow.endBinding.elementId).toBe(b.id);
+    expect(getLabelText(elementsMap, arrow)).toBe('go');
+  });
+
+  test('rejects a graph without nodes', () => {
+    expect(() => importDotGraph(new Map(), parseDot('digraph { }'))).toThrow('The DOT graph has no nodes');
+  });
+});
+
+describe('exportDot', () => {
+  test('round-trips nodes, labels, styles, edges and clusters', () => {
+    const source = `digraph {
+      rankdir=LR
+      a [label="Start", shape=ellipse]
+      b [label="Check", shape=diamond, style=filled, fillcolor="#ffeeaa"]
+      c [label="Two\\nlines", shape=box]
+      subgraph cluster_x { label="Inner"; c; d [shape=box] }
+      a -> b [label="go"]
+      b -> c [style=dashed]
+      c -> d
+    }`;
+    const elementsMap = new Map();
+    importDotGraph(elementsMap, parseDot(source), { x: 0, y: 0 });
+
+    const { dot, warnings } = exportDot(elementsMap, Array.from(elementsMap.values()));
+    const graph = parseDot(dot);
+
+    expect(warnings).toEqual([]);
+    expect(graph.attributes).toEqual({ rankdir: 'LR' });
+    expect(describeNodes(graph)).toEqual({
+      a: [null, { shape: 'ellipse', label: 'Start' }],
+      b: [null, { shape: 'diamond', label: 'Check', style: 'filled', fillcolor: '#ffeeaa' }],
+      c: ['cluster_x', { shape: 'box', label: 'Two\\nlines' }],
+      d: ['cluster_x', { shape: 'box', label: 'd' }]
+    });
+    expect(graph.edges).toEqual([
+      { source: 'a', target: 'b', attributes: { label: 'go' } },
+      { source: 'b', target: 'c', attributes: { style: 'dashed' } },
+      { source: 'c', target: 'd', attributes: {} }
+    ]);
+    expect(Array.from(graph.clusters.values())).toEqual([{ name: 'cluster_x', attributes: { label: 'Inner' }, parent: null }]);
+  });
+
+  test('warns about elements without a DOT equivalent', () => {
+    const elementsMap = new Map();
+    importDotGraph(elementsMap, parseDot('digraph { a }'), { x: 0, y: 0 });
+    const line = { id: 'line', type: 'line', x: 0, y: 0, points: [[0, 0], [10, 0]] };
+    elementsMap.set(line.id, line);
+
+    const { dot, warnings } = exportDot(elementsMap, Array.from(elementsMap.values()));
+
+    expect(Array.from(parseDot(dot).nodes.keys())).toEqual(['a']);
+    expect(warnings).toEqual(['line line has no DOT equivalent and was left out']);
+  });
+});
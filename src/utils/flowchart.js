@@ -0,0 +1,89 @@
+// Export of shapes, labels and arrows as a Mermaid flowchart, the way back from add_elements_with_mermaid
+import { collectGraph, buildGroupTree, inferDirection, assignNodeIds, getLabelText } from './graph.js';
+
+export const FLOWCHART_DIRECTIONS = ['TB', 'BT', 'LR', 'RL'];
+
+// Brackets around the label of each node shape
+const NODE_SHAPES = {
+  rectangle: ['[', ']'],
+  diamond: ['{', '}'],
+  ellipse: ['((', '))']
+};
+
+// Strokes at least this wide become thick links
+const THICK_STROKE_WIDTH = 4;
+
+const DEFAULT_STROKE_COLOR = '#1e1e1e';
+const DEFAULT_BACKGROUND_COLOR = 'transparent';
+
+const ID_PATTERN = /^[A-Za-z][\w-]*$/;
+
+// Quoted label; quotes are escaped as entities and line breaks become <br>
+function quote(text) {
+  return `"${String(text).replace(/"/g, '#quot;').replace(/\n/g, '<br>')}"`;
+}
+
+function getLink(arrow, label) {
+  const dashed = arrow.strokeStyle === 'dashed' || arrow.strokeStyle === 'dotted';
+  const thick = !dashed && (arrow.strokeWidth ?? 0) >= THICK_STROKE_WIDTH;
+  const head = arrow.endArrowhead || arrow.startArrowhead ? '>' : '';
+  const tail = arrow.endArrowhead && arrow.startArrowhead ? '<' : '';
+
+  let link;
+  if (dashed) link = `${tail}-.-${head || '-'}`;
+  else if (thick) link = `${tail}==${head || '='}`;
+  else link = `${tail}--${head || '-'}`;
+
+  return label ? `${link}|${quote(label)}|` : link;
+}
+
+function styleLine(id, element) {
+  const styles = [];
+  if (element.backgroundColor && element.backgroundColor !== DEFAULT_BACKGROUND_COLOR) styles.push(`fill:${element.backgroundColor}`);
+  if (element.strokeColor && element.strokeColor !== DEFAULT_STROKE_COLOR) styles.push(`stroke:${element.strokeColor}`);
+  if (element.strokeStyle === 'dashed' || element.strokeStyle === 'dotted') styles.push('stroke-dasharray:5 5');
+  return styles.length > 0 ? `style ${id} ${styles.join(',')}` : null;
+}
+
+/**
+ * Write the shapes of `elementList` as a Mermaid flowchart:
+ * rectangles, diamonds and ellipses become nodes with their labels, arrows
+ * bound to two of them become links (dashed, thick and labelled ones too)
+ * and groups become subgraphs. Everything else is listed in `warnings`.
+ * Returns the flowchart text and the warnings.
+ */
+export function exportFlowchart(elementsMap, elementList, { direction } = {}) {
+  const { nodes, edges, warnings } = collectGraph(elementsMap, elementList, { format: 'Mermaid' });
+  // Nodes imported from Mermaid keep their ids
+  const ids = assignNodeIds(nodes, {
+    getImportedId: node => node.customData?.mermaid?.id,
+    isValid: id => ID_PATTERN.test(id)
+  });
+
+  const lines = [`flowchart ${direction ?? (edges.length > 0 ? inferDirection(edges) : 'TB')}`];
+
+  let subgraphs = 0;
+  const writeBranch = (branch, indent) => {
+    branch.nodes.forEach(node => {
+      const [open, close] = NODE_SHAPES[node.type];
+      lines.push(`${indent}${ids.get(node.id)}${open}${quote(getLabelText(elementsMap, node) ?? ' ')}${close}`);
+    });
+    branch.children.forEach(child => {
+      lines.push(`${indent}subgraph group${++subgraphs} [" "]`);
+      writeBranch(child, `${indent}  `);
+      lines.push(`${indent}end`);
+    });
+  };
+  writeBranch(buildGroupTree(nodes), '  ');
+
+  edges.forEach(({ arrow, source, target }) => {
+    lines.push(`  ${ids.get(source.id)} ${getLink(arrow, getLabelText(elementsMap, arrow))} ${ids.get(target.id)}`);
+  });
+
+  nodes.forEach(node => {
+    const style = styleLine(ids.get(node.id), node);
+    if (style) lines.push(`  ${style}`);
+  });
+
+  return { mermaid: `${lines.join('\n')}\n`, warnings };
+}
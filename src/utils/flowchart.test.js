@@ -0,0 +1,106 @@
+import { exportFlowchart } from './flowchart.js';
+import { connectElements } from './bindings.js';
+import { setLabel } from './labels.js';
+import { normalizeElement } from './normalize.js';
+
+const shape = (type, id, x, y, properties = {}) => normalizeElement({ type, id, x, y, width: 100, height: 50, ...properties });
+
+// Scene of the given elements, with `labels` as { elementId: text }
+function buildScene(elementList, labels = {}) {
+  const elementsMap = new Map(elementList.map(element => [element.id, element]));
+  Object.entries(labels).forEach(([id, text]) => {
+    const label = setLabel(elementsMap, elementsMap.get(id), { text });
+    elementsMap.set(label.id, label);
+  });
+  return elementsMap;
+}
+
+function connect(elementsMap, sourceId, targetId, properties) {
+  const arrow = connectElements(elementsMap.get(sourceId), elementsMap.get(targetId), properties);
+  elementsMap.set(arrow.id, arrow);
+  return arrow;
+}
+
+describe('exportFlowchart', () => {
+  test('writes nodes with their shapes and labels, and the links between them', () => {
+    const elementsMap = buildScene([
+      shape('rectangle', 'start', 0, 0),
+      shape('diamond', 'check', 0, 150),
+      shape('ellipse', 'end', 0, 300)
+    ], { start: 'Start "here"', check: 'OK?\nReally' });
+    connect(elementsMap, 'start', 'check');
+    const arrow = connect(elementsMap, 'check', 'end', { strokeStyle: 'dashed' });
+    const label = setLabel(elementsMap, arrow, { text: 'yes' });
+    elementsMap.set(label.id, label);
+
+    const { mermaid, warnings } = exportFlowchart(elementsMap, Array.from(elementsMap.values()));
+
+    expect(mermaid).toBe([
+      'flowchart TB',
+      '  n1["Start #quot;here#quot;"]',
+      '  n2{"OK?<br>Really"}',
+      '  n3((" "))',
+      '  n1 --> n2',
+      '  n2 -.->|"yes"| n3',
+      ''
+    ].join('\n'));
+    expect(warnings).toEqual([]);
+  });
+
+  test('infers the direction, keeps imported Mermaid ids and writes styles', () => {
+    const elementsMap = buildScene([
+      shape('rectangle', 'a', 0, 0, { customData: { mermaid: { id: 'A' } } }),
+      shape('rectangle', 'b', 300, 0, { backgroundColor: '#ffc9c9', strokeColor: '#e03131' })
+    ]);
+    connect(elementsMap, 'a', 'b', { strokeWidth: 4, startArrowhead: 'arrow', endArrowhead: 'arrow' });
+
+    const { mermaid } = exportFlowchart(elementsMap, Array.from(elementsMap.values()));
+
+    expect(mermaid.split('\n')).toEqual(expect.arrayContaining([
+      'flowchart LR',
+      '  A <==> n1',
+      '  style n1 fill:#ffc9c9,stroke:#e03131'
+    ]));
+    expect(exportFlowchart(elementsMap, Array.from(elementsMap.values()), { direction: 'BT' }).mermaid).toMatch(/^flowchart BT\n/);
+  });
+
+  test('writes nested groups as subgraphs', () => {
+    const elementsMap = buildScene([
+      shape('rectangle', 'a', 0, 0, { groupIds: ['inner', 'outer'] }),
+      shape('rectangle', 'b', 0, 100, { groupIds: ['outer'] }),
+      shape('rectangle', 'c', 0, 200)
+    ]);
+
+    const { mermaid } = exportFlowchart(elementsMap, Array.from(elementsMap.values()));
+
+    expect(mermaid).toBe([
+      'flowchart TB',
+      '  n3[" "]',
+      '  subgraph group1 [" "]',
+      '    n2[" "]',
+      '    subgraph group2 [" "]',
+      '      n1[" "]',
+      '    end',
+      '  end',
+      ''
+    ].join('\n'));
+  });
+
+  test('warns about what has no flowchart equivalent', () => {
+    const elementsMap = buildScene([
+      shape('rectangle', 'a', 0, 0, { angle: 1 }),
+      normalizeElement({ type: 'line', id: 'line', x: 0, y: 0 }),
+      normalizeElement({ type: 'text', id: 'note', x: 0, y: 0, text: 'Note' }),
+      normalizeElement({ type: 'arrow', id: 'loose', x: 0, y: 0 })
+    ]);
+
+    const { warnings } = exportFlowchart(elementsMap, Array.from(elementsMap.values()));
+
+    expect(warnings).toEqual([
+      'line line has no Mermaid equivalent and was left out',
+      'Text note ("Note") is not a label of a shape or arrow and was left out',
+      'Arrow loose does not connect two exported shapes and was left out',
+      'Rotation of a was left out'
+    ]);
+  });
+});
@@ -0,0 +1,111 @@
+// Geometry helpers for Excalidraw elements
+
+const LINEAR_TYPES = ['arrow', 'line', 'freedraw'];
+
+export function isLinearElement(element) {
+  return LINEAR_TYPES.includes(element.type);
+}
+
+// Points may come as Excalidraw tuples ([x, y]) or as { x, y } objects
+export function toPoint(point) {
+  return Array.isArray(point) ? { x: point[0], y: point[1] } : { x: point.x, y: point.y };
+}
+
+export function getPoints(element) {
+  return Array.isArray(element.points) ? element.points.map(toPoint) : [];
+}
+
+function rotatePoint(point, center, angle) {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const dx = point.x - center.x;
+  const dy = point.y - center.y;
+
+  return {
+    x: center.x + dx * cos - dy * sin,
+    y: center.y + dx * sin + dy * cos
+  };
+}
+
+function boundsOfPoints(points) {
+  const xs = points.map(point => point.x);
+  const ys = points.map(point => point.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const maxX = Math.max(...xs);
+  const maxY = Math.max(...ys);
+
+  return { minX, minY, maxX, maxY, width: maxX - minX, height: maxY - minY };
+}
+
+// Axis-aligned bounding box of an element in scene coordinates,
+// taking line/arrow points and rotation (`angle`, radians) into account
+export function getElementBounds(element) {
+  const angle = element.angle || 0;
+  let localPoints;
+
+  if (isLinearElement(element) && Array.isArray(element.points) && element.points.length > 0) {
+    localPoints = getPoints(element).map(point => ({
+      x: element.x + point.x,
+      y: element.y + point.y
+    }));
+  } else {
+    const width = element.width || 0;
+    const height = element.height || 0;
+    localPoints = [
+      { x: element.x, y: element.y },
+      { x: element.x + width, y: element.y },
+      { x: element.x + width, y: element.y + height },
+      { x: element.x, y: element.y + height }
+    ];
+  }
+
+  if (!angle) {
+    return boundsOfPoints(localPoints);
+  }
+
+  const unrotated = boundsOfPoints(localPoints);
+  const center = {
+    x: unrotated.minX + unrotated.width / 2,
+    y: unrotated.minY + unrotated.height / 2
+  };
+
+  // An ellipse's rotated extent is tighter than that of its bounding rectangle
+  if (element.type === 'ellipse') {
+    const a = unrotated.width / 2;
+    const b = unrotated.height / 2;
+    const halfWidth = Math.sqrt((a * Math.cos(angle)) ** 2 + (b * Math.sin(angle)) ** 2);
+    const halfHeight = Math.sqrt((a * Math.sin(angle)) ** 2 + (b * Math.cos(angle)) ** 2);
+
+    return boundsOfPoints([
+      { x: center.x - halfWidth, y: center.y - halfHeight },
+      { x: center.x + halfWidth, y: center.y + halfHeight }
+    ]);
+  }
+
+  return boundsOfPoints(localPoints.map(point => rotatePoint(point, center, angle)));
+}
+
+// Bounding box enclosing all given elements
+export function getCommonBounds(elementList) {
+  if (elementList.length === 0) {
+    throw new Error('Cannot compute bounds of an empty element list');
+  }
+
+  const corners = elementList.flatMap(element => {
+    const bounds = getElementBounds(element);
+    return [
+      { x: bounds.minX, y: bounds.minY },
+      { x: bounds.maxX, y: bounds.maxY }
+    ];
+  });
+
+  return boundsOfPoints(corners);
+}
+
+export function getBoundsCenter(bounds) {
+  return {
+    x: bounds.minX + bounds.width / 2,
+    y: bounds.minY + bounds.height / 2
+  };
+}
@@ -0,0 +1,122 @@
+// Shapes and the arrows between them read as a graph, for the text exports (Mermaid, DOT)
+import { getElementBounds, getBoundsCenter } from './geometry.js';
+
+export const GRAPH_NODE_TYPES = ['rectangle', 'diamond', 'ellipse'];
+
+// Frame and title drawn for a cluster imported from DOT; the cluster itself is the group
+export function isClusterPart(element) {
+  return Boolean(element.customData?.dot?.cluster);
+}
+
+export function getLabelText(elementsMap, element) {
+  const text = element.boundElements
+    ?.filter(bound => bound.type === 'text')
+    .map(bound => elementsMap.get(bound.id))
+    .find(Boolean);
+  return text ? text.originalText ?? text.text : null;
+}
+
+/**
+ * Nodes and edges among `elementList`: shapes are nodes, in reading order,
+ * and arrows bound to two of them are edges. An arrow pointing back only
+ * becomes an edge the other way round. Labels are part of their container.
+ * Everything else is left out with a warning naming the target `format`,
+ * except the parts of imported clusters.
+ */
+export function collectGraph(elementsMap, elementList, { format }) {
+  const warnings = [];
+  const nodes = elementList
+    .filter(element => GRAPH_NODE_TYPES.includes(element.type) && !isClusterPart(element))
+    .sort((a, b) => a.y - b.y || a.x - b.x);
+  const nodeIds = new Set(nodes.map(node => node.id));
+
+  const edges = [];
+  elementList.forEach(element => {
+    if (nodeIds.has(element.id) || isClusterPart(element)) return;
+
+    if (element.type === 'text') {
+      if (element.containerId && elementsMap.has(element.containerId)) return;
+      warnings.push(`Text ${element.id} ("${element.text}") is not a label of a shape or arrow and was left out`);
+    } else if (element.type === 'arrow') {
+      const source = elementsMap.get(element.startBinding?.elementId);
+      const target = elementsMap.get(element.endBinding?.elementId);
+      if (nodeIds.has(source?.id) && nodeIds.has(target?.id)) {
+        const reversed = element.startArrowhead && !element.endArrowhead;
+        edges.push({ arrow: element, source: reversed ? target : source, target: reversed ? source : target });
+      } else {
+        warnings.push(`Arrow ${element.id} does not connect two exported shapes and was left out`);
+      }
+    } else {
+      warnings.push(`${element.type} ${element.id} has no ${format} equivalent and was left out`);
+    }
+  });
+
+  nodes.forEach(node => {
+    if (node.angle) warnings.push(`Rotation of ${node.id} was left out`);
+  });
+
+  return { nodes, edges, warnings };
+}
+
+/**
+ * Nest the nodes the way their groups nest: each branch holds the nodes
+ * directly in it and a Map of its subgroups by group id.
+ */
+export function buildGroupTree(nodes) {
+  const tree = { children: new Map(), nodes: [] };
+  nodes.forEach(node => {
+    let branch = tree;
+    // groupIds run from the innermost to the outermost group
+    [...(node.groupIds || [])].reverse().forEach(groupId => {
+      if (!branch.children.has(groupId)) branch.children.set(groupId, { children: new Map(), nodes: [] });
+      branch = branch.children.get(groupId);
+    });
+    branch.nodes.push(node);
+  });
+  return tree;
+}
+
+// Direction most edges point in: TB, BT, LR or RL
+export function inferDirection(edges) {
+  let horizontal = 0;
+  let vertical = 0;
+  edges.forEach(({ source, target }) => {
+    const from = getBoundsCenter(getElementBounds(source));
+    const to = getBoundsCenter(getElementBounds(target));
+    horizontal += to.x - from.x;
+    vertical += to.y - from.y;
+  });
+
+  if (Math.abs(horizontal) > Math.abs(vertical)) return horizontal < 0 ? 'RL' : 'LR';
+  return vertical < 0 ? 'BT' : 'TB';
+}
+
+/**
+ * Ids for the nodes in the exported text: the id `getImportedId` returns
+ * for a node when it passes `isValid` and is not taken, otherwise n1, n2, ...
+ */
+export function assignNodeIds(nodes, { getImportedId, isValid = () => true }) {
+  const ids = new Map();
+  const used = new Set();
+
+  nodes.forEach(node => {
+    const imported = getImportedId(node);
+    if (imported && isValid(imported) && !used.has(imported)) {
+      ids.set(node.id, imported);
+      used.add(imported);
+    }
+  });
+
+  let counter = 0;
+  nodes.forEach(node => {
+    if (ids.has(node.id)) return;
+    let id;
+    do {
+      id = `n${++counter}`;
+    } while (used.has(id));
+    ids.set(node.id, id);
+    used.add(id);
+  });
+
+  return ids;
+}
@@ -0,0 +1,77 @@
+// Excalidraw-native grouping.
+// Every element carries a `groupIds` array ordered from the innermost to the
+// outermost group it belongs to, which is what Excalidraw reads and writes.
+import { generateId } from '../types.js';
+
+// Map of groupId -> member element ids, derived from the elements' groupIds
+export function buildGroupIndex(elementsMap) {
+  const groups = new Map();
+
+  elementsMap.forEach(element => {
+    (element.groupIds || []).forEach(groupId => {
+      if (!groups.has(groupId)) groups.set(groupId, []);
+      groups.get(groupId).push(element.id);
+    });
+  });
+
+  return groups;
+}
+
+export function getGroupMembers(elementsMap, groupId) {
+  const members = Array.from(elementsMap.values()).filter(element => element.groupIds?.includes(groupId));
+  if (members.length === 0) {
+    throw new Error(`Group ${groupId} not found`);
+  }
+  return members;
+}
+
+export function getOutermostGroupId(element) {
+  const groupIds = element.groupIds || [];
+  return groupIds[groupIds.length - 1];
+}
+
+/**
+ * Put the given elements into a new group wrapping any groups they are
+ * already part of, so existing groups become nested inside it.
+ * Returns the new group id.
+ */
+export function groupElements(elementList) {
+  if (elementList.length < 2) {
+    throw new Error('At least two elements are required to group');
+  }
+
+  const groupId = generateId();
+  elementList.forEach(element => {
+    element.groupIds = [...(element.groupIds || []), groupId];
+  });
+
+  return groupId;
+}
+
+/**
+ * Dissolve a single group level. Inner groups of the members are kept.
+ * Returns the elements that were ungrouped.
+ */
+export function ungroupElements(elementsMap, groupId) {
+  const members = getGroupMembers(elementsMap, groupId);
+
+  members.forEach(element => {
+    element.groupIds = element.groupIds.filter(id => id !== groupId);
+  });
+
+  return members;
+}
+
+// Grouping acts on whole groups: pull in every member of the outermost
+// group each element belongs to, like selecting it on the canvas would
+export function expandToOutermostGroups(elementsMap, elementList) {
+  const expanded = new Map();
+
+  elementList.forEach(element => {
+    const groupId = getOutermostGroupId(element);
+    const members = groupId ? getGroupMembers(elementsMap, groupId) : [element];
+    members.forEach(member => expanded.set(member.id, member));
+  });
+
+  return Array.from(expanded.values());
+}
@@ -0,0 +1,55 @@
+import { buildGroupIndex, expandToOutermostGroups, groupElements, ungroupElements } from './groups.js';
+import { normalizeElement } from './normalize.js';
+
+const rectangle = (id, groupIds = []) => normalizeElement({ type: 'rectangle', id, x: 0, y: 0, width: 100, height: 50, groupIds });
+
+function buildScene(elementList) {
+  return new Map(elementList.map(element => [element.id, element]));
+}
+
+describe('groupElements', () => {
+  test('adds the new group as the outermost group of every element', () => {
+    const elements = [rectangle('a', ['inner']), rectangle('b', ['inner']), rectangle('c')];
+
+    const groupId = groupElements(elements);
+
+    expect(elements.map(element => element.groupIds)).toEqual([['inner', groupId], ['inner', groupId], [groupId]]);
+  });
+
+  test('needs at least two elements', () => {
+    expect(() => groupElements([rectangle('a')])).toThrow('At least two elements are required to group');
+  });
+});
+
+describe('ungroupElements', () => {
+  test('dissolves one level and keeps the inner groups', () => {
+    const elementsMap = buildScene([rectangle('a', ['inner', 'outer']), rectangle('b', ['inner', 'outer']), rectangle('c', ['outer'])]);
+
+    const members = ungroupElements(elementsMap, 'outer');
+
+    expect(members.map(element => element.id)).toEqual(['a', 'b', 'c']);
+    expect(Array.from(elementsMap.values()).map(element => element.groupIds)).toEqual([['inner'], ['inner'], []]);
+  });
+
+  test('rejects unknown groups', () => {
+    expect(() => ungroupElements(buildScene([rectangle('a')]), 'missing')).toThrow('Group missing not found');
+  });
+});
+
+describe('buildGroupIndex', () => {
+  test('lists the members of every nesting level', () => {
+    const elementsMap = buildScene([rectangle('a', ['inner', 'outer']), rectangle('b', ['inner', 'outer']), rectangle('c', ['outer']), rectangle('d')]);
+
+    expect(Object.fromEntries(buildGroupIndex(elementsMap))).toEqual({ inner: ['a', 'b'], outer: ['a', 'b', 'c'] });
+  });
+});
+
+describe('expandToOutermostGroups', () => {
+  test('pulls in every member of the outermost groups once', () => {
+    const elementsMap = buildScene([rectangle('a', ['inner', 'outer']), rectangle('b', ['outer']), rectangle('c'), rectangle('d')]);
+
+    const expanded = expandToOutermostGroups(elementsMap, [elementsMap.get('a'), elementsMap.get('c'), elementsMap.get('b')]);
+
+    expect(expanded.map(element => element.id)).toEqual(['a', 'b', 'c']);
+  });
+});
@@ -0,0 +1,125 @@
+// Undo/redo history and named checkpoints for the elements Map
+import { snapshotElements } from './diff.js';
+import { bumpVersion } from './normalize.js';
+
+export const DEFAULT_HISTORY_LIMIT = 100;
+
+// Put a recorded element state back, as a new version of the current one
+function restoreElement(elementsMap, id, state) {
+  const current = elementsMap.get(id);
+
+  if (!state) {
+    elementsMap.delete(id);
+    return;
+  }
+
+  const restored = structuredClone(state);
+  restored.version = Math.max(current?.version ?? 0, state.version ?? 0);
+  elementsMap.set(id, bumpVersion(restored));
+}
+
+/**
+ * Create a bounded history.
+ * Each entry holds the tool name and, per affected element, its state before
+ * and after the call (null when it did not exist), plus the scene state
+ * (theme, viewport) before and after.
+ */
+export function createHistory({ limit = DEFAULT_HISTORY_LIMIT } = {}) {
+  const undoStack = [];
+  const redoStack = [];
+  const checkpoints = new Map();
+
+  function record({ tool, changes, sceneState }) {
+    undoStack.push({
+      tool,
+      timestamp: new Date().toISOString(),
+      changes,
+      sceneState
+    });
+    if (undoStack.length > limit) undoStack.shift();
+    redoStack.length = 0;
+  }
+
+  function apply(entry, side, elementsMap, sceneState) {
+    entry.changes.forEach(change => restoreElement(elementsMap, change.id, change[side]));
+    if (entry.sceneState) Object.assign(sceneState, structuredClone(entry.sceneState[side]));
+  }
+
+  function undo(elementsMap, sceneState) {
+    const entry = undoStack.pop();
+    if (!entry) throw new Error('Nothing to undo');
+
+    apply(entry, 'before', elementsMap, sceneState);
+    redoStack.push(entry);
+    return entry;
+  }
+
+  function redo(elementsMap, sceneState) {
+    const entry = redoStack.pop();
+    if (!entry) throw new Error('Nothing to redo');
+
+    apply(entry, 'after', elementsMap, sceneState);
+    undoStack.push(entry);
+    return entry;
+  }
+
+  function createCheckpoint(name, elementsMap, sceneState) {
+    checkpoints.set(name, {
+      name,
+      timestamp: new Date().toISOString(),
+      elements: snapshotElements(elementsMap),
+      sceneState: structuredClone({ theme: sceneState.theme, viewport: sceneState.viewport })
+    });
+    return checkpoints.get(name);
+  }
+
+  // Replace the elements with the checkpoint's; the change itself is recorded like any other
+  function restoreCheckpoint(name, elementsMap, sceneState) {
+    const checkpoint = checkpoints.get(name);
+    if (!checkpoint) throw new Error(`Checkpoint ${name} not found`);
+
+    Array.from(elementsMap.keys())
+      .filter(id => !checkpoint.elements.has(id))
+      .forEach(id => elementsMap.delete(id));
+    checkpoint.elements.forEach((state, id) => {
+      if (JSON.stringify(elementsMap.get(id)) !== JSON.stringify(state)) {
+        restoreElement(elementsMap, id, state);
+      }
+    });
+    Object.assign(sceneState, structuredClone(checkpoint.sceneState));
+    return checkpoint;
+  }
+
+  // Most recent entries first, without the element states
+  function list(count = 20) {
+    return undoStack.slice(-count).reverse().map(entry => ({
+      tool: entry.tool,
+      timestamp: entry.timestamp,
+      elementIds: entry.changes.map(change => change.id)
+    }));
+  }
+
+  function listCheckpoints() {
+    return Array.from(checkpoints.values()).map(({ name, timestamp, elements }) => ({
+      name,
+      timestamp,
+      elementCount: elements.size
+    }));
+  }
+
+  return {
+    record,
+    undo,
+    redo,
+    createCheckpoint,
+    restoreCheckpoint,
+    list,
+    listCheckpoints,
+    get canUndo() {
+      return undoStack.length > 0;
+    },
+    get canRedo() {
+      return redoStack.length > 0;
+    }
+  };
+}
@@ -0,0 +1,94 @@
+import { createHistory } from './history.js';
+import { diffElements, snapshotElements } from './diff.js';
+import { normalizeElement } from './normalize.js';
+
+const rectangle = (id, x = 0) => normalizeElement({ type: 'rectangle', id, x, y: 0, width: 100, height: 50 });
+
+// Apply `change` to the elements and record it the way the server does
+function recordChange(history, tool, elementsMap, change) {
+  const before = snapshotElements(elementsMap);
+  change(elementsMap);
+  const { added, removed, updated } = diffElements(before, elementsMap);
+  history.record({
+    tool,
+    changes: [...added, ...removed, ...updated].map(id => ({
+      id,
+      before: before.get(id) ?? null,
+      after: elementsMap.has(id) ? structuredClone(elementsMap.get(id)) : null
+    })),
+    sceneState: null
+  });
+}
+
+describe('createHistory', () => {
+  test('undoes and redoes creating, updating and deleting elements', () => {
+    const history = createHistory();
+    const elementsMap = new Map();
+
+    recordChange(history, 'create_element', elementsMap, map => map.set('a', rectangle('a')));
+    recordChange(history, 'update_element', elementsMap, map => { map.get('a').x = 300; });
+    recordChange(history, 'delete_element', elementsMap, map => map.delete('a'));
+
+    history.undo(elementsMap, {});
+    expect(elementsMap.get('a').x).toBe(300);
+    history.undo(elementsMap, {});
+    expect(elementsMap.get('a').x).toBe(0);
+    history.undo(elementsMap, {});
+    expect(elementsMap.has('a')).toBe(false);
+    expect(() => history.undo(elementsMap, {})).toThrow('Nothing to undo');
+
+    expect(history.redo(elementsMap, {}).tool).toBe('create_element');
+    expect(elementsMap.get('a').x).toBe(0);
+    expect(history.canRedo).toBe(true);
+  });
+
+  test('restores elements as newer versions so clients pick them up', () => {
+    const history = createHistory();
+    const elementsMap = new Map([['a', rectangle('a')]]);
+
+    recordChange(history, 'update_element', elementsMap, map => { map.get('a').version += 1; map.get('a').x = 300; });
+    const version = elementsMap.get('a').version;
+    history.undo(elementsMap, {});
+
+    expect(elementsMap.get('a').version).toBeGreaterThan(version);
+  });
+
+  test('drops the redo stack on a new change', () => {
+    const history = createHistory();
+    const elementsMap = new Map();
+
+    recordChange(history, 'create_element', elementsMap, map => map.set('a', rectangle('a')));
+    history.undo(elementsMap, {});
+    recordChange(history, 'create_element', elementsMap, map => map.set('b', rectangle('b')));
+
+    expect(history.canRedo).toBe(false);
+    expect(() => history.redo(elementsMap, {})).toThrow('Nothing to redo');
+  });
+
+  test('keeps only the most recent entries', () => {
+    const history = createHistory({ limit: 2 });
+    const elementsMap = new Map();
+
+    ['a', 'b', 'c'].forEach(id => recordChange(history, 'create_element', elementsMap, map => map.set(id, rectangle(id))));
+
+    expect(history.list().map(entry => entry.elementIds)).toEqual([['c'], ['b']]);
+  });
+
+  test('restores named checkpoints', () => {
+    const history = createHistory();
+    const elementsMap = new Map([['a', rectangle('a')]]);
+    const sceneState = { theme: 'light', viewport: { x: 0, y: 0, zoom: 1 } };
+
+    history.createCheckpoint('start', elementsMap, sceneState);
+    elementsMap.get('a').x = 300;
+    elementsMap.set('b', rectangle('b'));
+    sceneState.theme = 'dark';
+    history.restoreCheckpoint('start', elementsMap, sceneState);
+
+    expect(Array.from(elementsMap.keys())).toEqual(['a']);
+    expect(elementsMap.get('a').x).toBe(0);
+    expect(sceneState.theme).toBe('light');
+    expect(history.listCheckpoints()).toEqual([{ name: 'start', timestamp: expect.any(String), elementCount: 1 }]);
+    expect(() => history.restoreCheckpoint('missing', elementsMap, sceneState)).toThrow('Checkpoint missing not found');
+  });
+});
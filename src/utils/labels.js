@@ -0,0 +1,187 @@
+// Text bound to shapes and arrows (Excalidraw containers)
+import { getElementBounds, getBoundsCenter, getPoints, isLinearElement } from './geometry.js';
+import { measureText, normalizeElement, mergeElementUpdates } from './normalize.js';
+
+// Space between a container's outline and its text, as in Excalidraw
+export const BOUND_TEXT_PADDING = 5;
+
+const MIN_ARROW_LABEL_WIDTH = 200;
+
+export const LABEL_CONTAINER_TYPES = ['rectangle', 'ellipse', 'diamond', 'arrow'];
+
+const CONTAINER_KEYS = ['x', 'y', 'width', 'height', 'angle', 'points'];
+const TEXT_KEYS = ['text', 'originalText', 'fontSize', 'fontFamily', 'lineHeight', 'containerId'];
+
+// Widest text that fits inside the container
+function getMaxTextWidth(container) {
+  switch (container.type) {
+    case 'ellipse':
+      return Math.round(container.width / Math.SQRT2) - BOUND_TEXT_PADDING * 2;
+    case 'diamond':
+      return Math.round(container.width / 2) - BOUND_TEXT_PADDING * 2;
+    case 'arrow': {
+      const bounds = getElementBounds(container);
+      return Math.max(MIN_ARROW_LABEL_WIDTH, Math.hypot(bounds.width, bounds.height) * 0.7);
+    }
+    default:
+      return container.width - BOUND_TEXT_PADDING * 2;
+  }
+}
+
+// Height the container needs to fit text of the given height
+function getRequiredContainerHeight(container, textHeight) {
+  const height = textHeight + BOUND_TEXT_PADDING * 2;
+  switch (container.type) {
+    case 'ellipse':
+      return Math.round(height * Math.SQRT2);
+    case 'diamond':
+      return height * 2;
+    default:
+      return height;
+  }
+}
+
+// Middle of an arrow's path, where Excalidraw puts its label
+function getArrowMidpoint(arrow) {
+  const points = getPoints(arrow).map(point => ({ x: arrow.x + point.x, y: arrow.y + point.y }));
+  if (points.length === 0) return { x: arrow.x, y: arrow.y };
+
+  const middle = Math.floor(points.length / 2);
+  if (points.length % 2 === 1) return points[middle];
+
+  return {
+    x: (points[middle - 1].x + points[middle].x) / 2,
+    y: (points[middle - 1].y + points[middle].y) / 2
+  };
+}
+
+function fitsWidth(line, text, maxWidth) {
+  return measureText(line, text.fontSize, text.fontFamily, text.lineHeight).width <= maxWidth;
+}
+
+/**
+ * Wrap text into lines no wider than maxWidth, breaking between words
+ * and inside words that are too long on their own.
+ */
+export function wrapText(text, maxWidth) {
+  return String(text.originalText ?? text.text).split('\n').map(paragraph => {
+    const lines = [];
+    let line = '';
+
+    paragraph.split(' ').forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (fitsWidth(candidate, text, maxWidth)) {
+        line = candidate;
+        return;
+      }
+
+      if (line) lines.push(line);
+      line = '';
+      for (const char of word) {
+        if (line && !fitsWidth(line + char, text, maxWidth)) {
+          lines.push(line);
+          line = '';
+        }
+        line += char;
+      }
+    });
+    lines.push(line);
+
+    return lines.join('\n');
+  }).join('\n');
+}
+
+/**
+ * Wrap bound text to its container and center it there.
+ * Shapes grow downward when the text does not fit, as in Excalidraw.
+ */
+export function layoutBoundText(text, container) {
+  text.text = wrapText(text, Math.max(getMaxTextWidth(container), 1));
+  Object.assign(text, measureText(text.text, text.fontSize, text.fontFamily, text.lineHeight));
+
+  if (!isLinearElement(container)) {
+    const requiredHeight = getRequiredContainerHeight(container, text.height);
+    if (requiredHeight > container.height) container.height = requiredHeight;
+  }
+
+  const center = container.type === 'arrow'
+    ? getArrowMidpoint(container)
+    : getBoundsCenter(getElementBounds(container));
+  text.x = center.x - text.width / 2;
+  text.y = center.y - text.height / 2;
+  text.angle = container.type === 'arrow' ? 0 : container.angle || 0;
+}
+
+export function getBoundTextId(container) {
+  return container.boundElements?.find(bound => bound.type === 'text')?.id;
+}
+
+/**
+ * Bind a text element to a shape or arrow: the text is registered in the
+ * container's boundElements, then wrapped and centered.
+ */
+export function bindTextToContainer(text, container) {
+  if (!LABEL_CONTAINER_TYPES.includes(container.type)) {
+    throw new Error(`Labels can only be attached to ${LABEL_CONTAINER_TYPES.join(', ')} elements`);
+  }
+
+  text.containerId = container.id;
+  text.textAlign = 'center';
+  text.verticalAlign = 'middle';
+
+  const boundElements = (container.boundElements || []).filter(bound => bound.type !== 'text' && bound.id !== text.id);
+  container.boundElements = [...boundElements, { type: 'text', id: text.id }];
+
+  layoutBoundText(text, container);
+}
+
+/**
+ * Set the label of a container: its bound text is updated, or created when it has none.
+ * Returns the text element, which the caller stores.
+ */
+export function setLabel(elementsMap, container, { text, ...style }) {
+  const existing = elementsMap.get(getBoundTextId(container));
+  const label = existing
+    ? mergeElementUpdates(existing, { ...style, text })
+    : normalizeElement({ ...style, type: 'text', x: container.x, y: container.y, text });
+
+  bindTextToContainer(label, container);
+  return label;
+}
+
+function hasChanged(before, after, keys) {
+  return !before || keys.some(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+}
+
+/**
+ * Keep bound text in line with what a tool call changed, comparing against
+ * the `snapshot` of the elements before the call: text of moved or resized
+ * containers and edited text is reflowed, text of deleted containers is deleted.
+ */
+export function syncBoundText(elementsMap, snapshot) {
+  Array.from(elementsMap.values())
+    .filter(element => element.type === 'text' && element.containerId)
+    .forEach(text => {
+      const container = elementsMap.get(text.containerId);
+      if (!container) {
+        elementsMap.delete(text.id);
+        return;
+      }
+
+      if (hasChanged(snapshot.get(container.id), container, CONTAINER_KEYS) ||
+        hasChanged(snapshot.get(text.id), text, TEXT_KEYS)) {
+        layoutBoundText(text, container);
+      }
+    });
+}
+
+// The given elements plus the text bound to any of them, in scene order
+export function withBoundText(elementsMap, elementList) {
+  const ids = new Set(elementList.map(element => element.id));
+  elementList.forEach(element => {
+    const textId = getBoundTextId(element);
+    if (textId && elementsMap.has(textId)) ids.add(textId);
+  });
+
+  return Array.from(elementsMap.values()).filter(element => ids.has(element.id));
+}
@@ -0,0 +1,115 @@
+import { snapshotElements } from './diff.js';
+import { setLabel, syncBoundText, wrapText, withBoundText, BOUND_TEXT_PADDING } from './labels.js';
+import { measureText, normalizeElement } from './normalize.js';
+
+const rectangle = (id, x, y, properties = {}) => normalizeElement({ type: 'rectangle', id, x, y, width: 200, height: 60, ...properties });
+
+function center(element) {
+  return { x: element.x + element.width / 2, y: element.y + element.height / 2 };
+}
+
+// Label `container` and store both in a new elements Map
+function labelled(container, text) {
+  const elementsMap = new Map([[container.id, container]]);
+  const label = setLabel(elementsMap, container, { text });
+  elementsMap.set(label.id, label);
+  return { elementsMap, label };
+}
+
+describe('wrapText', () => {
+  test('breaks between words and inside words that are too long', () => {
+    const text = normalizeElement({ type: 'text', x: 0, y: 0, text: 'one two three abcdefghijklmnop' });
+    const maxWidth = measureText('one two').width;
+
+    expect(wrapText(text, maxWidth)).toBe('one two\nthree\nabcdefg\nhijklmn\nop');
+  });
+
+  test('keeps existing line breaks', () => {
+    const text = normalizeElement({ type: 'text', x: 0, y: 0, text: 'a\nb' });
+    expect(wrapText(text, 1000)).toBe('a\nb');
+  });
+});
+
+describe('setLabel', () => {
+  test('binds centered text to the container', () => {
+    const container = rectangle('box', 100, 100);
+    const { label } = labelled(container, 'Hello');
+
+    expect(label).toMatchObject({ containerId: 'box', textAlign: 'center', verticalAlign: 'middle', text: 'Hello' });
+    expect(container.boundElements).toEqual([{ type: 'text', id: label.id }]);
+    expect(center(label)).toEqual(center(container));
+  });
+
+  test('wraps text to the container width', () => {
+    const container = rectangle('box', 0, 0, { width: 100, height: 200 });
+    const { label } = labelled(container, 'a label too long for one line');
+
+    expect(label.text.split('\n').length).toBeGreaterThan(1);
+    expect(label.width).toBeLessThanOrEqual(100 - BOUND_TEXT_PADDING * 2);
+    expect(label.originalText).toBe('a label too long for one line');
+  });
+
+  test('grows the container downward when the text does not fit', () => {
+    const container = rectangle('box', 0, 0, { width: 100, height: 20 });
+    const { label } = labelled(container, 'several words that need a few lines');
+
+    expect(container.y).toBe(0);
+    expect(container.height).toBe(label.height + BOUND_TEXT_PADDING * 2);
+    expect(center(label)).toEqual(center(container));
+  });
+
+  test('updates the existing label instead of adding another', () => {
+    const container = rectangle('box', 0, 0);
+    const { elementsMap, label } = labelled(container, 'First');
+
+    const updated = setLabel(elementsMap, container, { text: 'Second' });
+
+    expect(updated.id).toBe(label.id);
+    expect(updated.text).toBe('Second');
+    expect(container.boundElements).toEqual([{ type: 'text', id: label.id }]);
+  });
+
+  test('puts arrow labels on the middle of the path', () => {
+    const arrow = normalizeElement({ type: 'arrow', id: 'arrow', x: 0, y: 0, points: [[0, 0], [200, 0], [200, 100]] });
+    const { label } = labelled(arrow, 'go');
+
+    expect(center(label)).toEqual({ x: 200, y: 0 });
+  });
+
+  test('rejects containers that cannot hold text', () => {
+    const line = normalizeElement({ type: 'line', id: 'line', x: 0, y: 0 });
+    expect(() => labelled(line, 'x')).toThrow('Labels can only be attached to rectangle, ellipse, diamond, arrow elements');
+  });
+});
+
+describe('syncBoundText', () => {
+  test('recenters the label of a moved container', () => {
+    const container = rectangle('box', 0, 0);
+    const { elementsMap, label } = labelled(container, 'Hello');
+    const snapshot = snapshotElements(elementsMap);
+
+    container.x = 500;
+    syncBoundText(elementsMap, snapshot);
+
+    expect(center(elementsMap.get(label.id))).toEqual(center(container));
+  });
+
+  test('deletes the label of a deleted container', () => {
+    const { elementsMap, label } = labelled(rectangle('box', 0, 0), 'Hello');
+    const snapshot = snapshotElements(elementsMap);
+
+    elementsMap.delete('box');
+    syncBoundText(elementsMap, snapshot);
+
+    expect(elementsMap.has(label.id)).toBe(false);
+  });
+});
+
+describe('withBoundText', () => {
+  test('adds the labels of the given elements', () => {
+    const { elementsMap, label } = labelled(rectangle('box', 0, 0), 'Hello');
+    elementsMap.set('other', rectangle('other', 300, 0));
+
+    expect(withBoundText(elementsMap, [elementsMap.get('box')]).map(element => element.id)).toEqual(['box', label.id]);
+  });
+});
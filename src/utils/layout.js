@@ -0,0 +1,500 @@
+// Automatic layout of shapes connected by arrows: layered, tree, grid and force-directed
+import { updateBoundArrows } from './bindings.js';
+import { getCommonBounds, isLinearElement } from './geometry.js';
+import { isLocked } from './locks.js';
+
+export const LAYOUT_ALGORITHMS = ['layered', 'tree', 'grid', 'force'];
+export const LAYOUT_DIRECTIONS = ['TB', 'LR'];
+
+// Gap between neighbouring nodes, and between layers or tree levels
+export const DEFAULT_NODE_SPACING = 50;
+export const DEFAULT_LAYER_SPACING = 80;
+
+// Barycenter passes ordering the nodes within layers
+const ORDERING_SWEEPS = 8;
+const FORCE_ITERATIONS = 300;
+const OVERLAP_PASSES = 50;
+
+function isBoundArrow(element) {
+  return element.type === 'arrow' && Boolean(element.startBinding || element.endBinding);
+}
+
+/**
+ * Nodes to lay out. Shapes are nodes of their own, grouped elements move as
+ * one node: the outermost group, or with `scopeGroupId` the group right inside it.
+ * Bound text and bound arrows are no nodes; they follow the shapes.
+ */
+function buildNodes(elementList, scopeGroupId) {
+  const nodes = new Map();
+  const nodeOf = new Map();
+
+  elementList.forEach(element => {
+    if (element.containerId || isBoundArrow(element)) return;
+
+    const groupIds = element.groupIds || [];
+    const scopeIndex = scopeGroupId ? groupIds.indexOf(scopeGroupId) : groupIds.length;
+    const key = scopeIndex > 0 ? groupIds[scopeIndex - 1] : element.id;
+    // Loose lines and drawings stay where they are
+    if (key === element.id && isLinearElement(element)) return;
+
+    if (!nodes.has(key)) nodes.set(key, { key, elements: [] });
+    nodes.get(key).elements.push(element);
+    nodeOf.set(element.id, key);
+  });
+
+  const list = Array.from(nodes.values()).map(node => {
+    const bounds = getCommonBounds(node.elements);
+    return { ...node, bounds, width: bounds.width, height: bounds.height };
+  });
+  // Reading order of the current drawing, so results are stable
+  list.sort((a, b) => a.bounds.minY - b.bounds.minY || a.bounds.minX - b.bounds.minX);
+
+  return { nodes: list, nodeOf };
+}
+
+// Edges between nodes from the arrows bound at both ends, without duplicates and self-loops
+function buildEdges(elementsMap, nodeOf) {
+  const edges = new Map();
+
+  elementsMap.forEach(element => {
+    if (element.type !== 'arrow') return;
+    const from = nodeOf.get(element.startBinding?.elementId);
+    const to = nodeOf.get(element.endBinding?.elementId);
+    if (from && to && from !== to) edges.set(`${from}\n${to}`, { from, to });
+  });
+
+  return Array.from(edges.values());
+}
+
+function adjacency(nodes, edges) {
+  const successors = new Map(nodes.map(node => [node.key, []]));
+  const predecessors = new Map(nodes.map(node => [node.key, []]));
+  edges.forEach(({ from, to }) => {
+    successors.get(from).push(to);
+    predecessors.get(to).push(from);
+  });
+  return { successors, predecessors };
+}
+
+// Sizes along the direction of the layers (main) and across it (cross)
+function axes(direction) {
+  return direction === 'LR'
+    ? { main: node => node.width, cross: node => node.height, toPoint: (main, cross) => ({ x: main, y: cross }) }
+    : { main: node => node.height, cross: node => node.width, toPoint: (main, cross) => ({ x: cross, y: main }) };
+}
+
+// Edges that close cycles are reversed, found by a depth-first search in node order
+function removeCycles(nodes, edges) {
+  const { successors } = adjacency(nodes, edges);
+  const state = new Map();
+  const reversed = new Set();
+
+  const visit = key => {
+    state.set(key, 'active');
+    successors.get(key).forEach(next => {
+      if (state.get(next) === 'active') reversed.add(`${key}\n${next}`);
+      else if (!state.has(next)) visit(next);
+    });
+    state.set(key, 'done');
+  };
+  nodes.forEach(node => {
+    if (!state.has(node.key)) visit(node.key);
+  });
+
+  return edges.map(edge => (reversed.has(`${edge.from}\n${edge.to}`) ? { from: edge.to, to: edge.from } : edge));
+}
+
+// Top-left corners for nodes stacked in layers: `layers` lists the nodes of each layer in order
+function placeLayers(layers, { direction, nodeSpacing, layerSpacing }) {
+  const { main, cross, toPoint } = axes(direction);
+  const lengths = layers.map(layer => layer.reduce((sum, node) => sum + cross(node), 0) + nodeSpacing * (layer.length - 1));
+  const longest = Math.max(...lengths);
+  const positions = new Map();
+  let mainStart = 0;
+
+  layers.forEach((layer, index) => {
+    const thickness = Math.max(...layer.map(main));
+    let crossStart = (longest - lengths[index]) / 2;
+
+    layer.forEach(node => {
+      positions.set(node.key, toPoint(mainStart + (thickness - main(node)) / 2, crossStart));
+      crossStart += cross(node) + nodeSpacing;
+    });
+    mainStart += thickness + layerSpacing;
+  });
+
+  return positions;
+}
+
+/**
+ * Layered layout: nodes are ranked by the longest path leading to them,
+ * then ordered within their layer by the barycenter of their neighbours
+ * to reduce crossing arrows.
+ */
+function layeredLayout(nodes, edges, options) {
+  const acyclic = removeCycles(nodes, edges);
+  const { successors, predecessors } = adjacency(nodes, acyclic);
+
+  // Longest-path ranks in topological order
+  const rank = new Map(nodes.map(node => [node.key, 0]));
+  const indegree = new Map(nodes.map(node => [node.key, predecessors.get(node.key).length]));
+  const queue = nodes.filter(node => indegree.get(node.key) === 0).map(node => node.key);
+  while (queue.length > 0) {
+    const key = queue.shift();
+    successors.get(key).forEach(next => {
+      rank.set(next, Math.max(rank.get(next), rank.get(key) + 1));
+      indegree.set(next, indegree.get(next) - 1);
+      if (indegree.get(next) === 0) queue.push(next);
+    });
+  }
+
+  const layers = [];
+  nodes.forEach(node => {
+    const index = rank.get(node.key);
+    (layers[index] ||= []).push(node);
+  });
+
+  const position = new Map();
+  const updatePositions = () => layers.forEach(layer => layer.forEach((node, index) => position.set(node.key, index)));
+  const barycenter = (node, neighbours) => {
+    const keys = neighbours.get(node.key);
+    return keys.length === 0
+      ? position.get(node.key)
+      : keys.reduce((sum, key) => sum + position.get(key), 0) / keys.length;
+  };
+
+  updatePositions();
+  for (let sweep = 0; sweep < ORDERING_SWEEPS; sweep++) {
+    const downward = sweep % 2 === 0;
+    const order = downward ? layers.slice(1) : layers.slice(0, -1).reverse();
+    order.forEach(layer => {
+      const weights = new Map(layer.map(node => [node.key, barycenter(node, downward ? predecessors : successors)]));
+      layer.sort((a, b) => weights.get(a.key) - weights.get(b.key));
+      layer.forEach((node, index) => position.set(node.key, index));
+    });
+  }
+
+  return placeLayers(layers, options);
+}
+
+/**
+ * Tree layout: a spanning tree from the nodes without incoming arrows, each
+ * parent centered over its children. Arrows outside the tree do not affect it.
+ */
+function treeLayout(nodes, edges, { direction, nodeSpacing, layerSpacing }) {
+  const { main, cross, toPoint } = axes(direction);
+  const { successors, predecessors } = adjacency(nodes, edges);
+  const byKey = new Map(nodes.map(node => [node.key, node]));
+
+  // Breadth-first, so every node hangs below its closest root
+  const children = new Map(nodes.map(node => [node.key, []]));
+  const depth = new Map();
+  const roots = [];
+  const grow = root => {
+    roots.push(root);
+    depth.set(root, 0);
+    const queue = [root];
+    while (queue.length > 0) {
+      const key = queue.shift();
+      successors.get(key).forEach(next => {
+        if (depth.has(next)) return;
+        depth.set(next, depth.get(key) + 1);
+        children.get(key).push(next);
+        queue.push(next);
+      });
+    }
+  };
+  nodes.filter(node => predecessors.get(node.key).length === 0).forEach(node => grow(node.key));
+  // Nodes only reachable through a cycle
+  nodes.forEach(node => {
+    if (!depth.has(node.key)) grow(node.key);
+  });
+
+  const thickness = [];
+  nodes.forEach(node => {
+    const level = depth.get(node.key);
+    thickness[level] = Math.max(thickness[level] ?? 0, main(node));
+  });
+  const levelStart = [0];
+  thickness.forEach((size, level) => {
+    levelStart[level + 1] = levelStart[level] + size + layerSpacing;
+  });
+
+  const extent = new Map();
+  const measure = key => {
+    const childKeys = children.get(key);
+    const childrenExtent = childKeys.reduce((sum, child) => sum + measure(child), 0) + nodeSpacing * Math.max(0, childKeys.length - 1);
+    extent.set(key, Math.max(cross(byKey.get(key)), childrenExtent));
+    return extent.get(key);
+  };
+
+  const positions = new Map();
+  const place = (key, crossStart) => {
+    const node = byKey.get(key);
+    const level = depth.get(key);
+    positions.set(key, toPoint(
+      levelStart[level] + (thickness[level] - main(node)) / 2,
+      crossStart + (extent.get(key) - cross(node)) / 2
+    ));
+
+    const childKeys = children.get(key);
+    const childrenExtent = childKeys.reduce((sum, child) => sum + extent.get(child), 0) + nodeSpacing * Math.max(0, childKeys.length - 1);
+    let childStart = crossStart + (extent.get(key) - childrenExtent) / 2;
+    childKeys.forEach(child => {
+      place(child, childStart);
+      childStart += extent.get(child) + nodeSpacing;
+    });
+  };
+
+  let crossStart = 0;
+  roots.forEach(root => {
+    measure(root);
+    place(root, crossStart);
+    crossStart += extent.get(root) + nodeSpacing;
+  });
+
+  return positions;
+}
+
+/**
+ * Grid layout: equal cells, filled row by row in breadth-first order of the
+ * arrows so that connected nodes end up next to each other.
+ */
+function gridLayout(nodes, edges, { nodeSpacing, columns }) {
+  const { successors, predecessors } = adjacency(nodes, edges);
+  const order = [];
+  const seen = new Set();
+  nodes.forEach(node => {
+    const queue = [node.key];
+    while (queue.length > 0) {
+      const key = queue.shift();
+      if (seen.has(key)) continue;
+      seen.add(key);
+      order.push(key);
+      queue.push(...successors.get(key), ...predecessors.get(key));
+    }
+  });
+
+  const byKey = new Map(nodes.map(node => [node.key, node]));
+  const columnCount = columns ?? Math.ceil(Math.sqrt(nodes.length));
+  const cellWidth = Math.max(...nodes.map(node => node.width)) + nodeSpacing;
+  const cellHeight = Math.max(...nodes.map(node => node.height)) + nodeSpacing;
+
+  return new Map(order.map((key, index) => {
+    const node = byKey.get(key);
+    return [key, {
+      x: (index % columnCount) * cellWidth + (cellWidth - nodeSpacing - node.width) / 2,
+      y: Math.floor(index / columnCount) * cellHeight + (cellHeight - nodeSpacing - node.height) / 2
+    }];
+  }));
+}
+
+/**
+ * Force-directed layout (Fruchterman-Reingold), starting from the current
+ * positions: arrows pull nodes together, all nodes push each other apart.
+ * Pinned nodes keep their place.
+ */
+function forceLayout(nodes, edges, { nodeSpacing, pinned }) {
+  const sizes = nodes.map(node => Math.hypot(node.width, node.height));
+  const ideal = sizes.reduce((sum, size) => sum + size, 0) / nodes.length + nodeSpacing;
+  const index = new Map(nodes.map((node, i) => [node.key, i]));
+  const centers = nodes.map(node => ({ x: node.bounds.minX + node.width / 2, y: node.bounds.minY + node.height / 2 }));
+
+  // Nodes on the same spot would push each other in no particular direction
+  centers.forEach((center, i) => {
+    if (centers.some((other, j) => j < i && other.x === center.x && other.y === center.y)) {
+      const angle = (2 * Math.PI * i) / nodes.length;
+      center.x += Math.cos(angle) * ideal;
+      center.y += Math.sin(angle) * ideal;
+    }
+  });
+
+  const isPinned = nodes.map(node => pinned.has(node.key));
+  let temperature = ideal * Math.sqrt(nodes.length);
+  const cooling = temperature / FORCE_ITERATIONS;
+
+  for (let iteration = 0; iteration < FORCE_ITERATIONS; iteration++) {
+    const shifts = centers.map(() => ({ x: 0, y: 0 }));
+
+    for (let i = 0; i < nodes.length; i++) {
+      for (let j = i + 1; j < nodes.length; j++) {
+        const dx = centers[i].x - centers[j].x;
+        const dy = centers[i].y - centers[j].y;
+        const distance = Math.max(Math.hypot(dx, dy), 1);
+        const force = (ideal * ideal) / distance;
+        shifts[i].x += (dx / distance) * force;
+        shifts[i].y += (dy / distance) * force;
+        shifts[j].x -= (dx / distance) * force;
+        shifts[j].y -= (dy / distance) * force;
+      }
+    }
+
+    edges.forEach(({ from, to }) => {
+      const i = index.get(from);
+      const j = index.get(to);
+      const dx = centers[i].x - centers[j].x;
+      const dy = centers[i].y - centers[j].y;
+      const distance = Math.max(Math.hypot(dx, dy), 1);
+      const force = (distance * distance) / ideal;
+      shifts[i].x -= (dx / distance) * force;
+      shifts[i].y -= (dy / distance) * force;
+      shifts[j].x += (dx / distance) * force;
+      shifts[j].y += (dy / distance) * force;
+    });
+
+    centers.forEach((center, i) => {
+      if (isPinned[i]) return;
+      const length = Math.max(Math.hypot(shifts[i].x, shifts[i].y), 1);
+      const step = Math.min(length, temperature);
+      center.x += (shifts[i].x / length) * step;
+      center.y += (shifts[i].y / length) * step;
+    });
+    temperature -= cooling;
+  }
+
+  return new Map(nodes.map((node, i) => [node.key, { x: centers[i].x - node.width / 2, y: centers[i].y - node.height / 2 }]));
+}
+
+// How far two nodes reach into the space they keep around each other, along x and y
+function getOverlap(a, b, centerA, centerB, nodeSpacing) {
+  return {
+    x: (a.width + b.width) / 2 + nodeSpacing - Math.abs(centerA.x - centerB.x),
+    y: (a.height + b.height) / 2 + nodeSpacing - Math.abs(centerA.y - centerB.y)
+  };
+}
+
+/**
+ * Push apart nodes closer than `nodeSpacing` by moving their `centers`,
+ * which are changed in place. Pinned nodes are obstacles that do not move;
+ * nodes still caught between them at the end are put in a row below all others.
+ */
+function separateNodes(nodes, centers, isPinned, nodeSpacing) {
+  const overlapsAt = (i, j) => {
+    const overlap = getOverlap(nodes[i], nodes[j], centers[i], centers[j], nodeSpacing);
+    return overlap.x > 0 && overlap.y > 0 ? overlap : null;
+  };
+
+  for (let pass = 0; pass < OVERLAP_PASSES; pass++) {
+    let overlapping = false;
+    for (let i = 0; i < nodes.length; i++) {
+      for (let j = i + 1; j < nodes.length; j++) {
+        const overlap = overlapsAt(i, j);
+        if (!overlap || (isPinned[i] && isPinned[j])) continue;
+
+        overlapping = true;
+        const alongX = overlap.x < overlap.y;
+        const sign = (alongX ? centers[i].x - centers[j].x : centers[i].y - centers[j].y) >= 0 ? 1 : -1;
+        const amount = alongX ? overlap.x : overlap.y;
+        const share = isPinned[i] || isPinned[j] ? amount : amount / 2;
+        const axis = alongX ? 'x' : 'y';
+        if (!isPinned[i]) centers[i][axis] += sign * share;
+        if (!isPinned[j]) centers[j][axis] -= sign * share;
+      }
+    }
+    if (!overlapping) return;
+  }
+
+  const caught = Array.from(nodes.keys()).filter(i => !isPinned[i] && nodes.some((other, j) => isPinned[j] && overlapsAt(i, j)));
+  if (caught.length === 0) return;
+
+  const bottom = Math.max(...nodes.map((node, i) => centers[i].y + node.height / 2));
+  let left = Math.min(...nodes.map((node, i) => centers[i].x - node.width / 2));
+  caught.forEach(i => {
+    centers[i] = { x: left + nodes[i].width / 2, y: bottom + nodeSpacing + nodes[i].height / 2 };
+    left += nodes[i].width + nodeSpacing;
+  });
+}
+
+const LAYOUTS = {
+  layered: layeredLayout,
+  tree: treeLayout,
+  grid: gridLayout,
+  force: forceLayout
+};
+
+/**
+ * Lay out the shapes among `elementList` as a graph whose edges are the
+ * arrows bound between them. Arrows created by connectElements() are
+ * re-routed, other bound arrows keep their points and have their bound ends moved.
+ * Locked shapes stay where they are unless forced, and the other shapes are
+ * kept clear of them. The result is anchored on the first locked shape with
+ * arrows to the others, otherwise it keeps the top-left corner of the current
+ * bounds of the shapes it moves.
+ * Returns the moved shapes, the skipped locked ids and the ids of the arrows that followed them.
+ */
+export function autoLayout(elementsMap, elementList, {
+  algorithm = 'layered',
+  direction = 'TB',
+  nodeSpacing = DEFAULT_NODE_SPACING,
+  layerSpacing = DEFAULT_LAYER_SPACING,
+  columns,
+  scopeGroupId,
+  force = false
+} = {}) {
+  const { nodes, nodeOf } = buildNodes(elementList, scopeGroupId);
+  if (nodes.length === 0) throw new Error('No shapes to lay out');
+
+  const locked = new Set(nodes
+    .filter(node => node.elements.some(element => isLocked(element, force)))
+    .map(node => node.key));
+  const edges = buildEdges(elementsMap, nodeOf);
+  const connected = new Set(edges.flatMap(({ from, to }) => [from, to]));
+  // Locked nodes without arrows to the others are only obstacles
+  const placed = nodes.filter(node => !locked.has(node.key) || connected.has(node.key));
+  const positions = placed.length > 0
+    ? LAYOUTS[algorithm](placed, edges, { direction, nodeSpacing, layerSpacing, columns, pinned: locked })
+    : new Map();
+
+  const anchor = placed.find(node => locked.has(node.key));
+  const free = nodes.filter(node => !locked.has(node.key));
+  // Force layouts start from the current positions, with the locked nodes pinned
+  let shift = { x: 0, y: 0 };
+  if (anchor && algorithm !== 'force') {
+    const position = positions.get(anchor.key);
+    shift = { x: anchor.bounds.minX - position.x, y: anchor.bounds.minY - position.y };
+  } else if (free.length > 0 && (algorithm !== 'force' || locked.size === 0)) {
+    const current = getCommonBounds(free.flatMap(node => node.elements));
+    const laidOut = free.map(node => positions.get(node.key));
+    shift = {
+      x: current.minX - Math.min(...laidOut.map(position => position.x)),
+      y: current.minY - Math.min(...laidOut.map(position => position.y))
+    };
+  }
+
+  // Locked nodes keep their place, as obstacles the others are pushed off
+  const isPinned = nodes.map(node => locked.has(node.key));
+  const centers = nodes.map((node, i) => {
+    const position = isPinned[i]
+      ? { x: node.bounds.minX, y: node.bounds.minY }
+      : { x: positions.get(node.key).x + shift.x, y: positions.get(node.key).y + shift.y };
+    return { x: position.x + node.width / 2, y: position.y + node.height / 2 };
+  });
+  separateNodes(nodes, centers, isPinned, nodeSpacing);
+
+  const moved = [];
+  const previous = new Map();
+  const skipped = [];
+  nodes.forEach((node, i) => {
+    if (isPinned[i]) {
+      skipped.push(...node.elements.map(element => element.id));
+      return;
+    }
+
+    const dx = centers[i].x - node.width / 2 - node.bounds.minX;
+    const dy = centers[i].y - node.height / 2 - node.bounds.minY;
+    node.elements.forEach(element => {
+      previous.set(element.id, { ...element });
+      element.x += dx;
+      element.y += dy;
+      moved.push(element);
+    });
+  });
+
+  // Only after all shapes moved, so routes run between their new positions
+  moved.forEach(element => updateBoundArrows(elementsMap, previous.get(element.id), element));
+  const arrows = Array.from(elementsMap.values()).filter(element =>
+    element.type === 'arrow' && (previous.has(element.startBinding?.elementId) || previous.has(element.endBinding?.elementId))
+  );
+
+  return { nodes: nodes.length, moved, skipped, arrows: arrows.map(arrow => arrow.id) };
+}
@@ -0,0 +1,123 @@
+import { autoLayout, LAYOUT_ALGORITHMS } from './layout.js';
+import { connectElements } from './bindings.js';
+import { getElementBounds } from './geometry.js';
+import { normalizeElement } from './normalize.js';
+
+const rectangle = (id, x, y, properties = {}) => normalizeElement({ type: 'rectangle', id, x, y, width: 100, height: 50, ...properties });
+
+// Scene of shapes and arrows connecting them, given as [sourceId, targetId] pairs
+function buildScene(shapes, links = []) {
+  const elementsMap = new Map(shapes.map(shape => [shape.id, shape]));
+  links.forEach(([sourceId, targetId]) => {
+    const arrow = connectElements(elementsMap.get(sourceId), elementsMap.get(targetId));
+    elementsMap.set(arrow.id, arrow);
+  });
+  return elementsMap;
+}
+
+function overlaps(a, b) {
+  const first = getElementBounds(a);
+  const second = getElementBounds(b);
+  return first.minX < second.maxX && second.minX < first.maxX && first.minY < second.maxY && second.minY < first.maxY;
+}
+
+function findOverlaps(shapes) {
+  const pairs = [];
+  shapes.forEach((shape, i) => {
+    shapes.slice(i + 1).forEach(other => {
+      if (overlaps(shape, other)) pairs.push([shape.id, other.id]);
+    });
+  });
+  return pairs;
+}
+
+describe('autoLayout', () => {
+  test.each(LAYOUT_ALGORITHMS)('%s layout leaves no shapes overlapping', algorithm => {
+    const shapes = ['a', 'b', 'c', 'd', 'e'].map(id => rectangle(id, 0, 0));
+    const elementsMap = buildScene(shapes, [['a', 'b'], ['a', 'c'], ['b', 'd'], ['c', 'e']]);
+
+    const result = autoLayout(elementsMap, Array.from(elementsMap.values()), { algorithm });
+
+    expect(result.nodes).toBe(5);
+    expect(result.arrows).toHaveLength(4);
+    expect(findOverlaps(shapes)).toEqual([]);
+  });
+
+  test('keeps the top-left corner of the shapes it moves', () => {
+    const shapes = [rectangle('a', 300, 200), rectangle('b', 500, 600), rectangle('c', 900, 250)];
+    const elementsMap = buildScene(shapes, [['a', 'b'], ['b', 'c']]);
+
+    autoLayout(elementsMap, shapes);
+
+    expect(Math.min(...shapes.map(shape => shape.x))).toBe(300);
+    expect(Math.min(...shapes.map(shape => shape.y))).toBe(200);
+  });
+
+  test('anchors the layout on a locked shape with arrows to the others', () => {
+    const shapes = [rectangle('a', 0, 0), rectangle('b', 400, 400, { locked: true }), rectangle('c', 0, 300)];
+    const elementsMap = buildScene(shapes, [['a', 'b'], ['b', 'c']]);
+
+    const { skipped } = autoLayout(elementsMap, shapes);
+
+    expect(skipped).toEqual(['b']);
+    expect(shapes[1]).toMatchObject({ x: 400, y: 400 });
+    // b is the middle layer: a above it, c below it
+    expect(shapes[0].y).toBeLessThan(400);
+    expect(shapes[2].y).toBeGreaterThan(400);
+  });
+
+  test('does not anchor the layout on a locked shape without arrows', () => {
+    const shapes = [rectangle('a', 200, 100), rectangle('b', 200, 300), rectangle('locked', -500, -500, { locked: true })];
+    const elementsMap = buildScene(shapes, [['a', 'b']]);
+
+    autoLayout(elementsMap, shapes);
+
+    expect(shapes[0]).toMatchObject({ x: 200, y: 100 });
+    expect(shapes[2]).toMatchObject({ x: -500, y: -500 });
+  });
+
+  test.each(LAYOUT_ALGORITHMS)('%s layout keeps shapes clear of every locked shape', algorithm => {
+    const shapes = [
+      rectangle('a', 0, 0),
+      rectangle('b', 0, 100),
+      rectangle('c', 0, 200),
+      rectangle('d', 0, 300),
+      rectangle('anchor', 0, 400, { locked: true }),
+      rectangle('inTheWay', 0, 130, { locked: true }),
+      rectangle('alsoInTheWay', 150, 130, { locked: true })
+    ];
+    const elementsMap = buildScene(shapes, [['a', 'b'], ['a', 'c'], ['b', 'd'], ['c', 'anchor'], ['inTheWay', 'd']]);
+
+    const { skipped } = autoLayout(elementsMap, shapes, { algorithm });
+
+    expect(skipped).toEqual(['inTheWay', 'alsoInTheWay', 'anchor']);
+    expect(shapes.slice(4).map(shape => [shape.x, shape.y])).toEqual([[0, 400], [0, 130], [150, 130]]);
+    expect(findOverlaps(shapes)).toEqual([]);
+  });
+
+  test('moves the bound ends of arrows it did not route and keeps their other points', () => {
+    const shapes = [rectangle('a', 0, 0), rectangle('b', 0, 0)];
+    const elementsMap = buildScene(shapes, [['a', 'b']]);
+    const arrow = Array.from(elementsMap.values()).find(element => element.type === 'arrow');
+    // As imported from Mermaid: bound, but drawn with its own bend
+    Object.assign(arrow, { x: 50, y: 50, points: [[0, 0], [200, 100], [0, 200]], customData: undefined });
+    const before = shapes.map(shape => ({ x: shape.x, y: shape.y }));
+
+    autoLayout(elementsMap, shapes);
+
+    const [a, b] = shapes.map((shape, i) => ({ dx: shape.x - before[i].x, dy: shape.y - before[i].y }));
+    expect([arrow.x, arrow.y]).toEqual([50 + a.dx, 50 + a.dy]);
+    expect(arrow.points).toEqual([[0, 0], [200 - a.dx, 100 - a.dy], [b.dx - a.dx, 200 + b.dy - a.dy]]);
+  });
+
+  test('moves locked shapes with force', () => {
+    const shapes = [rectangle('a', 0, 0, { locked: true }), rectangle('b', 0, 0)];
+    const elementsMap = buildScene(shapes, [['a', 'b']]);
+
+    const { moved, skipped } = autoLayout(elementsMap, shapes, { force: true });
+
+    expect(skipped).toEqual([]);
+    expect(moved.map(element => element.id)).toEqual(['a', 'b']);
+    expect(findOverlaps(shapes)).toEqual([]);
+  });
+});
@@ -0,0 +1,32 @@
+// Element locking
+
+export function isLocked(element, force = false) {
+  return Boolean(element.locked) && !force;
+}
+
+// Reject a mutation of a single locked element
+export function assertUnlocked(element, force = false) {
+  if (isLocked(element, force)) {
+    throw new Error(`Element with ID ${element.id} is locked; unlock it or pass force to modify it`);
+  }
+}
+
+// Split the targets of a batch mutation into the ones it may change and the locked ids to skip
+export function partitionLocked(elementList, force = false) {
+  const unlocked = [];
+  const skipped = [];
+
+  elementList.forEach(element => {
+    if (isLocked(element, force)) {
+      skipped.push(element.id);
+    } else {
+      unlocked.push(element);
+    }
+  });
+
+  return { unlocked, skipped };
+}
+
+export function formatSkipped(skipped) {
+  return skipped.length ? ` (skipped locked: ${skipped.join(', ')})` : '';
+}
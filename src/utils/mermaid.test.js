@@ -0,0 +1,202 @@
+import { jest } from '@jest/globals';
+import { readFile } from 'fs/promises';
+
+// Stand-in for puppeteer: requests go through the page's request handler and
+// page.evaluate() runs its callback here, against globalThis.window
+const browsers = [];
+let launchError = null;
+
+function createPage() {
+  const listeners = new Map();
+  const page = {
+    closed: false,
+    on: (event, listener) => listeners.set(event, listener),
+    setRequestInterception: async () => {},
+    // What the request handler answers for `url`
+    request: url => new Promise(resolve => listeners.get('request')({
+      url: () => url,
+      respond: resolve,
+      abort: reason => resolve({ aborted: reason })
+    })),
+    goto: async url => {
+      const response = await page.request(url);
+      if (response.status !== 200) throw new Error(`Loading ${url} failed`);
+    },
+    waitForFunction: async predicate => {
+      if (!predicate()) throw new Error('Waiting failed');
+    },
+    evaluate: (task, ...args) => task(...args),
+    isClosed: () => page.closed,
+    close: async () => {
+      page.closed = true;
+    }
+  };
+  return page;
+}
+
+jest.unstable_mockModule('puppeteer', () => ({
+  default: {
+    launch: async () => {
+      if (launchError) throw launchError;
+      const listeners = new Map();
+      const browser = {
+        pages: [],
+        closed: false,
+        on: (event, listener) => listeners.set(event, listener),
+        newPage: async () => {
+          const page = createPage();
+          browser.pages.push(page);
+          return page;
+        },
+        close: async () => {
+          browser.closed = true;
+        },
+        crash: () => listeners.get('disconnected')()
+      };
+      browsers.push(browser);
+      return browser;
+    }
+  }
+}));
+
+process.env.MERMAID_POOL_SIZE = '2';
+process.env.MERMAID_TIMEOUT = '200';
+
+// The converter is compiled from mermaid.ts by `tsc`, which npm install runs
+const { parseMermaid, closeBrowser, MermaidSyntaxError } = await import('../../dist/mermaid.js');
+
+const ASSET_ORIGIN = 'http://excalidraw.localhost';
+
+beforeEach(() => {
+  globalThis.window = {
+    parseMermaidToExcalidraw: async () => ({ elements: [{ id: 'A', type: 'rectangle' }] }),
+    convertToExcalidrawElements: elements => elements
+  };
+});
+
+afterEach(async () => {
+  await closeBrowser();
+  browsers.length = 0;
+  launchError = null;
+  delete globalThis.window;
+});
+
+describe('parseMermaid', () => {
+  test('keeps the Mermaid ids the conversion replaces, numbering repeated edges', async () => {
+    window.parseMermaidToExcalidraw = async () => ({ elements: [{ id: 'A' }, { id: 'A_B' }, { id: 'A_B' }, { type: 'text' }] });
+    window.convertToExcalidrawElements = elements => elements.map((element, index) => ({ ...element, id: `converted-${index}` }));
+
+    const { elements } = await parseMermaid('flowchart TD\n  A --> B\n  A --> B');
+
+    expect(elements.map(element => element.customData?.mermaidId)).toEqual(['A', 'A_B', 'A_B#2', undefined]);
+  });
+});
+
+describe('Excalidraw page assets', () => {
+  let page;
+
+  beforeEach(async () => {
+    await parseMermaid('flowchart TD\n  A');
+    [page] = browsers[0].pages;
+  });
+
+  test('serves the page and the locally built bundle', async () => {
+    const html = await page.request(`${ASSET_ORIGIN}/`);
+    expect(html).toMatchObject({ status: 200, contentType: 'text/html' });
+    expect(html.body).toContain(`<script src="${ASSET_ORIGIN}/excalidraw.bundle.js"></script>`);
+
+    const bundle = await page.request(`${ASSET_ORIGIN}/excalidraw.bundle.js`);
+    expect(bundle).toMatchObject({ status: 200, contentType: 'text/javascript' });
+    expect(bundle.body.equals(await readFile(new URL('../../dist/excalidraw.bundle.js', import.meta.url)))).toBe(true);
+  });
+
+  test('serves the fonts of the installed Excalidraw package', async () => {
+    const font = await page.request(`${ASSET_ORIGIN}/fonts/Virgil/Virgil-Regular.woff2`);
+
+    expect(font).toMatchObject({ status: 200, contentType: 'font/woff2' });
+    expect(font.body.length).toBeGreaterThan(0);
+  });
+
+  test('answers other paths with 404 and blocks other origins', async () => {
+    expect(await page.request(`${ASSET_ORIGIN}/fonts/Missing.woff2`)).toMatchObject({ status: 404 });
+    expect(await page.request(`${ASSET_ORIGIN}/fonts/..%2F..%2F..%2F..%2Fpackage.json`)).toMatchObject({ status: 404 });
+    expect(await page.request(`${ASSET_ORIGIN}/index.js`)).toMatchObject({ status: 404 });
+    expect(await page.request('https://unpkg.com/@excalidraw/excalidraw')).toEqual({ aborted: 'blockedbyclient' });
+  });
+});
+
+describe('page pool', () => {
+  // Conversion that finishes when the test says so
+  function deferParsing() {
+    const pending = [];
+    window.parseMermaidToExcalidraw = () => new Promise(resolve => pending.push(() => resolve({ elements: [] })));
+    return pending;
+  }
+
+  test('launches the browser on first use only', async () => {
+    expect(browsers).toHaveLength(0);
+
+    await parseMermaid('flowchart TD\n  A');
+    await parseMermaid('flowchart TD\n  B');
+
+    expect(browsers).toHaveLength(1);
+    expect(browsers[0].pages).toHaveLength(1);
+  });
+
+  test('queues requests beyond the pool size until a page is free', async () => {
+    const pending = deferParsing();
+
+    const results = [1, 2, 3].map(() => parseMermaid('flowchart TD\n  A'));
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(browsers[0].pages).toHaveLength(2);
+    expect(pending).toHaveLength(2);
+
+    pending.shift()();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(pending).toHaveLength(2);
+    pending.forEach(finish => finish());
+
+    await expect(Promise.all(results)).resolves.toHaveLength(3);
+    expect(browsers[0].pages).toHaveLength(2);
+  });
+
+  test('replaces pages that time out', async () => {
+    deferParsing();
+
+    await expect(parseMermaid('flowchart TD\n  A')).rejects.toThrow('Rendering in the headless browser timed out after 200 ms');
+    expect(browsers[0].pages[0].closed).toBe(true);
+
+    window.parseMermaidToExcalidraw = async () => ({ elements: [] });
+    await parseMermaid('flowchart TD\n  A');
+    expect(browsers[0].pages).toHaveLength(2);
+  });
+
+  test('keeps the page after invalid input and reports where it is', async () => {
+    window.parseMermaidToExcalidraw = async () => {
+      throw Object.assign(new Error('Parse error on line 2'), { hash: { loc: { first_line: 2, first_column: 4 }, expected: ["'-->'", "'---'"] } });
+    };
+
+    const error = await parseMermaid('flowchart TD\n  A--').catch(caught => caught);
+
+    expect(error).toBeInstanceOf(MermaidSyntaxError);
+    expect(error).toMatchObject({ line: 2, column: 5, expected: ['-->', '---'] });
+    expect(browsers[0].pages[0].closed).toBe(false);
+  });
+
+  test('launches a new browser after a crash', async () => {
+    await parseMermaid('flowchart TD\n  A');
+    browsers[0].crash();
+
+    await parseMermaid('flowchart TD\n  A');
+
+    expect(browsers).toHaveLength(2);
+  });
+
+  test('reports launch failures and tries again on the next request', async () => {
+    launchError = new Error('Chrome not found');
+    await expect(parseMermaid('flowchart TD\n  A')).rejects.toThrow('Failed to launch the headless browser: Chrome not found');
+
+    launchError = null;
+    await expect(parseMermaid('flowchart TD\n  A')).resolves.toHaveProperty('elements');
+  });
+});
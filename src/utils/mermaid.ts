@@ -1,70 +1,353 @@
-import puppeteer from "puppeteer";
-
-const consoleLogs: string[] = [];
+import { readFile } from "fs/promises";
+import { createRequire } from "module";
+import path from "path";
+import { fileURLToPath } from "url";
+import puppeteer, { type Browser, type HTTPRequest, type Page } from "puppeteer";
 
 declare global {
   interface Window {
-    mcpHelper: {
-      logs: string[],
-      originalConsole: Partial<typeof console>,
-    }
     parseMermaidToExcalidraw: (mermaid: string) => Promise<{ elements: object[]; files: any[] }>;
     convertToExcalidrawElements: (elements: object[]) => object[];
+    exportToCanvas: (options: {
+      elements: object[];
+      appState?: object;
+      files: object | null;
+      exportPadding?: number;
+      getDimensions?: (width: number, height: number) => { width: number; height: number; scale?: number };
+    }) => Promise<HTMLCanvasElement>;
+    getCommonBounds: (elements: object[]) => [number, number, number, number];
   }
 }
 
-const browser = await puppeteer.launch({ headless: true, args: ["--no-sandbox", "--single-process", "--no-zygote"] });
-const pages = await browser.pages();
-const page = pages[0];
-
-page.on("console", (msg) => {
-  const logEntry = `[${msg.type()}] ${msg.text()}`;
-  consoleLogs.push(logEntry);
-});
-
-const element = await page.addScriptTag({
-  content: `
-    import * as excalidrawmermaidToExcalidraw from 'https://esm.run/@excalidraw/mermaid-to-excalidraw';
-    import * as excalidrawexcalidraw from 'https://esm.run/@excalidraw/excalidraw';
-    window.parseMermaidToExcalidraw = excalidrawmermaidToExcalidraw.parseMermaidToExcalidraw;
-    window.convertToExcalidrawElements = excalidrawexcalidraw.convertToExcalidrawElements;
-  `,
-  type: 'module'
-});
-try {
-  await page.waitForFunction(() => typeof window.parseMermaidToExcalidraw === 'function', { timeout: 120_000 });
-} catch (error) {
-  throw new Error(`Timeout waiting for parseMermaidToExcalidraw to be available: ${(error as Error).message}`);
+export interface Region {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
 }
 
-const parseMermaid = async (mermaid: string) => {
-  await page.evaluate(() => {
-    window.mcpHelper = {
-      logs: [],
-      originalConsole: { ...console },
-    };
-
-    ['log', 'info', 'warn', 'error'].forEach(method => {
-      (console as any)[method] = (...args: any[]) => {
-        window.mcpHelper.logs.push(`[${method}] ${args.join(' ')}`);
-        (window.mcpHelper.originalConsole as any)[method](...args);
-      };
-    });
+export interface PngExportOptions {
+  scale?: number;
+  padding?: number;
+  background?: string | false;
+  theme?: 'light' | 'dark';
+  region?: Region;
+}
+
+// The page loads the locally built bundle (npm run build:browser) and Excalidraw's fonts
+// from node_modules through request interception; any other request is blocked.
+const ASSET_ORIGIN = 'http://excalidraw.localhost';
+const BUNDLE_PATH = fileURLToPath(new URL('./excalidraw.bundle.js', import.meta.url));
+const EXCALIDRAW_DIST = path.dirname(createRequire(import.meta.url).resolve('@excalidraw/excalidraw'));
+const PAGE_HTML = `<!DOCTYPE html>
+<html>
+  <head>
+    <script>window.EXCALIDRAW_ASSET_PATH = '${ASSET_ORIGIN}/';</script>
+    <script src="${ASSET_ORIGIN}/excalidraw.bundle.js"></script>
+  </head>
+  <body></body>
+</html>`;
+const LOAD_TIMEOUT = 15_000;
+
+const serveAsset = async (request: HTTPRequest) => {
+  const url = new URL(request.url());
+  if (url.origin !== ASSET_ORIGIN) {
+    return request.abort('blockedbyclient');
+  }
+
+  if (url.pathname === '/') {
+    return request.respond({ status: 200, contentType: 'text/html', body: PAGE_HTML });
+  }
+  if (url.pathname === '/excalidraw.bundle.js') {
+    return request.respond({ status: 200, contentType: 'text/javascript', body: await readFile(BUNDLE_PATH) });
+  }
+
+  const file = path.join(EXCALIDRAW_DIST, path.normalize(decodeURIComponent(url.pathname)));
+  if (url.pathname.startsWith('/fonts/') && file.startsWith(EXCALIDRAW_DIST)) {
+    try {
+      return request.respond({ status: 200, contentType: 'font/woff2', body: await readFile(file) });
+    } catch {
+      // fall through to 404
+    }
+  }
+  return request.respond({ status: 404, body: '' });
+};
+
+// Pages kept open for conversions; each one serves a single request at a time
+const POOL_SIZE = Math.max(1, Number(process.env.MERMAID_POOL_SIZE) || 2);
+const RENDER_TIMEOUT = Number(process.env.MERMAID_TIMEOUT) || 30_000;
+
+const SYNTAX_ERROR_PATTERN = /(parse|lexical|syntax) error|no diagram type detected/i;
+
+export interface SyntaxErrorDetails {
+  line: number | null;
+  column: number | null;
+  expected: string[];
+}
+
+// Raised for invalid Mermaid input, with the position reported by Mermaid's parser when known
+export class MermaidSyntaxError extends Error {
+  line: number | null;
+  column: number | null;
+  expected: string[];
+
+  constructor(message: string, { line, column, expected }: SyntaxErrorDetails) {
+    super(message);
+    this.name = 'MermaidSyntaxError';
+    this.line = line;
+    this.column = column;
+    this.expected = expected;
+  }
+}
+
+interface PooledPage {
+  page: Page;
+  logs: string[];
+}
+
+interface PageError {
+  message: string;
+  line?: number;
+  loc?: { first_line: number; first_column: number };
+  expected?: string[];
+}
+
+let browserPromise: Promise<Browser> | null = null;
+const pool = new Set<PooledPage>();
+const idle: PooledPage[] = [];
+const waiting: (() => void)[] = [];
+let creating = 0;
+
+const wakeWaiter = () => waiting.shift()?.();
+
+// Forget the browser and its pages once it is gone, so the next request launches a new one
+const resetBrowser = () => {
+  browserPromise = null;
+  pool.clear();
+  idle.length = 0;
+  waiting.splice(0).forEach(resolve => resolve());
+};
+
+// Chromium is launched on first use, not on import, and relaunched after a crash
+const getBrowser = () => {
+  if (!browserPromise) {
+    const launched = puppeteer.launch({ headless: true, args: ["--no-sandbox", "--single-process", "--no-zygote"] })
+      .then(browser => {
+        browser.on("disconnected", () => {
+          if (browserPromise === launched) resetBrowser();
+        });
+        return browser;
+      })
+      .catch(error => {
+        browserPromise = null;
+        throw new Error(`Failed to launch the headless browser: ${(error as Error).message}`);
+      });
+    browserPromise = launched;
+  }
+  return browserPromise;
+};
+
+const createPage = async (): Promise<PooledPage> => {
+  const browser = await getBrowser();
+  const page = await browser.newPage();
+  const entry: PooledPage = { page, logs: [] };
+
+  page.on("console", (msg) => {
+    entry.logs.push(`[${msg.type()}] ${msg.text()}`);
+  });
+  page.on("error", () => discardPage(entry));
+
+  await page.setRequestInterception(true);
+  page.on("request", (request) => {
+    serveAsset(request).catch(() => {});
+  });
+
+  try {
+    await page.goto(`${ASSET_ORIGIN}/`, { waitUntil: 'load', timeout: LOAD_TIMEOUT });
+    await page.waitForFunction(() => typeof window.parseMermaidToExcalidraw === 'function', { timeout: LOAD_TIMEOUT });
+  } catch (error) {
+    await page.close().catch(() => {});
+    throw new Error(`Failed to load the Excalidraw bundle from ${BUNDLE_PATH} (run "npm run build:browser"): ${(error as Error).message}`);
+  }
+
+  return entry;
+};
+
+const acquirePage = async (): Promise<PooledPage> => {
+  for (;;) {
+    const entry = idle.pop();
+    if (entry) {
+      if (pool.has(entry) && !entry.page.isClosed()) return entry;
+      continue;
+    }
+
+    if (pool.size + creating < POOL_SIZE) {
+      creating++;
+      try {
+        const created = await createPage();
+        pool.add(created);
+        return created;
+      } catch (error) {
+        wakeWaiter();
+        throw error;
+      } finally {
+        creating--;
+      }
+    }
+
+    await new Promise<void>(resolve => waiting.push(resolve));
+  }
+};
+
+const releasePage = (entry: PooledPage) => {
+  if (pool.has(entry)) idle.push(entry);
+  wakeWaiter();
+};
+
+const discardPage = (entry: PooledPage) => {
+  if (!pool.delete(entry)) return;
+  entry.page.close().catch(() => {});
+  wakeWaiter();
+};
+
+// Run a task on a page of the pool. Pages that time out or fail for another reason
+// than invalid input are closed and replaced, since they may be stuck or crashed.
+const withPage = async <T>(task: (entry: PooledPage) => Promise<T>): Promise<T> => {
+  const entry = await acquirePage();
+  entry.logs = [];
+
+  let timer: NodeJS.Timeout | undefined;
+  const timeout = new Promise<never>((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Rendering in the headless browser timed out after ${RENDER_TIMEOUT} ms`)), RENDER_TIMEOUT);
+  });
+
+  const running = task(entry);
+  // Closing a timed out page rejects the abandoned task
+  running.catch(() => {});
+
+  try {
+    const result = await Promise.race([running, timeout]);
+    releasePage(entry);
+    return result;
+  } catch (error) {
+    if (error instanceof MermaidSyntaxError) {
+      releasePage(entry);
+    } else {
+      discardPage(entry);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+const toSyntaxError = (error: PageError) => {
+  const lineInMessage = error.message.match(/line (\d+)/i);
+  const line = error.loc?.first_line
+    ?? (error.line !== undefined ? error.line + 1 : null)
+    ?? (lineInMessage ? Number(lineInMessage[1]) : null);
+
+  return new MermaidSyntaxError(error.message, {
+    line,
+    column: error.loc ? error.loc.first_column + 1 : null,
+    expected: (error.expected ?? []).map(token => token.replace(/^'|'$/g, '')),
   });
+};
 
-  const { elements } = await page.evaluate(async (mermaid: string) => {
-    const { elements, files } = await window.parseMermaidToExcalidraw(mermaid);
-    return { elements: window.convertToExcalidrawElements(elements) };
-  }, mermaid) as { elements: unknown[] };
+const parseMermaid = async (mermaid: string) => {
+  return await withPage(async ({ page, logs }) => {
+    const result = await page.evaluate(async (mermaid: string) => {
+      try {
+        const { elements } = await window.parseMermaidToExcalidraw(mermaid);
+        // Keep the Mermaid ids, which the conversion replaces; repeated edges share one
+        const seen = new Map<string, number>();
+        elements.forEach((element: any) => {
+          if (!element.id) return;
+          const count = (seen.get(element.id) ?? 0) + 1;
+          seen.set(element.id, count);
+          element.customData = { ...element.customData, mermaidId: count > 1 ? `${element.id}#${count}` : element.id };
+        });
+        return { elements: window.convertToExcalidrawElements(elements) };
+      } catch (error: any) {
+        // Mermaid's parsers attach the error position in `hash`
+        return {
+          error: {
+            message: String(error?.message ?? error),
+            line: error?.hash?.line,
+            loc: error?.hash?.loc,
+            expected: error?.hash?.expected,
+          },
+        };
+      }
+    }, mermaid) as { elements?: unknown[]; error?: PageError };
+
+    if (result.error) {
+      if (result.error.loc || result.error.line !== undefined || SYNTAX_ERROR_PATTERN.test(result.error.message)) {
+        throw toSyntaxError(result.error);
+      }
+      throw new Error(result.error.message);
+    }
 
-  const logs = await page.evaluate(() => {
-    Object.assign(console, window.mcpHelper.originalConsole);
-    const logs = window.mcpHelper.logs;
-    delete (window as any).mcpHelper;
-    return logs;
+    return { elements: result.elements!, logs: [...logs] };
   });
+}
 
-  return { elements, logs };
+// Rasterize elements with Excalidraw's own renderer, optionally cropped to a scene region.
+// Returns the PNG as base64.
+const exportPng = async (elements: object[], options: PngExportOptions = {}) => {
+  return await withPage(({ page }) => page.evaluate(async (elements: object[], options: PngExportOptions) => {
+    const scale = options.scale ?? 1;
+    const padding = options.region ? 0 : options.padding ?? 10;
+
+    const canvas = await window.exportToCanvas({
+      elements,
+      files: null,
+      exportPadding: padding,
+      appState: {
+        exportBackground: options.background !== false,
+        viewBackgroundColor: options.background || '#ffffff',
+        exportWithDarkMode: options.theme === 'dark',
+      },
+      getDimensions: (width: number, height: number) => ({ width: width * scale, height: height * scale, scale }),
+    });
+
+    let output = canvas;
+    if (options.region) {
+      const [minX, minY] = window.getCommonBounds(elements);
+      const region = options.region;
+      output = document.createElement('canvas');
+      output.width = Math.round(region.width * scale);
+      output.height = Math.round(region.height * scale);
+      const context = output.getContext('2d')!;
+      if (options.background !== false) {
+        // Parts of the region outside the drawing still get the background
+        context.fillStyle = options.theme === 'dark' ? '#121212' : options.background || '#ffffff';
+        context.fillRect(0, 0, output.width, output.height);
+      }
+      context.drawImage(
+        canvas,
+        (region.x - minX + padding) * scale,
+        (region.y - minY + padding) * scale,
+        output.width,
+        output.height,
+        0,
+        0,
+        output.width,
+        output.height,
+      );
+    }
+
+    return output.toDataURL('image/png').replace(/^data:image\/png;base64,/, '');
+  }, elements, options) as Promise<string>);
+}
+
+// Close the browser, if one was launched
+const closeBrowser = async () => {
+  const launched = browserPromise;
+  resetBrowser();
+  if (launched) {
+    await launched.then(browser => browser.close()).catch(() => {});
+  }
 }
 
-export { parseMermaid };
+export { parseMermaid, exportPng, closeBrowser };
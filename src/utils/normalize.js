@@ -0,0 +1,212 @@
+// Normalization of elements into complete Excalidraw elements
+import { generateId } from '../types.js';
+import { toPoint } from './geometry.js';
+
+export const FONT_FAMILIES = {
+  virgil: 1,
+  helvetica: 2,
+  cascadia: 3,
+  excalifont: 5,
+  nunito: 6,
+  'lilita one': 7,
+  'comic shanns': 8,
+  'liberation sans': 9
+};
+
+export const DEFAULT_FONT_SIZE = 20;
+export const DEFAULT_FONT_FAMILY = FONT_FAMILIES.virgil;
+export const LINE_HEIGHT = 1.25;
+
+// Average glyph width relative to the font size, good enough for layout
+const CHAR_WIDTH_RATIO = {
+  [FONT_FAMILIES.virgil]: 0.55,
+  [FONT_FAMILIES.helvetica]: 0.5,
+  [FONT_FAMILIES.cascadia]: 0.6,
+  [FONT_FAMILIES['comic shanns']]: 0.6
+};
+
+const COMMON_DEFAULTS = {
+  angle: 0,
+  strokeColor: '#1e1e1e',
+  backgroundColor: 'transparent',
+  fillStyle: 'solid',
+  strokeWidth: 2,
+  strokeStyle: 'solid',
+  roughness: 1,
+  opacity: 100,
+  groupIds: [],
+  frameId: null,
+  roundness: null,
+  isDeleted: false,
+  boundElements: null,
+  link: null,
+  locked: false
+};
+
+const TEXT_DEFAULTS = {
+  fontSize: DEFAULT_FONT_SIZE,
+  fontFamily: DEFAULT_FONT_FAMILY,
+  textAlign: 'left',
+  verticalAlign: 'top',
+  containerId: null,
+  autoResize: true,
+  lineHeight: LINE_HEIGHT
+};
+
+const LINEAR_DEFAULTS = {
+  lastCommittedPoint: null,
+  startBinding: null,
+  endBinding: null,
+  startArrowhead: null,
+  endArrowhead: null
+};
+
+export function randomInteger() {
+  return Math.floor(Math.random() * 2 ** 31);
+}
+
+// Accepts Excalidraw font ids, numeric strings and font names
+export function resolveFontFamily(fontFamily) {
+  if (fontFamily === undefined || fontFamily === null || fontFamily === '') return DEFAULT_FONT_FAMILY;
+  if (typeof fontFamily === 'number') return fontFamily;
+
+  const value = String(fontFamily).trim();
+  if (/^\d+$/.test(value)) return Number(value);
+
+  const family = FONT_FAMILIES[value.toLowerCase()];
+  if (!family) throw new Error(`Unknown font family: ${fontFamily}`);
+  return family;
+}
+
+// Approximate rendered size of a text block
+export function measureText(text, fontSize = DEFAULT_FONT_SIZE, fontFamily = DEFAULT_FONT_FAMILY, lineHeight = LINE_HEIGHT) {
+  const lines = String(text).split('\n');
+  const ratio = CHAR_WIDTH_RATIO[fontFamily] ?? 0.55;
+  const longest = Math.max(...lines.map(line => line.length));
+
+  return {
+    width: Math.ceil(longest * fontSize * ratio),
+    height: Math.ceil(lines.length * fontSize * lineHeight)
+  };
+}
+
+// Record a change the way Excalidraw does, so its reconciliation picks it up
+export function bumpVersion(element) {
+  element.version = (element.version || 0) + 1;
+  element.versionNonce = randomInteger();
+  element.updated = Date.now();
+  return element;
+}
+
+function normalizePoints(points) {
+  return points.map(point => {
+    const { x, y } = toPoint(point);
+    return [x, y];
+  });
+}
+
+function normalizeText(element) {
+  const fontFamily = resolveFontFamily(element.fontFamily);
+  const text = element.text ?? '';
+  const normalized = {
+    ...TEXT_DEFAULTS,
+    ...element,
+    text,
+    originalText: element.originalText ?? text,
+    fontFamily
+  };
+
+  if (normalized.autoResize) {
+    Object.assign(normalized, measureText(text, normalized.fontSize, fontFamily, normalized.lineHeight));
+  }
+
+  return normalized;
+}
+
+function normalizeLinear(element) {
+  const points = element.points?.length
+    ? normalizePoints(element.points)
+    : [[0, 0], [element.width ?? 100, element.height ?? 0]];
+  const xs = points.map(([x]) => x);
+  const ys = points.map(([, y]) => y);
+
+  const normalized = {
+    ...LINEAR_DEFAULTS,
+    endArrowhead: element.type === 'arrow' ? 'arrow' : null,
+    ...element,
+    points,
+    width: Math.max(...xs) - Math.min(...xs),
+    height: Math.max(...ys) - Math.min(...ys)
+  };
+
+  if (element.type === 'arrow') {
+    normalized.elbowed = element.elbowed ?? false;
+  }
+
+  return normalized;
+}
+
+function normalizeFreedraw(element) {
+  const points = element.points?.length ? normalizePoints(element.points) : [[0, 0]];
+
+  return {
+    lastCommittedPoint: null,
+    pressures: [],
+    simulatePressure: true,
+    ...element,
+    points
+  };
+}
+
+/**
+ * Fill in everything Excalidraw expects on an element.
+ * Our `label` and `arrowLabel` pseudo-types become centered text elements;
+ * binding them to a container is done by bindTextToContainer() in labels.js.
+ */
+export function normalizeElement(input) {
+  let element = {
+    ...COMMON_DEFAULTS,
+    ...input,
+    id: input.id || generateId(),
+    seed: input.seed ?? randomInteger(),
+    version: input.version ?? 1,
+    versionNonce: input.versionNonce ?? randomInteger(),
+    updated: input.updated ?? Date.now()
+  };
+
+  if (element.type === 'label' || element.type === 'arrowLabel') {
+    element = {
+      ...element,
+      type: 'text',
+      textAlign: element.textAlign ?? 'center',
+      verticalAlign: element.verticalAlign ?? 'middle'
+    };
+  }
+
+  // Lines and arrows get their size from their points, which default to the given width and height
+  if (element.type === 'arrow' || element.type === 'line') return normalizeLinear(element);
+
+  if (element.width === undefined) element.width = 0;
+  if (element.height === undefined) element.height = 0;
+
+  switch (element.type) {
+    case 'text':
+      return normalizeText(element);
+    case 'freedraw':
+      return normalizeFreedraw(element);
+    case 'rectangle':
+    case 'diamond':
+      return { ...element, roundness: 'roundness' in input ? input.roundness : { type: 3 } };
+    default:
+      return element;
+  }
+}
+
+// Apply updates to an element and normalize the result
+export function mergeElementUpdates(element, updates) {
+  const merged = { ...element, ...updates };
+  if (updates.text !== undefined) {
+    merged.originalText = updates.text;
+  }
+  return normalizeElement(merged);
+}
@@ -0,0 +1,64 @@
+import { normalizeElement, mergeElementUpdates, measureText, DEFAULT_FONT_SIZE } from './normalize.js';
+
+describe('normalizeElement', () => {
+  test('gives arrows and lines without points or size a 100px horizontal length', () => {
+    const arrow = normalizeElement({ type: 'arrow', x: 0, y: 0 });
+    expect(arrow.points).toEqual([[0, 0], [100, 0]]);
+    expect(arrow.width).toBe(100);
+    expect(arrow.height).toBe(0);
+    expect(arrow.endArrowhead).toBe('arrow');
+    expect(arrow.elbowed).toBe(false);
+
+    const line = normalizeElement({ type: 'line', x: 0, y: 0 });
+    expect(line.points).toEqual([[0, 0], [100, 0]]);
+    expect(line.endArrowhead).toBeNull();
+  });
+
+  test('builds the points of arrows and lines from the given width and height', () => {
+    const arrow = normalizeElement({ type: 'arrow', x: 0, y: 0, width: 40, height: 30 });
+    expect(arrow.points).toEqual([[0, 0], [40, 30]]);
+  });
+
+  test('takes the size of arrows and lines from their points', () => {
+    const line = normalizeElement({ type: 'line', x: 0, y: 0, width: 500, points: [{ x: 0, y: 0 }, [30, -20], [-10, 10]] });
+    expect(line.points).toEqual([[0, 0], [30, -20], [-10, 10]]);
+    expect(line.width).toBe(40);
+    expect(line.height).toBe(30);
+  });
+
+  test('fills in common defaults and a zero size for shapes', () => {
+    const ellipse = normalizeElement({ type: 'ellipse', x: 10, y: 20 });
+    expect(ellipse).toMatchObject({ width: 0, height: 0, angle: 0, strokeWidth: 2, groupIds: [], locked: false, version: 1 });
+    expect(typeof ellipse.id).toBe('string');
+    expect(ellipse.roundness).toBeNull();
+  });
+
+  test('rounds rectangles and diamonds unless roundness is given', () => {
+    expect(normalizeElement({ type: 'rectangle', x: 0, y: 0 }).roundness).toEqual({ type: 3 });
+    expect(normalizeElement({ type: 'diamond', x: 0, y: 0, roundness: null }).roundness).toBeNull();
+  });
+
+  test('measures text and turns labels into centered text', () => {
+    const text = normalizeElement({ type: 'text', x: 0, y: 0, text: 'Hello\nworld' });
+    expect(text).toMatchObject(measureText('Hello\nworld'));
+    expect(text.fontSize).toBe(DEFAULT_FONT_SIZE);
+    expect(text.originalText).toBe('Hello\nworld');
+
+    const label = normalizeElement({ type: 'label', x: 0, y: 0, text: 'A' });
+    expect(label).toMatchObject({ type: 'text', textAlign: 'center', verticalAlign: 'middle' });
+  });
+});
+
+describe('mergeElementUpdates', () => {
+  test('keeps the points of an existing arrow', () => {
+    const arrow = normalizeElement({ type: 'arrow', x: 0, y: 0, points: [[0, 0], [0, 80]] });
+    const moved = mergeElementUpdates(arrow, { x: 50 });
+    expect(moved.points).toEqual([[0, 0], [0, 80]]);
+    expect(moved.height).toBe(80);
+  });
+
+  test('updates the original text along with the text', () => {
+    const text = normalizeElement({ type: 'text', x: 0, y: 0, text: 'old' });
+    expect(mergeElementUpdates(text, { text: 'new' }).originalText).toBe('new');
+  });
+});
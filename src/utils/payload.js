@@ -0,0 +1,30 @@
+// Scene JSON packed the way Excalidraw embeds it in exported PNG and SVG files
+import { deflateSync, inflateSync } from 'zlib';
+
+export const EXCALIDRAW_MIME_TYPE = 'application/vnd.excalidraw+json';
+
+// Deflated scene as a byte string, like Excalidraw's encode()
+export function encodeScenePayload(sceneJson) {
+  return JSON.stringify({
+    version: '1',
+    encoding: 'bstring',
+    compressed: true,
+    encoded: deflateSync(Buffer.from(sceneJson, 'utf8')).toString('latin1')
+  });
+}
+
+/**
+ * Scene JSON from an embedded payload. Files exported by old Excalidraw
+ * versions hold the scene JSON itself instead of an encoded payload.
+ */
+export function decodeScenePayload(payload) {
+  const data = JSON.parse(payload);
+  if (data.type === 'excalidraw') return payload;
+
+  if (data.encoding !== 'bstring' || typeof data.encoded !== 'string') {
+    throw new Error(`Unsupported embedded scene encoding: ${data.encoding}`);
+  }
+
+  const bytes = Buffer.from(data.encoded, 'latin1');
+  return (data.compressed ? inflateSync(bytes) : bytes).toString('utf8');
+}
@@ -0,0 +1,76 @@
+// Excalidraw scene embedded in PNG metadata, compatible with excalidraw.com
+import { EXCALIDRAW_MIME_TYPE, encodeScenePayload, decodeScenePayload } from './payload.js';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function createChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+function assertPng(png) {
+  if (!png.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error('Invalid PNG data');
+  }
+}
+
+/**
+ * Add a tEXt chunk holding the scene to a PNG, right before its IEND chunk.
+ */
+export function embedSceneInPng(png, sceneJson) {
+  assertPng(png);
+
+  const iend = png.length - 12;
+  const text = Buffer.concat([
+    Buffer.from(EXCALIDRAW_MIME_TYPE, 'latin1'),
+    Buffer.from([0]),
+    Buffer.from(encodeScenePayload(sceneJson), 'latin1')
+  ]);
+
+  return Buffer.concat([png.subarray(0, iend), createChunk('tEXt', text), png.subarray(iend)]);
+}
+
+/**
+ * Scene JSON stored in a PNG by embedSceneInPng() or excalidraw.com.
+ */
+export function extractSceneFromPng(png) {
+  assertPng(png);
+
+  let offset = PNG_SIGNATURE.length;
+  while (offset + 8 <= png.length) {
+    const length = png.readUInt32BE(offset);
+    const type = png.toString('latin1', offset + 4, offset + 8);
+    const data = png.subarray(offset + 8, offset + 8 + length);
+
+    if (type === 'tEXt') {
+      const separator = data.indexOf(0);
+      if (data.toString('latin1', 0, separator) === EXCALIDRAW_MIME_TYPE) {
+        return decodeScenePayload(data.toString('latin1', separator + 1));
+      }
+    }
+    if (type === 'IEND') break;
+    offset += length + 12;
+  }
+
+  throw new Error('The PNG has no embedded Excalidraw scene');
+}
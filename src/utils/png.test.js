@@ -0,0 +1,27 @@
+import { embedSceneInPng, extractSceneFromPng } from './png.js';
+
+// 1x1 transparent PNG
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64');
+
+const scene = JSON.stringify({ type: 'excalidraw', version: 2, elements: [{ id: 'a', type: 'text', text: 'Grüße' }], appState: {} });
+
+describe('embedSceneInPng', () => {
+  test('adds a tEXt chunk before IEND that extractSceneFromPng reads back', () => {
+    const png = embedSceneInPng(PNG, scene);
+
+    expect(png.subarray(0, PNG.length - 12)).toEqual(PNG.subarray(0, PNG.length - 12));
+    expect(png.subarray(-12)).toEqual(PNG.subarray(-12));
+    expect(png.toString('latin1')).toContain('tEXtapplication/vnd.excalidraw+json\0');
+    expect(JSON.parse(extractSceneFromPng(png))).toEqual(JSON.parse(scene));
+  });
+
+  test('rejects data that is not a PNG', () => {
+    expect(() => embedSceneInPng(Buffer.from('not a png'), scene)).toThrow('Invalid PNG data');
+  });
+});
+
+describe('extractSceneFromPng', () => {
+  test('rejects PNGs without a scene', () => {
+    expect(() => extractSceneFromPng(PNG)).toThrow('The PNG has no embedded Excalidraw scene');
+  });
+});
@@ -0,0 +1,150 @@
+// Element queries: predicates, spatial filters, sorting, projection and pagination
+import { getElementBounds, getBoundsCenter } from './geometry.js';
+
+const OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'contains', 'regex', 'exists'];
+
+function isOperatorObject(value) {
+  return value !== null &&
+    typeof value === 'object' &&
+    !Array.isArray(value) &&
+    Object.keys(value).length > 0 &&
+    Object.keys(value).every(key => OPERATORS.includes(key) || key === 'flags');
+}
+
+function matchesCondition(actual, condition) {
+  if (!isOperatorObject(condition)) {
+    return actual === condition;
+  }
+
+  return Object.entries(condition).every(([operator, expected]) => {
+    switch (operator) {
+      case 'eq':
+        return actual === expected;
+      case 'ne':
+        return actual !== expected;
+      case 'gt':
+        return typeof actual === 'number' && actual > expected;
+      case 'gte':
+        return typeof actual === 'number' && actual >= expected;
+      case 'lt':
+        return typeof actual === 'number' && actual < expected;
+      case 'lte':
+        return typeof actual === 'number' && actual <= expected;
+      case 'in':
+        return Array.isArray(expected) && expected.includes(actual);
+      case 'contains':
+        return typeof actual === 'string' && actual.toLowerCase().includes(String(expected).toLowerCase());
+      case 'regex':
+        return typeof actual === 'string' && new RegExp(expected, condition.flags).test(actual);
+      case 'exists':
+        return (actual !== undefined && actual !== null) === Boolean(expected);
+      case 'flags':
+        return true;
+      default:
+        throw new Error(`Unknown operator: ${operator}`);
+    }
+  });
+}
+
+function rectBounds({ x, y, width, height }) {
+  return { minX: x, minY: y, maxX: x + width, maxY: y + height };
+}
+
+function isInside(bounds, rect) {
+  return bounds.minX >= rect.minX && bounds.maxX <= rect.maxX &&
+    bounds.minY >= rect.minY && bounds.maxY <= rect.maxY;
+}
+
+function intersects(bounds, rect) {
+  return bounds.minX <= rect.maxX && bounds.maxX >= rect.minX &&
+    bounds.minY <= rect.maxY && bounds.maxY >= rect.minY;
+}
+
+function distanceTo(element, point) {
+  const center = getBoundsCenter(getElementBounds(element));
+  return Math.hypot(center.x - point.x, center.y - point.y);
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return 1;
+  if (b === undefined || b === null) return -1;
+  return a < b ? -1 : 1;
+}
+
+function project(element, fields) {
+  if (!fields || fields.length === 0) return element;
+  return Object.fromEntries(['id', ...fields.filter(field => field !== 'id')]
+    .filter(field => field in element)
+    .map(field => [field, element[field]]));
+}
+
+/**
+ * Run a query against a list of elements.
+ * Returns the total number of matches and the requested page of (projected) elements.
+ */
+export function queryElements(elementList, query = {}) {
+  const {
+    type,
+    filter,
+    inside,
+    intersecting,
+    nearest,
+    groupId,
+    locked,
+    sort,
+    fields,
+    offset = 0,
+    limit
+  } = query;
+
+  let results = elementList;
+
+  if (type) {
+    results = results.filter(element => element.type === type);
+  }
+
+  if (filter) {
+    results = results.filter(element =>
+      Object.entries(filter).every(([key, condition]) => matchesCondition(element[key], condition))
+    );
+  }
+
+  if (groupId) {
+    results = results.filter(element => element.groupIds?.includes(groupId));
+  }
+
+  if (locked !== undefined) {
+    results = results.filter(element => Boolean(element.locked) === locked);
+  }
+
+  if (inside) {
+    const rect = rectBounds(inside);
+    results = results.filter(element => isInside(getElementBounds(element), rect));
+  }
+
+  if (intersecting) {
+    const rect = rectBounds(intersecting);
+    results = results.filter(element => intersects(getElementBounds(element), rect));
+  }
+
+  if (nearest) {
+    results = results
+      .map(element => ({ element, distance: distanceTo(element, nearest) }))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, nearest.count ?? 1)
+      .map(({ element }) => element);
+  } else if (sort) {
+    const direction = sort.order === 'desc' ? -1 : 1;
+    results = [...results].sort((a, b) => direction * compareValues(a[sort.field], b[sort.field]));
+  }
+
+  const total = results.length;
+  const page = results.slice(offset, limit === undefined ? undefined : offset + limit);
+
+  return {
+    total,
+    offset,
+    elements: page.map(element => project(element, fields))
+  };
+}
@@ -0,0 +1,48 @@
+import { queryElements } from './query.js';
+import { normalizeElement } from './normalize.js';
+
+const elements = [
+  normalizeElement({ type: 'rectangle', id: 'a', x: 0, y: 0, width: 100, height: 50, strokeColor: '#ff0000' }),
+  normalizeElement({ type: 'ellipse', id: 'b', x: 200, y: 0, width: 100, height: 100, groupIds: ['g'] }),
+  normalizeElement({ type: 'rectangle', id: 'c', x: 400, y: 300, width: 50, height: 50, groupIds: ['g'], locked: true }),
+  normalizeElement({ type: 'text', id: 'd', x: 50, y: 400, text: 'Hello World' })
+];
+
+const ids = result => result.elements.map(element => element.id);
+
+describe('queryElements', () => {
+  test('returns every element without a query', () => {
+    expect(queryElements(elements)).toMatchObject({ total: 4, offset: 0 });
+  });
+
+  test('filters by type, group and lock state', () => {
+    expect(ids(queryElements(elements, { type: 'rectangle' }))).toEqual(['a', 'c']);
+    expect(ids(queryElements(elements, { groupId: 'g', locked: false }))).toEqual(['b']);
+  });
+
+  test('matches values and operators on element fields', () => {
+    expect(ids(queryElements(elements, { filter: { strokeColor: '#ff0000' } }))).toEqual(['a']);
+    expect(ids(queryElements(elements, { filter: { height: { gte: 50, lte: 100 }, x: { lt: 400 } } }))).toEqual(['a', 'b']);
+    expect(ids(queryElements(elements, { filter: { type: { in: ['ellipse', 'text'] } } }))).toEqual(['b', 'd']);
+    expect(ids(queryElements(elements, { filter: { text: { contains: 'world' } } }))).toEqual(['d']);
+    expect(ids(queryElements(elements, { filter: { text: { regex: '^hello', flags: 'i' } } }))).toEqual(['d']);
+    expect(ids(queryElements(elements, { filter: { text: { exists: false } } }))).toEqual(['a', 'b', 'c']);
+  });
+
+  test('keeps elements inside or intersecting a rectangle', () => {
+    const rect = { x: 0, y: 0, width: 250, height: 100 };
+
+    expect(ids(queryElements(elements, { inside: rect }))).toEqual(['a']);
+    expect(ids(queryElements(elements, { intersecting: rect }))).toEqual(['a', 'b']);
+  });
+
+  test('returns the elements nearest to a point', () => {
+    expect(ids(queryElements(elements, { nearest: { x: 420, y: 320, count: 2 } }))).toEqual(['c', 'b']);
+  });
+
+  test('sorts, pages and projects the results', () => {
+    const result = queryElements(elements, { sort: { field: 'x', order: 'desc' }, offset: 1, limit: 2, fields: ['x'] });
+
+    expect(result).toEqual({ total: 4, offset: 1, elements: [{ id: 'b', x: 200 }, { id: 'd', x: 50 }] });
+  });
+});
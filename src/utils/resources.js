@@ -0,0 +1,98 @@
+// MCP resources exposing the scene
+export const RESOURCE_NAMES = ['scene', 'library', 'theme', 'elements'];
+
+export const ELEMENT_URI_PREFIX = 'excalidraw://elements/';
+
+export const RESOURCES = [
+  {
+    uri: 'excalidraw://scene',
+    name: 'Scene',
+    description: 'Theme, viewport, selection and groups of the current scene',
+    mimeType: 'application/json'
+  },
+  {
+    uri: 'excalidraw://elements',
+    name: 'Elements',
+    description: 'All elements of the current scene',
+    mimeType: 'application/json'
+  },
+  {
+    uri: 'excalidraw://theme',
+    name: 'Theme',
+    description: 'Theme of the current scene',
+    mimeType: 'application/json'
+  },
+  {
+    uri: 'excalidraw://library',
+    name: 'Library',
+    description: 'Elements available for reuse',
+    mimeType: 'application/json'
+  }
+];
+
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: `${ELEMENT_URI_PREFIX}{id}`,
+    name: 'Element',
+    description: 'A single element of the current scene',
+    mimeType: 'application/json'
+  }
+];
+
+export function resourceUri(name) {
+  return `excalidraw://${name}`;
+}
+
+export function elementUri(id) {
+  return `${ELEMENT_URI_PREFIX}${encodeURIComponent(id)}`;
+}
+
+/**
+ * Payload of a resource URI for the given scene.
+ * Throws for unknown URIs and missing elements.
+ */
+export function readResource(uri, { elements, sceneState }) {
+  if (uri.startsWith(ELEMENT_URI_PREFIX)) {
+    const id = decodeURIComponent(uri.slice(ELEMENT_URI_PREFIX.length));
+    const element = elements.get(id);
+    if (!element) throw new Error(`Element with ID ${id} not found`);
+    return element;
+  }
+
+  switch (uri) {
+    case 'excalidraw://scene':
+      return {
+        theme: sceneState.theme,
+        viewport: sceneState.viewport,
+        selectedElements: Array.from(sceneState.selectedElements),
+        groups: Object.fromEntries(sceneState.groups)
+      };
+    case 'excalidraw://library':
+    case 'excalidraw://elements':
+      return {
+        elements: Array.from(elements.values())
+      };
+    case 'excalidraw://theme':
+      return {
+        theme: sceneState.theme
+      };
+    default:
+      throw new Error(`Unknown resource: ${uri}`);
+  }
+}
+
+/**
+ * URIs affected by a change, given the element diff and whether the
+ * scene state (theme, viewport) changed.
+ */
+export function changedUris({ added, removed, updated }, sceneStateChanged) {
+  const changedIds = [...added, ...removed, ...updated];
+  const uris = [];
+
+  if (changedIds.length > 0 || sceneStateChanged) uris.push('excalidraw://scene');
+  if (changedIds.length > 0) uris.push('excalidraw://elements', 'excalidraw://library');
+  if (sceneStateChanged) uris.push('excalidraw://theme');
+  changedIds.forEach(id => uris.push(elementUri(id)));
+
+  return uris;
+}
@@ -0,0 +1,59 @@
+import { changedUris, elementUri, readResource } from './resources.js';
+import { normalizeElement } from './normalize.js';
+
+function buildScene() {
+  const element = normalizeElement({ type: 'rectangle', id: 'a/b', x: 0, y: 0, width: 100, height: 50 });
+  return {
+    elements: new Map([[element.id, element]]),
+    sceneState: {
+      theme: 'dark',
+      viewport: { x: 10, y: 20, zoom: 2 },
+      selectedElements: new Set(['a/b']),
+      groups: new Map([['g', ['a/b']]])
+    }
+  };
+}
+
+describe('readResource', () => {
+  test('reads the scene state and the elements', () => {
+    const scene = buildScene();
+
+    expect(readResource('excalidraw://scene', scene)).toEqual({
+      theme: 'dark',
+      viewport: { x: 10, y: 20, zoom: 2 },
+      selectedElements: ['a/b'],
+      groups: { g: ['a/b'] }
+    });
+    expect(readResource('excalidraw://theme', scene)).toEqual({ theme: 'dark' });
+    expect(readResource('excalidraw://elements', scene).elements).toHaveLength(1);
+  });
+
+  test('reads single elements by their encoded id', () => {
+    const scene = buildScene();
+
+    expect(elementUri('a/b')).toBe('excalidraw://elements/a%2Fb');
+    expect(readResource(elementUri('a/b'), scene)).toBe(scene.elements.get('a/b'));
+    expect(() => readResource(elementUri('missing'), scene)).toThrow('Element with ID missing not found');
+  });
+
+  test('rejects unknown resources', () => {
+    expect(() => readResource('excalidraw://other', buildScene())).toThrow('Unknown resource: excalidraw://other');
+  });
+});
+
+describe('changedUris', () => {
+  test('lists the scene, element list and changed elements for element changes', () => {
+    expect(changedUris({ added: ['a'], removed: ['b'], updated: [] }, false)).toEqual([
+      'excalidraw://scene',
+      'excalidraw://elements',
+      'excalidraw://library',
+      'excalidraw://elements/a',
+      'excalidraw://elements/b'
+    ]);
+  });
+
+  test('lists the scene and theme for scene state changes', () => {
+    expect(changedUris({ added: [], removed: [], updated: [] }, true)).toEqual(['excalidraw://scene', 'excalidraw://theme']);
+    expect(changedUris({ added: [], removed: [], updated: [] }, false)).toEqual([]);
+  });
+});
@@ -0,0 +1,166 @@
+// Named scenes held by one server session, each with its own elements, state and history
+import { generateId } from '../types.js';
+import { createHistory } from './history.js';
+import { buildGroupIndex } from './groups.js';
+
+export const DEFAULT_SCENE_NAME = 'default';
+
+function createScene(name, { theme, historyLimit }) {
+  return {
+    name,
+    elements: new Map(),
+    state: {
+      theme,
+      viewport: { x: 0, y: 0, zoom: 1 },
+      selectedElements: new Set(),
+      groups: new Map()
+    },
+    history: createHistory({ limit: historyLimit }),
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Create the scene store. It starts with an empty default scene, which is active.
+ * Tools work on the active scene unless they name another one.
+ */
+export function createSceneStore({ theme = 'light', historyLimit } = {}) {
+  const scenes = new Map();
+  let activeName = DEFAULT_SCENE_NAME;
+
+  function get(name = activeName) {
+    const scene = scenes.get(name);
+    if (!scene) throw new Error(`Scene ${name} not found`);
+    return scene;
+  }
+
+  function create(name) {
+    if (scenes.has(name)) throw new Error(`Scene ${name} already exists`);
+    const scene = createScene(name, { theme, historyLimit });
+    scenes.set(name, scene);
+    return scene;
+  }
+
+  function activate(name) {
+    activeName = get(name).name;
+  }
+
+  // The active scene moves to the first remaining one when it is closed
+  function close(name) {
+    get(name);
+    if (scenes.size === 1) throw new Error(`Cannot close ${name}, the only scene`);
+
+    scenes.delete(name);
+    if (activeName === name) activeName = scenes.keys().next().value;
+  }
+
+  // Copy of a scene's elements and state, with a history of its own
+  function duplicate(sourceName, name) {
+    const source = get(sourceName);
+    const scene = create(name);
+
+    source.elements.forEach((element, id) => scene.elements.set(id, structuredClone(element)));
+    scene.state.theme = source.state.theme;
+    scene.state.viewport = { ...source.state.viewport };
+    scene.state.groups = buildGroupIndex(scene.elements);
+    return scene;
+  }
+
+  function list() {
+    return Array.from(scenes.values()).map(scene => ({
+      name: scene.name,
+      active: scene.name === activeName,
+      elements: scene.elements.size,
+      createdAt: scene.createdAt
+    }));
+  }
+
+  // Plain data of all scenes, for persistence
+  function serialize() {
+    return {
+      activeScene: activeName,
+      scenes: Array.from(scenes.values()).map(scene => ({
+        name: scene.name,
+        createdAt: scene.createdAt,
+        theme: scene.state.theme,
+        viewport: scene.state.viewport,
+        elements: Array.from(scene.elements.values())
+      }))
+    };
+  }
+
+  // Replace all scenes with serialized ones; their histories start empty
+  function restore({ activeScene, scenes: saved }) {
+    if (!Array.isArray(saved) || saved.length === 0) throw new Error('No scenes to restore');
+
+    scenes.clear();
+    saved.forEach(data => {
+      const scene = create(data.name);
+      scene.createdAt = data.createdAt ?? scene.createdAt;
+      scene.state.theme = data.theme ?? scene.state.theme;
+      scene.state.viewport = data.viewport ?? scene.state.viewport;
+      data.elements.forEach(element => scene.elements.set(element.id, element));
+      scene.state.groups = buildGroupIndex(scene.elements);
+    });
+    activeName = scenes.has(activeScene) ? activeScene : saved[0].name;
+  }
+
+  create(DEFAULT_SCENE_NAME);
+
+  return {
+    get,
+    create,
+    activate,
+    close,
+    duplicate,
+    list,
+    serialize,
+    restore,
+    get activeName() {
+      return activeName;
+    }
+  };
+}
+
+/**
+ * Copy elements into another scene's elements map, offset by (dx, dy).
+ * Ids and group ids already used there are replaced by new ones, and
+ * bindings to elements that are not copied along are dropped.
+ */
+export function copyElements(elementList, targetMap, { dx = 0, dy = 0 } = {}) {
+  const idMap = new Map(elementList.map(element => [element.id, targetMap.has(element.id) ? generateId() : element.id]));
+
+  const usedGroupIds = new Set(Array.from(targetMap.values()).flatMap(element => element.groupIds || []));
+  const groupIdMap = new Map();
+  elementList.flatMap(element => element.groupIds || []).forEach(groupId => {
+    if (!groupIdMap.has(groupId)) groupIdMap.set(groupId, usedGroupIds.has(groupId) ? generateId() : groupId);
+  });
+
+  const rebind = binding => (binding && idMap.has(binding.elementId)
+    ? { ...binding, elementId: idMap.get(binding.elementId) }
+    : null);
+
+  const copies = elementList.map(element => {
+    const copy = structuredClone(element);
+    Object.assign(copy, {
+      id: idMap.get(element.id),
+      x: element.x + dx,
+      y: element.y + dy,
+      groupIds: (element.groupIds || []).map(groupId => groupIdMap.get(groupId)),
+      frameId: idMap.get(element.frameId) ?? null
+    });
+
+    if ('containerId' in element) copy.containerId = idMap.get(element.containerId) ?? null;
+    if ('startBinding' in element) copy.startBinding = rebind(element.startBinding);
+    if ('endBinding' in element) copy.endBinding = rebind(element.endBinding);
+    if (element.boundElements) {
+      copy.boundElements = element.boundElements
+        .filter(bound => idMap.has(bound.id))
+        .map(bound => ({ ...bound, id: idMap.get(bound.id) }));
+    }
+    return copy;
+  });
+
+  copies.forEach(copy => targetMap.set(copy.id, copy));
+  return { copies, idMap };
+}
@@ -0,0 +1,88 @@
+import { copyElements, createSceneStore, DEFAULT_SCENE_NAME } from './scenes.js';
+import { connectElements } from './bindings.js';
+import { normalizeElement } from './normalize.js';
+
+const rectangle = (id, properties = {}) => normalizeElement({ type: 'rectangle', id, x: 0, y: 0, width: 100, height: 50, ...properties });
+
+describe('createSceneStore', () => {
+  test('starts with an active, empty default scene', () => {
+    const store = createSceneStore({ theme: 'dark' });
+
+    expect(store.activeName).toBe(DEFAULT_SCENE_NAME);
+    expect(store.get().elements.size).toBe(0);
+    expect(store.get().state.theme).toBe('dark');
+  });
+
+  test('creates, activates and closes scenes', () => {
+    const store = createSceneStore();
+    store.create('other');
+    store.activate('other');
+
+    expect(store.list().map(({ name, active }) => [name, active])).toEqual([['default', false], ['other', true]]);
+    expect(() => store.create('other')).toThrow('Scene other already exists');
+    expect(() => store.activate('missing')).toThrow('Scene missing not found');
+
+    store.close('other');
+    expect(store.activeName).toBe('default');
+    expect(() => store.close('default')).toThrow('Cannot close default, the only scene');
+  });
+
+  test('duplicates elements and state, but not the history', () => {
+    const store = createSceneStore();
+    const source = store.get();
+    source.elements.set('a', rectangle('a', { groupIds: ['g'] }));
+    source.elements.set('b', rectangle('b', { groupIds: ['g'] }));
+    source.state.theme = 'dark';
+    source.history.record({ tool: 'create_element', changes: [], sceneState: null });
+
+    const copy = store.duplicate('default', 'copy');
+    copy.elements.get('a').x = 500;
+
+    expect(source.elements.get('a').x).toBe(0);
+    expect(copy.state.theme).toBe('dark');
+    expect(Object.fromEntries(copy.state.groups)).toEqual({ g: ['a', 'b'] });
+    expect(copy.history.canUndo).toBe(false);
+  });
+
+  test('restores serialized scenes', () => {
+    const store = createSceneStore();
+    store.get().elements.set('a', rectangle('a'));
+    store.create('other');
+    store.activate('other');
+    const saved = JSON.parse(JSON.stringify(store.serialize()));
+
+    const restored = createSceneStore();
+    restored.restore(saved);
+
+    expect(restored.activeName).toBe('other');
+    expect(restored.list().map(({ name, elements }) => [name, elements])).toEqual([['default', 1], ['other', 0]]);
+    expect(() => restored.restore({ scenes: [] })).toThrow('No scenes to restore');
+  });
+});
+
+describe('copyElements', () => {
+  test('offsets the copies and replaces ids already used in the target', () => {
+    const source = rectangle('a', { groupIds: ['g'] });
+    const target = new Map([['a', rectangle('a', { groupIds: ['g'] })]]);
+
+    const { copies, idMap } = copyElements([source], target, { dx: 10, dy: 20 });
+
+    expect(copies[0].id).not.toBe('a');
+    expect(idMap.get('a')).toBe(copies[0].id);
+    expect(copies[0]).toMatchObject({ x: 10, y: 20 });
+    expect(copies[0].groupIds).not.toEqual(['g']);
+    expect(target.size).toBe(2);
+  });
+
+  test('keeps bindings between copied elements and drops the others', () => {
+    const a = rectangle('a');
+    const b = rectangle('b', { x: 300 });
+    const arrow = connectElements(a, b);
+
+    const { copies } = copyElements([a, arrow], new Map());
+
+    expect(copies[0].boundElements).toEqual([{ type: 'arrow', id: arrow.id }]);
+    expect(copies[1].startBinding.elementId).toBe('a');
+    expect(copies[1].endBinding).toBeNull();
+  });
+});
@@ -0,0 +1,332 @@
+// Server-side SVG rendering of Excalidraw elements
+import { getCommonBounds, getElementBounds, getBoundsCenter, getPoints } from './geometry.js';
+import { DEFAULT_FONT_FAMILY, DEFAULT_FONT_SIZE, LINE_HEIGHT } from './normalize.js';
+import { EXCALIDRAW_MIME_TYPE, encodeScenePayload, decodeScenePayload } from './payload.js';
+
+const FONT_STACKS = {
+  1: 'Virgil, Segoe UI Emoji, sans-serif',
+  2: 'Helvetica, Segoe UI Emoji, sans-serif',
+  3: 'Cascadia, Segoe UI Emoji, monospace',
+  5: 'Excalifont, Xiaolai, Segoe UI Emoji, sans-serif',
+  6: 'Nunito, Segoe UI Emoji, sans-serif',
+  7: 'Lilita One, Segoe UI Emoji, sans-serif',
+  8: 'Comic Shanns, Segoe UI Emoji, monospace',
+  9: 'Liberation Sans, Segoe UI Emoji, sans-serif'
+};
+
+export const DEFAULT_EXPORT_PADDING = 10;
+
+export const DEFAULT_BACKGROUND = '#ffffff';
+
+// Excalidraw renders dark mode by inverting the light rendering, background included
+const DARK_MODE_FILTER = 'invert(93%) hue-rotate(180deg)';
+
+const ARROWHEAD_SIZE = 15;
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function attributes(attrs) {
+  return Object.entries(attrs)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${key}="${escapeXml(typeof value === 'number' ? round(value) : value)}"`)
+    .join(' ');
+}
+
+function isTransparent(color) {
+  return !color || color === 'transparent';
+}
+
+function dashArray(element) {
+  const width = element.strokeWidth ?? 2;
+  switch (element.strokeStyle) {
+    case 'dashed':
+      return `8 ${8 + width}`;
+    case 'dotted':
+      return `1.5 ${6 + width}`;
+    default:
+      return undefined;
+  }
+}
+
+// Hachure-like fills are approximated with a line pattern per element
+function fillPattern(element, defs) {
+  const id = `fill-${defs.length}`;
+  const spacing = Math.max((element.strokeWidth ?? 2) * 4, 6);
+  const color = element.backgroundColor;
+  const lines = [`<line x1="0" y1="0" x2="0" y2="${spacing}" stroke="${escapeXml(color)}" stroke-width="1"/>`];
+
+  if (element.fillStyle === 'cross-hatch') {
+    lines.push(`<line x1="0" y1="0" x2="${spacing}" y2="0" stroke="${escapeXml(color)}" stroke-width="1"/>`);
+  }
+
+  const angle = element.fillStyle === 'zigzag' ? 30 : 45;
+  defs.push(
+    `<pattern id="${id}" patternUnits="userSpaceOnUse" width="${spacing}" height="${spacing}" patternTransform="rotate(${angle})">${lines.join('')}</pattern>`
+  );
+  return `url(#${id})`;
+}
+
+function fillFor(element, defs) {
+  if (isTransparent(element.backgroundColor)) return 'none';
+  if (!element.fillStyle || element.fillStyle === 'solid') return element.backgroundColor;
+  return fillPattern(element, defs);
+}
+
+function strokeAttributes(element) {
+  return {
+    stroke: isTransparent(element.strokeColor) ? 'none' : element.strokeColor ?? '#1e1e1e',
+    'stroke-width': element.strokeWidth ?? 2,
+    'stroke-dasharray': dashArray(element),
+    'stroke-linecap': 'round',
+    'stroke-linejoin': 'round'
+  };
+}
+
+// Corner radius Excalidraw uses for adaptive roundness
+function cornerRadius(element) {
+  if (!element.roundness) return 0;
+  return Math.min(Math.min(element.width, element.height) * 0.25, 32);
+}
+
+function absolutePoints(element) {
+  return getPoints(element).map(point => ({ x: element.x + point.x, y: element.y + point.y }));
+}
+
+// Smooth path through the points (Catmull-Rom converted to cubic Bézier)
+function curvePath(points) {
+  let path = `M ${round(points[0].x)} ${round(points[0].y)}`;
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const p0 = points[i - 1] ?? points[i];
+    const p1 = points[i];
+    const p2 = points[i + 1];
+    const p3 = points[i + 2] ?? p2;
+    const c1 = { x: p1.x + (p2.x - p0.x) / 6, y: p1.y + (p2.y - p0.y) / 6 };
+    const c2 = { x: p2.x - (p3.x - p1.x) / 6, y: p2.y - (p3.y - p1.y) / 6 };
+    path += ` C ${round(c1.x)} ${round(c1.y)}, ${round(c2.x)} ${round(c2.y)}, ${round(p2.x)} ${round(p2.y)}`;
+  }
+
+  return path;
+}
+
+function polylinePath(points) {
+  return points.map((point, index) => `${index === 0 ? 'M' : 'L'} ${round(point.x)} ${round(point.y)}`).join(' ');
+}
+
+function arrowhead(type, tip, from, element) {
+  if (!type) return '';
+
+  const angle = Math.atan2(tip.y - from.y, tip.x - from.x);
+  const size = ARROWHEAD_SIZE + (element.strokeWidth ?? 2);
+  const stroke = strokeAttributes(element);
+  const wing = offset => ({
+    x: tip.x - size * Math.cos(angle + offset),
+    y: tip.y - size * Math.sin(angle + offset)
+  });
+
+  switch (type) {
+    case 'dot':
+      return `<circle ${attributes({ cx: tip.x, cy: tip.y, r: size / 4, fill: stroke.stroke, stroke: stroke.stroke })}/>`;
+    case 'bar': {
+      const half = { x: (size / 2) * Math.sin(angle), y: (size / 2) * Math.cos(angle) };
+      return `<path ${attributes({ ...stroke, 'stroke-dasharray': undefined, fill: 'none', d: `M ${round(tip.x - half.x)} ${round(tip.y + half.y)} L ${round(tip.x + half.x)} ${round(tip.y - half.y)}` })}/>`;
+    }
+    case 'triangle': {
+      const a = wing(Math.PI / 7);
+      const b = wing(-Math.PI / 7);
+      return `<path ${attributes({ ...stroke, 'stroke-dasharray': undefined, fill: stroke.stroke, d: `M ${round(tip.x)} ${round(tip.y)} L ${round(a.x)} ${round(a.y)} L ${round(b.x)} ${round(b.y)} Z` })}/>`;
+    }
+    default: {
+      const a = wing(Math.PI / 7);
+      const b = wing(-Math.PI / 7);
+      return `<path ${attributes({ ...stroke, 'stroke-dasharray': undefined, fill: 'none', d: `M ${round(a.x)} ${round(a.y)} L ${round(tip.x)} ${round(tip.y)} L ${round(b.x)} ${round(b.y)}` })}/>`;
+    }
+  }
+}
+
+function renderLinear(element, defs) {
+  const points = absolutePoints(element);
+  if (points.length < 2) return '';
+
+  const d = element.roundness && points.length > 2 ? curvePath(points) : polylinePath(points);
+  const closed = element.type === 'line' && points.length > 2 &&
+    points[0].x === points[points.length - 1].x && points[0].y === points[points.length - 1].y;
+  let svg = `<path ${attributes({ ...strokeAttributes(element), fill: closed ? fillFor(element, defs) : 'none', d })}/>`;
+
+  if (element.type === 'arrow') {
+    const last = points.length - 1;
+    svg += arrowhead(element.endArrowhead, points[last], points[last - 1], element);
+    svg += arrowhead(element.startArrowhead, points[0], points[1], element);
+  }
+
+  return svg;
+}
+
+function renderFreedraw(element) {
+  const points = absolutePoints(element);
+  if (points.length === 0) return '';
+
+  return `<path ${attributes({
+    ...strokeAttributes(element),
+    'stroke-dasharray': undefined,
+    fill: 'none',
+    d: points.length > 2 ? curvePath(points) : polylinePath(points)
+  })}/>`;
+}
+
+function renderText(element) {
+  const fontSize = element.fontSize ?? DEFAULT_FONT_SIZE;
+  const lineHeight = fontSize * (element.lineHeight ?? LINE_HEIGHT);
+  const lines = String(element.text ?? '').split('\n');
+  const anchor = { left: 'start', center: 'middle', right: 'end' }[element.textAlign] ?? 'start';
+  const x = {
+    start: element.x,
+    middle: element.x + (element.width ?? 0) / 2,
+    end: element.x + (element.width ?? 0)
+  }[anchor];
+
+  const tspans = lines.map((line, index) =>
+    `<tspan ${attributes({ x, y: element.y + lineHeight * index + lineHeight / 2 })}>${escapeXml(line)}</tspan>`
+  ).join('');
+
+  return `<text ${attributes({
+    'font-family': FONT_STACKS[element.fontFamily ?? DEFAULT_FONT_FAMILY] ?? FONT_STACKS[DEFAULT_FONT_FAMILY],
+    'font-size': fontSize,
+    fill: element.strokeColor ?? '#1e1e1e',
+    'text-anchor': anchor,
+    'dominant-baseline': 'central',
+    style: 'white-space: pre'
+  })}>${tspans}</text>`;
+}
+
+function renderShape(element, defs) {
+  const common = { ...strokeAttributes(element), fill: fillFor(element, defs) };
+  const { x, y, width = 0, height = 0 } = element;
+
+  switch (element.type) {
+    case 'rectangle': {
+      const radius = cornerRadius(element);
+      return `<rect ${attributes({ ...common, x, y, width, height, rx: radius || undefined, ry: radius || undefined })}/>`;
+    }
+    case 'ellipse':
+      return `<ellipse ${attributes({ ...common, cx: x + width / 2, cy: y + height / 2, rx: width / 2, ry: height / 2 })}/>`;
+    case 'diamond': {
+      const points = [
+        [x + width / 2, y],
+        [x + width, y + height / 2],
+        [x + width / 2, y + height],
+        [x, y + height / 2]
+      ].map(point => point.map(round).join(',')).join(' ');
+      return `<polygon ${attributes({ ...common, points })}/>`;
+    }
+    default:
+      return '';
+  }
+}
+
+function renderElement(element, defs) {
+  let body;
+  switch (element.type) {
+    case 'arrow':
+    case 'line':
+      body = renderLinear(element, defs);
+      break;
+    case 'freedraw':
+      body = renderFreedraw(element);
+      break;
+    case 'text':
+      body = renderText(element);
+      break;
+    default:
+      body = renderShape(element, defs);
+  }
+  if (!body) return '';
+
+  const center = getBoundsCenter(getElementBounds({ ...element, angle: 0 }));
+  const angle = element.angle ? (element.angle * 180) / Math.PI : 0;
+
+  return `<g ${attributes({
+    'data-id': element.id,
+    opacity: (element.opacity ?? 100) < 100 ? (element.opacity ?? 100) / 100 : undefined,
+    transform: angle ? `rotate(${round(angle)} ${round(center.x)} ${round(center.y)})` : undefined
+  })}>${body}</g>`;
+}
+
+/**
+ * Render elements to a standalone SVG document.
+ * `background` is a color, or false for a transparent background.
+ */
+export function renderSvg(elementList, { padding = DEFAULT_EXPORT_PADDING, background = DEFAULT_BACKGROUND, theme = 'light' } = {}) {
+  const visible = elementList.filter(element => !element.isDeleted);
+  const bounds = visible.length > 0
+    ? getCommonBounds(visible)
+    : { minX: 0, minY: 0, width: 0, height: 0 };
+
+  // Arrowheads and strokes reach past the geometric bounds
+  const strokeMargin = Math.max(0, ...visible.map(element => (element.strokeWidth ?? 2) / 2 + (element.type === 'arrow' ? ARROWHEAD_SIZE / 2 : 0)));
+  const offset = padding + strokeMargin;
+  const width = bounds.width + offset * 2;
+  const height = bounds.height + offset * 2;
+
+  const defs = [];
+  const body = visible.map(element => renderElement(element, defs)).join('\n');
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" ${attributes({
+      width,
+      height,
+      viewBox: `${round(bounds.minX - offset)} ${round(bounds.minY - offset)} ${round(width)} ${round(height)}`
+    })}>`,
+    defs.length ? `<defs>${defs.join('')}</defs>` : '',
+    `<g${theme === 'dark' ? ` style="filter: ${DARK_MODE_FILTER}"` : ''}>`,
+    background ? `<rect ${attributes({ x: bounds.minX - offset, y: bounds.minY - offset, width, height, fill: background })}/>` : '',
+    body,
+    '</g>',
+    '</svg>'
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Add the scene to an SVG as a <metadata> payload, the way excalidraw.com does,
+ * so the SVG can be opened again as a drawing.
+ */
+export function embedSceneInSvg(svg, sceneJson) {
+  const payload = Buffer.from(encodeScenePayload(sceneJson), 'latin1').toString('base64');
+  const metadata = [
+    '<metadata>',
+    `<!-- payload-type:${EXCALIDRAW_MIME_TYPE} -->`,
+    '<!-- payload-version:2 -->',
+    '<!-- payload-start -->',
+    payload,
+    '<!-- payload-end -->',
+    '</metadata>'
+  ].join('');
+
+  return svg.replace(/<svg\b[^>]*>/, tag => `${tag}\n${metadata}`);
+}
+
+/**
+ * Scene JSON stored in an SVG by embedSceneInSvg() or excalidraw.com.
+ */
+export function extractSceneFromSvg(svg) {
+  const match = svg.match(/<!-- payload-start -->\s*(.+?)\s*<!-- payload-end -->/s);
+  if (!match) {
+    throw new Error('The SVG has no embedded Excalidraw scene');
+  }
+
+  const version = svg.match(/<!-- payload-version:(\d+) -->/)?.[1] ?? '1';
+  const payload = Buffer.from(match[1], 'base64').toString('latin1');
+
+  // Version 1 payloads are the base64 of the UTF-8 encoded payload JSON
+  return decodeScenePayload(version === '1' ? Buffer.from(payload, 'latin1').toString('utf8') : payload);
+}
@@ -0,0 +1,60 @@
+import { embedSceneInSvg, extractSceneFromSvg, renderSvg } from './svg.js';
+import { normalizeElement } from './normalize.js';
+
+const rectangle = (properties = {}) => normalizeElement({ type: 'rectangle', x: 0, y: 0, width: 100, height: 50, ...properties });
+
+describe('renderSvg', () => {
+  test('sizes the document to the elements plus padding and stroke', () => {
+    const svg = renderSvg([rectangle({ strokeWidth: 2 }), rectangle({ x: 200, y: 100 })], { padding: 10 });
+
+    expect(svg).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="322" height="172" viewBox="-11 -11 322 172">/);
+    expect(svg).toContain('<rect x="-11" y="-11" width="322" height="172" fill="#ffffff"/>');
+  });
+
+  test('renders shapes, text and arrows', () => {
+    const svg = renderSvg([
+      rectangle({ roundness: { type: 3 }, strokeStyle: 'dashed' }),
+      normalizeElement({ type: 'ellipse', x: 200, y: 0, width: 100, height: 50, backgroundColor: '#ffc9c9', fillStyle: 'hachure' }),
+      normalizeElement({ type: 'text', x: 0, y: 100, text: 'a < b\nc', textAlign: 'center' }),
+      normalizeElement({ type: 'arrow', x: 0, y: 200, points: [[0, 0], [100, 0]], endArrowhead: 'triangle' })
+    ]);
+
+    expect(svg).toContain('rx="12.5"');
+    expect(svg).toContain('stroke-dasharray="8 10"');
+    expect(svg).toMatch(/<ellipse [^>]*fill="url\(#fill-0\)"/);
+    expect(svg).toContain('<pattern id="fill-0"');
+    expect(svg).toContain('>a &lt; b</tspan>');
+    expect(svg).toContain('text-anchor="middle"');
+    expect(svg).toContain('d="M 0 200 L 100 200"');
+    expect(svg).toMatch(/<path [^>]*fill="#1e1e1e" d="M 100 200 L /);
+  });
+
+  test('rotates elements around their center and skips deleted ones', () => {
+    const svg = renderSvg([rectangle({ angle: Math.PI / 2 }), rectangle({ x: 500, isDeleted: true })]);
+
+    expect(svg).toContain('transform="rotate(90 50 25)"');
+    expect(svg.match(/<rect /g)).toHaveLength(2);
+  });
+
+  test('inverts the rendering for the dark theme and can leave out the background', () => {
+    const svg = renderSvg([rectangle()], { theme: 'dark', background: false });
+
+    expect(svg).toContain('<g style="filter: invert(93%) hue-rotate(180deg)">');
+    expect(svg).not.toContain('fill="#ffffff"');
+  });
+});
+
+describe('embedSceneInSvg', () => {
+  test('embeds a scene that extractSceneFromSvg reads back', () => {
+    const scene = JSON.stringify({ type: 'excalidraw', version: 2, elements: [rectangle({ id: 'a' })], appState: {} });
+
+    const svg = embedSceneInSvg(renderSvg([]), scene);
+
+    expect(svg).toContain('<!-- payload-type:application/vnd.excalidraw+json -->');
+    expect(JSON.parse(extractSceneFromSvg(svg))).toEqual(JSON.parse(scene));
+  });
+
+  test('rejects SVGs without a scene', () => {
+    expect(() => extractSceneFromSvg(renderSvg([]))).toThrow('The SVG has no embedded Excalidraw scene');
+  });
+});
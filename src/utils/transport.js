@@ -0,0 +1,222 @@
+// How the server is reached: stdio, or HTTP with the Streamable HTTP transport and the legacy SSE transport
+import { randomUUID, timingSafeEqual } from 'crypto';
+import http from 'http';
+import { parseArgs } from 'util';
+import cors from 'cors';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+export const TRANSPORTS = ['stdio', 'http'];
+export const DEFAULT_HOST = '127.0.0.1';
+export const DEFAULT_PORT = 3000;
+
+// Endpoints: Streamable HTTP, and the event stream and message endpoint of the legacy SSE transport
+const MCP_PATH = '/mcp';
+const SSE_PATH = '/sse';
+const MESSAGES_PATH = '/messages';
+
+// Command line options of the server; anything else on the command line is ignored
+const SERVER_OPTIONS = {
+  transport: { type: 'string' },
+  host: { type: 'string' },
+  port: { type: 'string' }
+};
+
+// Largest request body accepted, in bytes
+const MAX_BODY_SIZE = 16 * 1024 * 1024;
+
+/**
+ * Transport options from the command line, falling back to the environment:
+ * --transport / MCP_TRANSPORT, --host / HOST, --port / PORT,
+ * MCP_AUTH_TOKEN for bearer auth and CORS_ORIGIN (comma separated, or *).
+ * Other arguments, which launchers may pass along, are returned as `ignored`.
+ */
+export function parseServerOptions(argv = process.argv.slice(2), env = process.env) {
+  const { values, tokens } = parseArgs({ args: argv, options: SERVER_OPTIONS, strict: false, allowPositionals: true, tokens: true });
+
+  Object.keys(SERVER_OPTIONS).forEach(name => {
+    if (values[name] === true) throw new Error(`Option --${name} needs a value`);
+  });
+  const ignored = tokens
+    .filter(token => token.kind === 'positional' || (token.kind === 'option' && !(token.name in SERVER_OPTIONS)))
+    .map(token => (token.kind === 'option' ? token.rawName : token.value));
+
+  const transport = values.transport ?? env.MCP_TRANSPORT ?? 'stdio';
+  if (!TRANSPORTS.includes(transport)) {
+    throw new Error(`Unknown transport ${transport}; use one of ${TRANSPORTS.join(', ')}`);
+  }
+
+  const port = Number(values.port ?? env.PORT ?? DEFAULT_PORT);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid port ${values.port ?? env.PORT}`);
+  }
+
+  const corsOrigin = env.CORS_ORIGIN?.split(',').map(origin => origin.trim()).filter(Boolean);
+
+  return {
+    transport,
+    host: values.host ?? env.HOST ?? DEFAULT_HOST,
+    port,
+    authToken: env.MCP_AUTH_TOKEN || null,
+    corsOrigin: corsOrigin?.length ? corsOrigin : null,
+    ignored
+  };
+}
+
+function httpError(status, message, code = -32000) {
+  return Object.assign(new Error(message), { status, code });
+}
+
+// JSON-RPC error response, as the SDK transports send them
+function sendError(res, { status = 500, code = -32603, message }) {
+  if (res.headersSent) {
+    res.end();
+    return;
+  }
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ jsonrpc: '2.0', error: { code, message }, id: null }));
+}
+
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_SIZE) throw httpError(413, 'Request body too large');
+    chunks.push(chunk);
+  }
+
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch {
+    throw httpError(400, 'Parse error: invalid JSON', -32700);
+  }
+}
+
+function isAuthorized(req, authToken) {
+  if (!authToken) return true;
+
+  const [scheme, token = ''] = (req.headers.authorization || '').split(' ');
+  const expected = Buffer.from(authToken);
+  const given = Buffer.from(token);
+  return scheme?.toLowerCase() === 'bearer' && given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+/**
+ * Serve MCP over HTTP. Every client connection is a session of its own,
+ * with a server from `createServer()`:
+ * - Streamable HTTP on /mcp, sessions identified by the Mcp-Session-Id header
+ * - legacy SSE: an event stream on GET /sse, client messages on POST /messages?sessionId=
+ * With `authToken` every request needs an `Authorization: Bearer <token>` header;
+ * `corsOrigin` lists the origins browsers may call the server from.
+ * Resolves once the server listens, to its address and a function closing it.
+ */
+export async function startHttpServer({ createServer, host = DEFAULT_HOST, port = DEFAULT_PORT, authToken = null, corsOrigin = null, logger }) {
+  const streamableSessions = new Map();
+  const sseSessions = new Map();
+
+  async function handleStreamableHttp(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+
+    let transport = sessionId ? streamableSessions.get(sessionId) : undefined;
+    if (sessionId && !transport) throw httpError(404, `Session ${sessionId} not found`, -32001);
+
+    if (!transport) {
+      if (!isInitializeRequest(body)) throw httpError(400, 'No session; start one with an initialize request');
+
+      transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: id => {
+          streamableSessions.set(id, transport);
+          logger.info('Opened Streamable HTTP session', { sessionId: id });
+        }
+      });
+      transport.onclose = () => {
+        if (streamableSessions.delete(transport.sessionId)) {
+          logger.info('Closed Streamable HTTP session', { sessionId: transport.sessionId });
+        }
+      };
+      await createServer().connect(transport);
+    }
+
+    await transport.handleRequest(req, res, body);
+  }
+
+  async function handleSseStream(req, res) {
+    if (req.method !== 'GET') throw httpError(405, 'Method not allowed');
+
+    const transport = new SSEServerTransport(MESSAGES_PATH, res);
+    sseSessions.set(transport.sessionId, transport);
+    transport.onclose = () => {
+      sseSessions.delete(transport.sessionId);
+      logger.info('Closed SSE session', { sessionId: transport.sessionId });
+    };
+    await createServer().connect(transport);
+    logger.info('Opened SSE session', { sessionId: transport.sessionId });
+  }
+
+  async function handleSseMessage(req, res, url) {
+    if (req.method !== 'POST') throw httpError(405, 'Method not allowed');
+
+    const sessionId = url.searchParams.get('sessionId');
+    const transport = sseSessions.get(sessionId);
+    if (!transport) throw httpError(404, `Session ${sessionId} not found`, -32001);
+
+    await transport.handlePostMessage(req, res, await readJsonBody(req));
+  }
+
+  async function handleRequest(req, res) {
+    if (!isAuthorized(req, authToken)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      throw httpError(401, 'Unauthorized');
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    switch (url.pathname) {
+      case MCP_PATH:
+        return handleStreamableHttp(req, res);
+      case SSE_PATH:
+        return handleSseStream(req, res);
+      case MESSAGES_PATH:
+        return handleSseMessage(req, res, url);
+      default:
+        throw httpError(404, `Not found: ${url.pathname}`);
+    }
+  }
+
+  // Preflight requests are answered here, before auth
+  const applyCors = corsOrigin
+    ? cors({
+      origin: corsOrigin.includes('*') ? '*' : corsOrigin,
+      exposedHeaders: ['Mcp-Session-Id', 'WWW-Authenticate']
+    })
+    : (req, res, next) => next();
+
+  const httpServer = http.createServer((req, res) => {
+    applyCors(req, res, () => {
+      handleRequest(req, res).catch(error => {
+        if (!error.status) logger.error('Failed to handle HTTP request', { url: req.url, error: error.message });
+        sendError(res, error);
+      });
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject);
+      resolve();
+    });
+  });
+
+  async function close() {
+    const transports = [...streamableSessions.values(), ...sseSessions.values()];
+    await Promise.allSettled(transports.map(transport => transport.close()));
+    httpServer.closeAllConnections();
+    await new Promise(resolve => httpServer.close(() => resolve()));
+  }
+
+  return { address: httpServer.address(), close };
+}
@@ -0,0 +1,109 @@
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { parseServerOptions, startHttpServer, DEFAULT_HOST, DEFAULT_PORT } from './transport.js';
+
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+const initialize = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } }
+};
+
+describe('parseServerOptions', () => {
+  test('defaults to stdio on the default host and port', () => {
+    expect(parseServerOptions([], {})).toEqual({
+      transport: 'stdio',
+      host: DEFAULT_HOST,
+      port: DEFAULT_PORT,
+      authToken: null,
+      corsOrigin: null,
+      ignored: []
+    });
+  });
+
+  test('prefers command line options over the environment', () => {
+    const options = parseServerOptions(['--transport', 'http', '--port=4000'], {
+      MCP_TRANSPORT: 'stdio',
+      PORT: '5000',
+      HOST: '0.0.0.0',
+      MCP_AUTH_TOKEN: 'secret',
+      CORS_ORIGIN: 'https://a.example, https://b.example'
+    });
+
+    expect(options).toMatchObject({
+      transport: 'http',
+      port: 4000,
+      host: '0.0.0.0',
+      authToken: 'secret',
+      corsOrigin: ['https://a.example', 'https://b.example']
+    });
+  });
+
+  test('ignores and reports arguments it does not know', () => {
+    const options = parseServerOptions(['--stdio', '--verbose=2', '-x', 'extra', '--port', '4000'], {});
+
+    expect(options.port).toBe(4000);
+    expect(options.ignored).toEqual(['--stdio', '--verbose', '-x', 'extra']);
+  });
+
+  test('rejects unknown transports, invalid ports and options without a value', () => {
+    expect(() => parseServerOptions(['--transport', 'ws'], {})).toThrow('Unknown transport ws; use one of stdio, http');
+    expect(() => parseServerOptions([], { PORT: '70000' })).toThrow('Invalid port 70000');
+    expect(() => parseServerOptions(['--port'], {})).toThrow('Option --port needs a value');
+  });
+});
+
+describe('startHttpServer', () => {
+  let server;
+  let url;
+
+  const createServer = () => new Server({ name: 'test', version: '1.0.0' }, { capabilities: {} });
+  const post = (body, headers = {}) => fetch(`${url}/mcp`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers },
+    body: JSON.stringify(body)
+  });
+
+  beforeEach(async () => {
+    server = await startHttpServer({ createServer, port: 0, authToken: 'secret', logger: silentLogger });
+    url = `http://${DEFAULT_HOST}:${server.address.port}`;
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  test('requires the bearer token', async () => {
+    const response = await post(initialize);
+
+    expect(response.status).toBe(401);
+    expect(response.headers.get('www-authenticate')).toBe('Bearer');
+  });
+
+  test('opens a Streamable HTTP session with an initialize request', async () => {
+    const response = await post(initialize, { Authorization: 'Bearer secret' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('mcp-session-id')).toEqual(expect.any(String));
+    await response.body?.cancel();
+  });
+
+  test('rejects requests without a session and unknown sessions', async () => {
+    const ping = { jsonrpc: '2.0', id: 2, method: 'ping' };
+
+    const withoutSession = await post(ping, { Authorization: 'Bearer secret' });
+    expect(withoutSession.status).toBe(400);
+    expect((await withoutSession.json()).error.message).toBe('No session; start one with an initialize request');
+
+    const unknown = await post(ping, { Authorization: 'Bearer secret', 'Mcp-Session-Id': 'missing' });
+    expect(unknown.status).toBe(404);
+  });
+
+  test('answers unknown paths with 404', async () => {
+    const response = await fetch(`${url}/other`, { headers: { Authorization: 'Bearer secret' } });
+
+    expect(response.status).toBe(404);
+    expect((await response.json()).error.message).toBe('Not found: /other');
+  });
+});
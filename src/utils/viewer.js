@@ -0,0 +1,180 @@
+// Live viewer: a local web page that renders the active scene with Excalidraw.
+// Changes are pushed to it over a WebSocket as they are made, and edits made in it come back the same way.
+import { readFile } from 'fs/promises';
+import http from 'http';
+import { createRequire } from 'module';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { WebSocketServer } from 'ws';
+
+export const DEFAULT_VIEWER_HOST = '127.0.0.1';
+
+// Built by npm run build:browser; the stylesheet and fonts come from the Excalidraw package
+const BUNDLE_PATH = fileURLToPath(new URL('../../dist/viewer.bundle.js', import.meta.url));
+const EXCALIDRAW_DIST = path.dirname(createRequire(import.meta.url).resolve('@excalidraw/excalidraw'));
+const PAGE_HTML = `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>Excalidraw MCP</title>
+    <link rel="stylesheet" href="/index.css">
+    <style>html, body, #root { height: 100%; margin: 0; }</style>
+    <script>window.EXCALIDRAW_ASSET_PATH = '/';</script>
+  </head>
+  <body>
+    <div id="root"></div>
+    <script src="/viewer.bundle.js"></script>
+  </body>
+</html>`;
+
+const WEBSOCKET_PATH = '/ws';
+
+// Elements come from Excalidraw itself, so only their shape is checked
+function isValidElement(element) {
+  return typeof element?.id === 'string'
+    && typeof element.type === 'string'
+    && Number.isInteger(element.version)
+    && Number.isFinite(element.x)
+    && Number.isFinite(element.y);
+}
+
+/**
+ * Merge elements edited in a viewer into the elements Map, by version:
+ * an edit is taken when it is newer than the element in the Map, and
+ * `isDeleted` edits delete the element. Stale edits are rejected; the
+ * viewer gets the Map's current state of those elements back.
+ */
+export function reconcileElements(elementsMap, incoming) {
+  const accepted = [];
+  const rejected = [];
+
+  incoming.filter(isValidElement).forEach(element => {
+    const current = elementsMap.get(element.id);
+    if (current && element.version <= current.version) {
+      rejected.push(current);
+      return;
+    }
+    // Deleted in the viewer, and already gone here
+    if (!current && element.isDeleted) return;
+
+    if (element.isDeleted) {
+      elementsMap.delete(element.id);
+    } else {
+      elementsMap.set(element.id, element);
+    }
+    accepted.push(element);
+  });
+
+  return { accepted, rejected };
+}
+
+async function serveAsset(url, res) {
+  if (url.pathname === '/') {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    return res.end(PAGE_HTML);
+  }
+  if (url.pathname === '/viewer.bundle.js') {
+    res.writeHead(200, { 'Content-Type': 'text/javascript' });
+    return res.end(await readFile(BUNDLE_PATH));
+  }
+  if (url.pathname === '/index.css') {
+    res.writeHead(200, { 'Content-Type': 'text/css' });
+    return res.end(await readFile(path.join(EXCALIDRAW_DIST, 'index.css')));
+  }
+
+  const file = path.join(EXCALIDRAW_DIST, path.normalize(decodeURIComponent(url.pathname)));
+  if (url.pathname.startsWith('/fonts/') && file.startsWith(EXCALIDRAW_DIST)) {
+    try {
+      const body = await readFile(file);
+      res.writeHead(200, { 'Content-Type': 'font/woff2' });
+      return res.end(body);
+    } catch {
+      // fall through to 404
+    }
+  }
+  res.writeHead(404);
+  res.end();
+}
+
+/**
+ * Serve the viewer on host:port.
+ * `getScene()` returns the scene to show. `onEdit(sceneName, elements)` is
+ * called with the elements a viewer changed and resolves to the ones it
+ * rejected, which are sent back to that viewer.
+ * Only pages served by the viewer itself may open its WebSocket.
+ */
+export async function startViewer({ host = DEFAULT_VIEWER_HOST, port, getScene, onEdit, logger }) {
+  const httpServer = http.createServer((req, res) => {
+    serveAsset(new URL(req.url, 'http://localhost'), res).catch(error => {
+      logger.error('Failed to serve viewer asset', { url: req.url, error: error.message });
+      if (!res.headersSent) res.writeHead(500);
+      res.end();
+    });
+  });
+
+  const sockets = new WebSocketServer({
+    server: httpServer,
+    path: WEBSOCKET_PATH,
+    verifyClient: ({ origin, req }) => {
+      try {
+        return new URL(origin).host === req.headers.host;
+      } catch {
+        return false;
+      }
+    }
+  });
+
+  const send = (socket, message) => {
+    if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+  };
+
+  const sceneMessage = () => {
+    const scene = getScene();
+    return { type: 'scene', scene: scene.name, theme: scene.state.theme, elements: Array.from(scene.elements.values()) };
+  };
+
+  sockets.on('connection', socket => {
+    send(socket, sceneMessage());
+
+    socket.on('message', async data => {
+      try {
+        const message = JSON.parse(data.toString());
+        if (message.type !== 'update' || !Array.isArray(message.elements)) return;
+
+        const rejected = await onEdit(message.scene, message.elements);
+        if (rejected.length > 0) send(socket, { type: 'update', scene: message.scene, elements: rejected });
+      } catch (error) {
+        logger.warn('Failed to apply viewer edit', { error: error.message });
+      }
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject);
+      resolve();
+    });
+  });
+
+  // Changed elements of the shown scene, deleted ones marked isDeleted
+  function broadcast(sceneName, elements) {
+    if (elements.length === 0) return;
+    sockets.clients.forEach(socket => send(socket, { type: 'update', scene: sceneName, elements }));
+  }
+
+  // Show the scene from scratch, after another scene became active or the scene was replaced
+  function showScene() {
+    const message = sceneMessage();
+    sockets.clients.forEach(socket => send(socket, message));
+  }
+
+  async function close() {
+    sockets.clients.forEach(socket => socket.terminate());
+    await new Promise(resolve => sockets.close(() => resolve()));
+    httpServer.closeAllConnections();
+    await new Promise(resolve => httpServer.close(() => resolve()));
+  }
+
+  return { address: httpServer.address(), broadcast, showScene, close };
+}
@@ -0,0 +1,114 @@
+import { WebSocket } from 'ws';
+import { reconcileElements, startViewer, DEFAULT_VIEWER_HOST } from './viewer.js';
+import { normalizeElement } from './normalize.js';
+
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+const rectangle = (id, properties = {}) => normalizeElement({ type: 'rectangle', id, x: 0, y: 0, width: 100, height: 50, ...properties });
+
+describe('reconcileElements', () => {
+  test('takes newer edits and rejects stale ones', () => {
+    const current = rectangle('a', { version: 3 });
+    const elementsMap = new Map([['a', current], ['b', rectangle('b', { version: 1 })]]);
+    const newer = { ...elementsMap.get('b'), x: 200, version: 2 };
+
+    const { accepted, rejected } = reconcileElements(elementsMap, [{ ...current, x: 100, version: 3 }, newer, rectangle('c')]);
+
+    expect(accepted.map(element => element.id)).toEqual(['b', 'c']);
+    expect(rejected).toEqual([current]);
+    expect(elementsMap.get('a').x).toBe(0);
+    expect(elementsMap.get('b').x).toBe(200);
+  });
+
+  test('deletes elements deleted in the viewer and ignores invalid ones', () => {
+    const elementsMap = new Map([['a', rectangle('a', { version: 1 })]]);
+
+    const { accepted } = reconcileElements(elementsMap, [
+      { ...elementsMap.get('a'), version: 2, isDeleted: true },
+      { ...rectangle('gone'), isDeleted: true },
+      { id: 'invalid', type: 'rectangle', version: 1.5, x: 0, y: 0 }
+    ]);
+
+    expect(accepted.map(element => element.id)).toEqual(['a']);
+    expect(elementsMap.size).toBe(0);
+  });
+});
+
+describe('startViewer', () => {
+  let viewer;
+  let url;
+  let scene;
+  let edits;
+  const sockets = [];
+
+  // Socket of a page served by the viewer, with the messages it received
+  function connect(origin = url) {
+    const socket = new WebSocket(`${url.replace('http', 'ws')}/ws`, { origin });
+    socket.received = [];
+    socket.on('message', data => socket.received.push(JSON.parse(data.toString())));
+    sockets.push(socket);
+    return new Promise((resolve, reject) => {
+      socket.once('open', () => resolve(socket));
+      socket.once('error', reject);
+    });
+  }
+
+  const waitFor = async condition => {
+    for (let i = 0; i < 100 && !condition(); i++) await new Promise(resolve => setTimeout(resolve, 10));
+  };
+
+  beforeEach(async () => {
+    scene = { name: 'default', state: { theme: 'dark' }, elements: new Map([['a', rectangle('a', { version: 2 })]]) };
+    edits = [];
+    viewer = await startViewer({
+      port: 0,
+      getScene: () => scene,
+      onEdit: async (sceneName, elements) => {
+        edits.push([sceneName, elements]);
+        return reconcileElements(scene.elements, elements).rejected;
+      },
+      logger: silentLogger
+    });
+    url = `http://${DEFAULT_VIEWER_HOST}:${viewer.address.port}`;
+  });
+
+  afterEach(async () => {
+    sockets.splice(0).forEach(socket => socket.terminate());
+    await viewer.close();
+  });
+
+  test('serves the page and the Excalidraw stylesheet', async () => {
+    const page = await fetch(`${url}/`);
+    expect(page.headers.get('content-type')).toBe('text/html');
+    expect(await page.text()).toContain('<script src="/viewer.bundle.js"></script>');
+
+    expect((await fetch(`${url}/index.css`)).status).toBe(200);
+    expect((await fetch(`${url}/other`)).status).toBe(404);
+  });
+
+  test('sends the scene to new viewers and changes to all of them', async () => {
+    const socket = await connect();
+    await waitFor(() => socket.received.length === 1);
+    expect(socket.received[0]).toMatchObject({ type: 'scene', scene: 'default', theme: 'dark', elements: [{ id: 'a' }] });
+
+    viewer.broadcast('default', [rectangle('b')]);
+    await waitFor(() => socket.received.length === 2);
+    expect(socket.received[1]).toMatchObject({ type: 'update', scene: 'default', elements: [{ id: 'b' }] });
+  });
+
+  test('applies edits and sends rejected ones back', async () => {
+    const socket = await connect();
+    const stale = { ...scene.elements.get('a'), x: 100, version: 1 };
+
+    socket.send(JSON.stringify({ type: 'update', scene: 'default', elements: [stale, rectangle('b')] }));
+    await waitFor(() => socket.received.length === 2);
+
+    expect(edits).toHaveLength(1);
+    expect(scene.elements.has('b')).toBe(true);
+    expect(socket.received[1]).toMatchObject({ type: 'update', elements: [{ id: 'a', x: 0, version: 2 }] });
+  });
+
+  test('refuses WebSocket connections from other origins', async () => {
+    await expect(connect('https://example.com')).rejects.toThrow('Unexpected server response: 401');
+  });
+});
@@ -0,0 +1,169 @@
+// Workspace directory that all file paths are resolved against and confined to
+import { randomBytes } from 'crypto';
+import { link, mkdir, open, readdir, readFile, realpath, rename, rm, stat, writeFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { extractSceneFromPng } from './png.js';
+import { extractSceneFromSvg } from './svg.js';
+
+// Scene file formats by extension; files with other extensions are read as scene JSON
+export const SCENE_FILE_FORMATS = {
+  '.excalidraw': 'json',
+  '.excalidraw.json': 'json',
+  '.excalidraw.svg': 'svg',
+  '.excalidraw.png': 'png'
+};
+
+// Workspace used when WORKSPACE_DIR is not set, created by the server on startup
+export const DEFAULT_WORKSPACE_DIR = path.join(os.homedir(), 'excalidraw-mcp');
+
+// Errors of link on file systems without hard links
+const LINK_UNSUPPORTED_CODES = new Set(['EPERM', 'ENOTSUP', 'EOPNOTSUPP', 'ENOSYS']);
+
+// Directories list_files does not descend into
+const SKIPPED_DIRECTORIES = new Set(['node_modules']);
+
+export function getSceneFormat(filePath) {
+  const name = path.basename(filePath).toLowerCase();
+  const extension = Object.keys(SCENE_FILE_FORMATS)
+    .sort((a, b) => b.length - a.length)
+    .find(candidate => name.endsWith(candidate));
+
+  return extension ? SCENE_FILE_FORMATS[extension] : null;
+}
+
+/**
+ * Parse the scene in a file of any supported format: JSON, or an SVG or PNG with an embedded scene.
+ */
+export function parseSceneFile(filePath, buffer) {
+  switch (getSceneFormat(filePath)) {
+    case 'svg':
+      return JSON.parse(extractSceneFromSvg(buffer.toString('utf8')));
+    case 'png':
+      return JSON.parse(extractSceneFromPng(buffer));
+    default:
+      return JSON.parse(buffer.toString('utf8'));
+  }
+}
+
+function isInside(root, target) {
+  const relative = path.relative(root, target);
+  return relative === '' || (!relative.startsWith(`..${path.sep}`) && relative !== '..' && !path.isAbsolute(relative));
+}
+
+// Deepest part of the path that exists, with symlinks resolved
+async function realpathOfExisting(target) {
+  try {
+    return await realpath(target);
+  } catch (error) {
+    if (error.code !== 'ENOENT' || path.dirname(target) === target) throw error;
+    return path.join(await realpathOfExisting(path.dirname(target)), path.basename(target));
+  }
+}
+
+// Move a file into place unless the target exists; unlike rename, link fails when it does
+async function moveExclusive(source, target) {
+  try {
+    await link(source, target);
+  } catch (error) {
+    if (!LINK_UNSUPPORTED_CODES.has(error.code)) throw error;
+    // Claim the name with an exclusive create, then replace the empty file
+    await (await open(target, 'wx')).close();
+    try {
+      await rename(source, target);
+    } catch (renameError) {
+      await rm(target, { force: true });
+      throw renameError;
+    }
+  }
+}
+
+/**
+ * Create a workspace rooted at `root`.
+ * Paths may be relative to the root or absolute inside it; paths leading
+ * outside, through `..` or symlinks, are rejected.
+ */
+export function createWorkspace(root) {
+  const rootPath = path.resolve(root);
+
+  const toRelative = filePath => path.relative(rootPath, filePath).split(path.sep).join('/') || '.';
+
+  // Create the root directory if it does not exist yet
+  async function init() {
+    await mkdir(rootPath, { recursive: true });
+    return rootPath;
+  }
+
+  async function resolve(filePath) {
+    const resolved = path.resolve(rootPath, filePath);
+    if (!isInside(rootPath, resolved)) {
+      throw new Error(`Path ${filePath} is outside the workspace`);
+    }
+
+    if (!isInside(await realpath(await init()), await realpathOfExisting(resolved))) {
+      throw new Error(`Path ${filePath} is outside the workspace`);
+    }
+    return resolved;
+  }
+
+  async function read(filePath) {
+    return await readFile(await resolve(filePath));
+  }
+
+  /**
+   * Write a file atomically: the data goes to a temporary file that is then
+   * moved into place. Existing files are only replaced with `overwrite`.
+   */
+  async function write(filePath, data, { overwrite = false } = {}) {
+    const target = await resolve(filePath);
+    await mkdir(path.dirname(target), { recursive: true });
+
+    const temporary = path.join(path.dirname(target), `.${path.basename(target)}.${randomBytes(6).toString('hex')}.tmp`);
+    await writeFile(temporary, data);
+
+    try {
+      if (overwrite) {
+        await rename(temporary, target);
+      } else {
+        await moveExclusive(temporary, target);
+      }
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        throw new Error(`File ${toRelative(target)} already exists; pass overwrite: true to replace it`);
+      }
+      throw error;
+    } finally {
+      await rm(temporary, { force: true });
+    }
+
+    return toRelative(target);
+  }
+
+  /**
+   * Scene files in a directory of the workspace, with their format, size and modification time.
+   */
+  async function list(directory = '.', { recursive = true } = {}) {
+    const start = await resolve(directory);
+    const files = [];
+
+    async function walk(current) {
+      const entries = await readdir(current, { withFileTypes: true });
+      for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+        if (entry.name.startsWith('.')) continue;
+        const entryPath = path.join(current, entry.name);
+
+        if (entry.isDirectory()) {
+          if (recursive && !SKIPPED_DIRECTORIES.has(entry.name)) await walk(entryPath);
+        } else if (entry.isFile() && getSceneFormat(entry.name)) {
+          const { size, mtime } = await stat(entryPath);
+          files.push({ path: toRelative(entryPath), format: getSceneFormat(entry.name), size, modified: mtime.toISOString() });
+        }
+      }
+    }
+
+    await walk(start);
+    return files;
+  }
+
+  return { root: rootPath, init, resolve, read, write, list };
+}
@@ -0,0 +1,108 @@
+import { jest } from '@jest/globals';
+import { mkdir, mkdtemp, readFile, readdir, rm, symlink, writeFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// link and rename can be made to fail, link the way it does on file systems without hard links
+let linkError = null;
+let renameError = null;
+jest.unstable_mockModule('fs/promises', async () => {
+  const { promises: actual } = await import('fs');
+  return {
+    ...actual,
+    link: async (...args) => {
+      if (linkError) throw Object.assign(new Error(`${linkError}: operation not permitted, link`), { code: linkError });
+      return actual.link(...args);
+    },
+    rename: async (...args) => {
+      if (renameError) throw Object.assign(new Error(`${renameError}: rename failed`), { code: renameError });
+      return actual.rename(...args);
+    }
+  };
+});
+
+const { createWorkspace } = await import('./workspace.js');
+
+describe('createWorkspace', () => {
+  let root;
+  let workspace;
+
+  beforeEach(async () => {
+    root = await mkdtemp(path.join(os.tmpdir(), 'workspace-test-'));
+    workspace = createWorkspace(root);
+    linkError = null;
+    renameError = null;
+  });
+
+  afterEach(async () => {
+    await rm(root, { recursive: true, force: true });
+  });
+
+  test('rejects paths outside the workspace', async () => {
+    await expect(workspace.write('../outside.excalidraw', '{}')).rejects.toThrow('Path ../outside.excalidraw is outside the workspace');
+  });
+
+  test('rejects symlinks leading outside the workspace', async () => {
+    const outside = await mkdtemp(path.join(os.tmpdir(), 'workspace-outside-'));
+    await symlink(outside, path.join(root, 'link'));
+
+    await expect(workspace.write('link/a.excalidraw', '{}')).rejects.toThrow('Path link/a.excalidraw is outside the workspace');
+    expect(await readdir(outside)).toEqual([]);
+    await rm(outside, { recursive: true, force: true });
+  });
+
+  test('lists scene files with their format, skipping hidden files and node_modules', async () => {
+    await mkdir(path.join(root, 'sub'));
+    await mkdir(path.join(root, 'node_modules'));
+    await Promise.all([
+      writeFile(path.join(root, 'b.excalidraw'), '{}'),
+      writeFile(path.join(root, 'sub', 'a.excalidraw.svg'), '<svg/>'),
+      writeFile(path.join(root, 'sub', 'c.excalidraw.png'), ''),
+      writeFile(path.join(root, 'notes.txt'), ''),
+      writeFile(path.join(root, '.hidden.excalidraw'), '{}'),
+      writeFile(path.join(root, 'node_modules', 'd.excalidraw'), '{}')
+    ]);
+
+    const files = await workspace.list();
+    expect(files.map(({ path: filePath, format, size }) => [filePath, format, size])).toEqual([
+      ['b.excalidraw', 'json', 2],
+      ['sub/a.excalidraw.svg', 'svg', 6],
+      ['sub/c.excalidraw.png', 'png', 0]
+    ]);
+    expect((await workspace.list('.', { recursive: false })).map(file => file.path)).toEqual(['b.excalidraw']);
+  });
+
+  test('replaces an existing file only with overwrite', async () => {
+    expect(await workspace.write('scenes/a.excalidraw', 'first')).toBe('scenes/a.excalidraw');
+    await expect(workspace.write('scenes/a.excalidraw', 'second'))
+      .rejects.toThrow('File scenes/a.excalidraw already exists; pass overwrite: true to replace it');
+
+    await workspace.write('scenes/a.excalidraw', 'third', { overwrite: true });
+    expect(await readFile(path.join(root, 'scenes/a.excalidraw'), 'utf8')).toBe('third');
+    expect(await readdir(path.join(root, 'scenes'))).toEqual(['a.excalidraw']);
+  });
+
+  test.each(['EPERM', 'ENOTSUP'])('saves without overwriting when link fails with %s', async code => {
+    linkError = code;
+
+    await workspace.write('a.excalidraw', 'first');
+    expect(await readFile(path.join(root, 'a.excalidraw'), 'utf8')).toBe('first');
+
+    await expect(workspace.write('a.excalidraw', 'second'))
+      .rejects.toThrow('File a.excalidraw already exists; pass overwrite: true to replace it');
+    expect(await readFile(path.join(root, 'a.excalidraw'), 'utf8')).toBe('first');
+    expect(await readdir(root)).toEqual(['a.excalidraw']);
+  });
+
+  test('leaves no empty file behind when the fallback cannot move the data into place', async () => {
+    linkError = 'EPERM';
+    renameError = 'EIO';
+
+    await expect(workspace.write('a.excalidraw', 'first')).rejects.toThrow('EIO: rename failed');
+    expect(await readdir(root)).toEqual([]);
+
+    renameError = null;
+    await workspace.write('a.excalidraw', 'second');
+    expect(await readFile(path.join(root, 'a.excalidraw'), 'utf8')).toBe('second');
+  });
+});